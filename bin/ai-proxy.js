@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// Local AI proxy - the Netlify function's twin, for development and self-hosting
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { proxyFromEnv } from '../src/ai-proxy.js';
+
+const PATH = '/api/ai/chat/completions';
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const USAGE = `Usage: ai-proxy [options]
+
+Holds the AI provider's API key and answers the app's AI requests at
+${PATH}. Configured by environment variables:
+
+  AI_PROVIDER     openai (default), ollama, llamacpp, vllm or mock
+  AI_API_KEY      Provider API key (or OPENAI_API_KEY)
+  AI_BASE_URL     Override the provider's address
+  AI_MODEL        Override the provider's model
+  AI_RATE_LIMIT   Requests per client per minute
+
+Options:
+  -p, --port <n>     Port to listen on (default 8787)
+  -H, --host <addr>  Address to listen on (default 127.0.0.1)
+  -h, --help         Show this help`;
+
+/**
+ * Read a request body, or null once it's over `limit` bytes (the rest isn't read)
+ */
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        request.pause();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Who to rate limit. Behind the Vite dev server every request comes from
+ * loopback, so its X-Forwarded-For is trusted there - and only there. Only
+ * the last entry, the one Vite appended, is trusted: the client writes the rest.
+ */
+function clientAddress(request) {
+  const address = request.socket.remoteAddress;
+  const forwarded = request.headers['x-forwarded-for'];
+  if (forwarded && LOOPBACK.includes(address)) {
+    return forwarded.split(',').pop().trim();
+  }
+  return address;
+}
+
+function send(response, { status, headers, body }) {
+  response.writeHead(status, headers);
+  response.end(body);
+}
+
+function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        port: { type: 'string', short: 'p', default: '8787' },
+        host: { type: 'string', short: 'H', default: '127.0.0.1' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    // Unknown option or missing value
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const proxy = proxyFromEnv(process.env);
+  if (!proxy.provider.isConfigured()) {
+    console.warn(`⚠️  ${proxy.provider.name} needs AI_API_KEY - requests will be refused until it's set`);
+  }
+
+  const server = http.createServer(async (request, response) => {
+    const path = new URL(request.url, 'http://localhost').pathname;
+    if (path !== PATH) {
+      send(response, { status: 404, headers: { 'Content-Type': 'application/json' }, body: '{"error":{"message":"Not found"}}' });
+      return;
+    }
+
+    try {
+      const body = await readBody(request, proxy.limits.max_body_bytes);
+      if (body === null) {
+        // Too big - answer without reading the rest, then hang up
+        response.setHeader('Connection', 'close');
+      }
+      send(response, await proxy.handle({
+        method: request.method,
+        body,
+        clientId: clientAddress(request)
+      }));
+    } catch (error) {
+      console.error('AI proxy request failed:', error);
+      send(response, { status: 500, headers: { 'Content-Type': 'application/json' }, body: '{"error":{"message":"Proxy error"}}' });
+    }
+  });
+
+  server.listen(Number(values.port), values.host, () => {
+    console.log(`🤖 AI proxy (${proxy.provider.name}, ${proxy.provider.model}) on http://${values.host}:${values.port}${PATH}`);
+  });
+}
+
+main();
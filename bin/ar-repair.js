@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// Headless part generation - builds parts from spec/recipe JSON and writes STL/3MF/SCAD files
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { generatePart, validateParameters } from '../src/part-generators.js';
+import { ShapeRecipeEngine } from '../src/shape-recipe.js';
+import { STLExporter, prepareMeshForExport } from '../src/stl-exporter.js';
+import { ThreeMFExporter, printSettingsFromSpec } from '../src/threemf-exporter.js';
+import { OpenSCADExporter } from '../src/scad-exporter.js';
+import { ensurePrintable } from '../src/mesh-health.js';
+import { orientForPrinting } from '../src/orientation.js';
+import { CONSTRAINTS } from '../src/config.js';
+
+const USAGE = `Usage: ar-repair <input.json>... [options]
+
+Each input is either a part spec ({ "part_type", "parameters" }, as returned
+by AIAssistant.suggestPart) or a shape recipe ({ "steps": [...] }).
+
+Options:
+  -o, --out <path>   Output file (single input) or directory
+  -F, --format <fmt> Output format: stl (default), 3mf or scad
+  -a, --ascii        Write ASCII STL instead of binary
+  -k, --keep-orientation
+                     Export as generated instead of laying the part flat
+                     on the bed
+  -f, --force        Export even if parameters fail validation or the mesh
+                     can't be repaired to watertight
+  -h, --help         Show this help`;
+
+/**
+ * Build a mesh from a part spec or shape recipe
+ * @param {Object} input - Parsed JSON input
+ * @param {Object} options - {force}
+ * @returns {Promise<THREE.Mesh>}
+ */
+async function buildMesh(input, { force }) {
+  if (Array.isArray(input.steps)) {
+    const engine = new ShapeRecipeEngine();
+    const validation = engine.validateRecipe(input);
+    if (!validation.valid) {
+      throw new Error('Invalid recipe: ' + validation.errors.join(', '));
+    }
+    return engine.executeRecipe(input);
+  }
+
+  if (!input.part_type || !input.parameters) {
+    throw new Error('Input must be a part spec (part_type, parameters) or a recipe (steps)');
+  }
+
+  const validation = validateParameters(input.part_type, input.parameters, CONSTRAINTS);
+  if (!validation.valid) {
+    const message = 'Invalid parameters: ' + validation.errors.join(', ');
+    if (!force) {
+      throw new Error(message);
+    }
+    console.warn(`⚠️  ${message}`);
+  }
+
+  return generatePart(input.part_type, input.parameters);
+}
+
+/**
+ * Work out where each input's STL goes
+ */
+async function resolveOutputPath(inputPath, outOption, inputCount, extension) {
+  const name = path.basename(inputPath, path.extname(inputPath)) + extension;
+
+  if (!outOption) {
+    return path.join(path.dirname(inputPath), name);
+  }
+
+  let isDirectory = inputCount > 1 || outOption.endsWith(path.sep);
+  if (!isDirectory) {
+    try {
+      isDirectory = (await stat(outOption)).isDirectory();
+    } catch {
+      // Doesn't exist yet - treat as a file path
+    }
+  }
+
+  if (isDirectory) {
+    await mkdir(outOption, { recursive: true });
+    return path.join(outOption, name);
+  }
+
+  return outOption;
+}
+
+async function main() {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'F', default: 'stl' },
+        ascii: { type: 'boolean', short: 'a', default: false },
+        'keep-orientation': { type: 'boolean', short: 'k', default: false },
+        force: { type: 'boolean', short: 'f', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    // Unknown option or missing value
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  if (!['stl', '3mf', 'scad'].includes(values.format)) {
+    console.error(`Unknown format: ${values.format}`);
+    return 1;
+  }
+
+  const stlExporter = new STLExporter();
+  const threeMFExporter = new ThreeMFExporter();
+  const scadExporter = new OpenSCADExporter();
+  let failures = 0;
+
+  for (const inputPath of positionals) {
+    try {
+      const input = JSON.parse(await readFile(inputPath, 'utf8'));
+      const mesh = prepareMeshForExport(await buildMesh(input, values));
+
+      const name = path.basename(inputPath, path.extname(inputPath));
+
+      if (values.format !== 'scad') {
+        if (!values['keep-orientation']) {
+          orientForPrinting(mesh, CONSTRAINTS);
+        }
+
+        const health = ensurePrintable(mesh);
+        health.actions.forEach(action => console.log(`🔧 ${inputPath}: ${action}`));
+
+        if (!health.printable) {
+          const message = 'Mesh is not printable: ' + health.issues.join(', ');
+          if (!values.force) {
+            throw new Error(message);
+          }
+          console.warn(`⚠️  ${message}`);
+        }
+      }
+
+      let data;
+      if (values.format === 'scad') {
+        data = Array.isArray(input.steps)
+          ? scadExporter.exportRecipe(input)
+          : scadExporter.exportPart(input.part_type, input.parameters, {
+            material: input.material && input.material.suggested
+          });
+      } else if (values.format === '3mf') {
+        data = threeMFExporter.export(mesh, printSettingsFromSpec(input, name));
+      } else if (values.ascii) {
+        data = stlExporter.exportASCII(mesh);
+      } else {
+        data = new Uint8Array(stlExporter.exportBinary(mesh));
+      }
+
+      const outputPath = await resolveOutputPath(inputPath, values.out, positionals.length, `.${values.format}`);
+      await writeFile(outputPath, data);
+
+      console.log(`✅ ${inputPath} → ${outputPath}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${inputPath}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
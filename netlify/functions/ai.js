@@ -0,0 +1,42 @@
+// Netlify function - the AI proxy for the deployed site. The API key stays in the
+// site's environment variables (AI_API_KEY, see src/ai-proxy.js) and never reaches the browser.
+import { proxyFromEnv } from '../../src/ai-proxy.js';
+
+// Lives as long as the function instance stays warm - so do the rate limits
+const proxy = proxyFromEnv(process.env);
+
+/**
+ * Read a request body, or null once it's over `limit` bytes (the rest isn't
+ * read) - a chunked upload has no content-length to check first
+ */
+async function readBody(request, limit) {
+  if (!request.body) return '';
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+export default async (request, context) => {
+  // Too big by its own account - don't read it (null tells the proxy so)
+  const length = Number(request.headers.get('content-length'));
+  const body = length > proxy.limits.max_body_bytes ? null : await readBody(request, proxy.limits.max_body_bytes);
+
+  const result = await proxy.handle({
+    method: request.method,
+    body,
+    clientId: context.ip
+  });
+  return new Response(result.body, { status: result.status, headers: result.headers });
+};
@@ -1,10 +1,15 @@
 // AI Assistant for part suggestion and parameter generation
-import { AI_SYSTEM_PROMPT, AI_EXAMPLES, OPENAI_CONFIG, CONSTRAINTS } from './config.js';
+import { AI_SYSTEM_PROMPT, AI_EXAMPLES, LLM_CONFIG, CONSTRAINTS } from './config.js';
+import { createProvider, parseJSONReply } from './llm-providers.js';
 
 export class AIAssistant {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseURL = 'https://api.openai.com/v1/chat/completions';
+  /**
+   * @param {Object|string|null} provider - Provider from llm-providers.js, or an OpenAI API key
+   */
+  constructor(provider) {
+    this.provider = provider && typeof provider === 'object'
+      ? provider
+      : createProvider({ provider: 'openai', apiKey: provider });
   }
 
   /**
@@ -15,32 +20,14 @@ export class AIAssistant {
    */
   async generateShapeRecipe(userDescription, measurements = {}) {
     try {
-      const recipePrompt = this.buildRecipePrompt(userDescription, measurements);
-
-      const response = await fetch(this.baseURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: OPENAI_CONFIG.model,
-          temperature: 0.3,
-          max_tokens: 1500,
-          messages: [
-            { role: 'system', content: this.getRecipeSystemPrompt() },
-            { role: 'user', content: recipePrompt }
-          ],
-          response_format: { type: "json_object" }
-        })
+      const reply = await this.provider.complete(this.recipeMessages(userDescription, measurements), {
+        temperature: LLM_CONFIG.temperature,
+        maxTokens: LLM_CONFIG.recipe_max_tokens,
+        json: true,
+        task: 'recipe',
+        input: { description: userDescription, measurements }
       });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const recipe = JSON.parse(data.choices[0].message.content);
+      const recipe = parseJSONReply(reply);
 
       return this.validateRecipe(recipe);
 
@@ -55,59 +42,68 @@ export class AIAssistant {
    * @param {string} userDescription - What the user needs
    * @param {Object} measurements - AR measurements
    * @param {Object} constraints - Manufacturing constraints
+   * @param {Object} uncertainty - Estimated ± error of each measurement in mm
    * @returns {Promise<Object>} - Structured part specification
    */
-  async suggestPart(userDescription, measurements = {}, constraints = CONSTRAINTS) {
+  async suggestPart(userDescription, measurements = {}, constraints = CONSTRAINTS, uncertainty = {}) {
     try {
-      // Build user prompt
-      const userPrompt = this.buildUserPrompt(userDescription, measurements, constraints);
-
-      // Call OpenAI API
-      const response = await fetch(this.baseURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: OPENAI_CONFIG.model,
-          temperature: OPENAI_CONFIG.temperature,
-          max_tokens: OPENAI_CONFIG.max_tokens,
-          messages: [
-            { role: 'system', content: AI_SYSTEM_PROMPT },
-            ...this.buildFewShotExamples(),
-            { role: 'user', content: userPrompt }
-          ],
-          response_format: { type: "json_object" }
-        })
+      // Ask the model
+      const reply = await this.provider.complete(this.partMessages(userDescription, measurements, constraints, uncertainty), {
+        temperature: LLM_CONFIG.temperature,
+        maxTokens: LLM_CONFIG.max_tokens,
+        json: true,
+        task: 'part',
+        input: { description: userDescription, measurements, uncertainty }
       });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const suggestion = JSON.parse(data.choices[0].message.content);
+      const suggestion = parseJSONReply(reply);
 
       // Validate and sanitize
-      return this.validateSuggestion(suggestion, constraints);
+      return this.validateSuggestion(suggestion, constraints, uncertainty);
 
     } catch (error) {
       console.error('AI suggestion failed:', error);
       
       // Fallback to rule-based suggestion
-      return this.fallbackSuggestion(userDescription, measurements, constraints);
+      return this.fallbackSuggestion(userDescription, measurements, constraints, uncertainty);
     }
   }
 
+  /**
+   * Conversation asking for a part spec. The AI proxy builds it on the
+   * server from the same inputs.
+   * @returns {Array<{role: string, content: string}>}
+   */
+  partMessages(userDescription, measurements, constraints = CONSTRAINTS, uncertainty = {}) {
+    return [
+      { role: 'system', content: AI_SYSTEM_PROMPT },
+      ...this.buildFewShotExamples(),
+      { role: 'user', content: this.buildUserPrompt(userDescription, measurements, constraints, uncertainty) }
+    ];
+  }
+
+  /**
+   * Conversation asking for a shape recipe - built on the server too
+   * @returns {Array<{role: string, content: string}>}
+   */
+  recipeMessages(userDescription, measurements = {}) {
+    return [
+      { role: 'system', content: this.getRecipeSystemPrompt() },
+      { role: 'user', content: this.buildRecipePrompt(userDescription, measurements) }
+    ];
+  }
+
   /**
    * Build user prompt with measurements and constraints
    */
-  buildUserPrompt(userDescription, measurements, constraints) {
+  buildUserPrompt(userDescription, measurements, constraints, uncertainty = {}) {
+    const errors = Object.keys(uncertainty).length > 0
+      ? `\nMeasurement uncertainty (± mm): ${JSON.stringify(uncertainty, null, 2)}\n`
+      : '';
+
     return `User request: "${userDescription}"
 
 AR measurements (mm): ${JSON.stringify(measurements, null, 2)}
-
+${errors}
 Constraints: ${JSON.stringify({
   nozzle_diameter: constraints.nozzle_diameter,
   min_thickness: constraints.min_thickness,
@@ -135,8 +131,9 @@ Return JSON with part specification.`;
 
   /**
    * Validate AI suggestion against constraints
+   * @param {Object} uncertainty - Estimated ± error of each measurement in mm
    */
-  validateSuggestion(suggestion, constraints) {
+  validateSuggestion(suggestion, constraints, uncertainty = {}) {
     const validated = { ...suggestion };
 
     // Ensure required fields exist
@@ -165,13 +162,78 @@ Return JSON with part specification.`;
       }
     });
 
-    return validated;
+    return this.widenForUncertainty(validated, uncertainty, constraints);
+  }
+
+  /**
+   * Loosen the fit when measurements are too uncertain to trust it: the
+   * clearance grows by the worst measurement error, and a press fit becomes a
+   * slip fit since the interference could be off by more than its size. The
+   * fit parameters (bores, holes, the clamp's slot) grow by the same amount.
+   * @param {Object} spec - Part specification (modified in place)
+   * @param {Object} uncertainty - Estimated ± error of each measurement in mm
+   * @param {Object} constraints - CONSTRAINTS (max_uncertainty, tolerances)
+   * @returns {Object} - The same spec
+   */
+  widenForUncertainty(spec, uncertainty, constraints = CONSTRAINTS) {
+    const worst = Math.max(0, ...Object.values(uncertainty).filter(v => typeof v === 'number'));
+    const limit = constraints.max_uncertainty ?? CONSTRAINTS.max_uncertainty;
+    if (worst <= limit) return spec;
+
+    const tolerances = constraints.tolerances || CONSTRAINTS.tolerances;
+    const { fit = 'clearance', delta_mm: delta = tolerances[fit] } = spec.tolerance || {};
+    const widenedFit = fit === 'press' ? 'slip' : fit;
+    const base = widenedFit === fit ? delta : tolerances[widenedFit];
+
+    const widenedDelta = Math.round((base + worst) * 10) / 10;
+    spec.tolerance = {
+      fit: widenedFit,
+      delta_mm: widenedDelta,
+      widened_for_mm: worst
+    };
+    if (spec.parameters) {
+      this.loosenFitParameters(spec.part_type, spec.parameters, widenedDelta - delta, constraints);
+    }
+    spec.derived_from = [
+      ...(spec.derived_from || []),
+      `${widenedFit} widened by ${worst}mm for measurement uncertainty`
+    ];
+    return spec;
+  }
+
+  /**
+   * Open up the parts of a design that fit around something else: bores
+   * (washer, clip), screw holes, and the slot between the U-clamp's walls.
+   * Washers and clips grow outward as needed to keep their wall.
+   * @param {string} partType
+   * @param {Object} params - Part parameters (modified in place)
+   * @param {number} extra - mm to add to each fit
+   * @param {Object} constraints - CONSTRAINTS (min_thickness)
+   */
+  loosenFitParameters(partType, params, extra, constraints = CONSTRAINTS) {
+    if (!(extra > 0)) return;
+    const round = value => Math.round(value * 100) / 100;
+
+    if ((partType === 'washer' || partType === 'clip') && typeof params.inner_d === 'number') {
+      params.inner_d = round(params.inner_d + extra);
+      if (typeof params.outer_d === 'number') {
+        params.outer_d = Math.max(params.outer_d, round(params.inner_d + 2 * constraints.min_thickness));
+      }
+    }
+
+    if (partType === 'u_clamp' && typeof params.width === 'number') {
+      params.width = round(params.width + extra); // Walls keep their thickness, so the slot widens
+    }
+
+    if (Array.isArray(params.holes)) {
+      params.holes = params.holes.map(hole => ({ ...hole, diameter: round(hole.diameter + extra) }));
+    }
   }
 
   /**
    * Fallback rule-based suggestion when AI fails
    */
-  fallbackSuggestion(userDescription, measurements, constraints) {
+  fallbackSuggestion(userDescription, measurements, constraints, uncertainty = {}) {
     const lowerDesc = userDescription.toLowerCase();
 
     // Keyword matching
@@ -192,7 +254,7 @@ Return JSON with part specification.`;
     // Generate basic parameters from measurements
     const params = this.generateBasicParameters(partType, measurements, constraints);
 
-    return {
+    const spec = {
       part_type: partType,
       parameters: params,
       derived_from: ['Fallback rule-based suggestion'],
@@ -200,68 +262,41 @@ Return JSON with part specification.`;
       material: { suggested: 'PLA', infill: 30, perimeters: 3 },
       notes: 'Generated using keyword matching (AI unavailable)'
     };
+
+    return this.widenForUncertainty(spec, uncertainty, constraints);
   }
 
   /**
-   * Generate basic parameters from measurements
+   * Generate basic parameters from measurements.
+   * Measurements named after a parameter (e.g. `inner_d`) fill it directly;
+   * anything not measured keeps a sensible default.
    */
   generateBasicParameters(partType, measurements, constraints) {
-    const params = {};
-    const measArray = Object.values(measurements);
+    const defaults = {
+      shim: { length: 30, width: 30, thickness: constraints.min_thickness * 2, chamfer: 0.5 },
+      washer: { outer_d: 12, inner_d: 5, thickness: 2 },
+      l_bracket: { leg_a: 40, leg_b: 40, thickness: 3, fillet: 4, holes: [] },
+      u_clamp: { width: 20, height: 30, depth: 10, thickness: 3, holes: [] },
+      face_plate: { length: 50, width: 50, thickness: 3, holes: [] },
+      clip: { outer_d: 15, inner_d: 12, thickness: 2, gap_angle: 60 }
+    };
+    const params = { ...defaults[partType] };
 
-    switch (partType) {
-      case 'shim':
-        params.length = measArray[0] || 30;
-        params.width = measArray[1] || 30;
-        params.thickness = measArray[2] || constraints.min_thickness * 2;
-        params.chamfer = 0.5;
-        break;
-
-      case 'washer':
-        params.outer_d = measArray[0] || 12;
-        params.inner_d = measArray[1] || 5;
-        params.thickness = measArray[2] || 2;
-        break;
-
-      case 'l_bracket':
-        params.leg_a = measArray[0] || 40;
-        params.leg_b = measArray[1] || 40;
-        params.thickness = measArray[2] || 3;
-        params.fillet = 4;
-        params.holes = [];
-        break;
-
-      case 'u_clamp':
-        params.width = measArray[0] || 20;
-        params.height = measArray[1] || 30;
-        params.depth = measArray[2] || 10;
-        params.thickness = 3;
-        params.holes = [];
-        break;
-
-      case 'face_plate':
-        params.length = measArray[0] || 50;
-        params.width = measArray[1] || 50;
-        params.thickness = measArray[2] || 3;
-        params.holes = [];
-        break;
-
-      case 'clip':
-        params.outer_d = measArray[0] || 15;
-        params.inner_d = measArray[1] || 12;
-        params.thickness = 2;
-        params.gap_angle = 60;
-        break;
-    }
+    Object.keys(params).forEach(name => {
+      const value = measurements[name];
+      if (typeof value === 'number' && value > 0) {
+        params[name] = value;
+      }
+    });
 
     return params;
   }
 
   /**
-   * Check if API key is available
+   * Check if the provider can be asked (has its key, address and model)
    */
   isConfigured() {
-    return !!this.apiKey && this.apiKey !== 'your_openai_api_key_here';
+    return this.provider.isConfigured();
   }
 
   /**
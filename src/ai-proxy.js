@@ -0,0 +1,231 @@
+// AI proxy - server side only: holds the API key and answers the app's part and recipe requests.
+// Used by the Netlify function (netlify/functions/ai.js) and the local server (bin/ai-proxy.js).
+import { AI_PROXY_CONFIG, LLM_CONFIG, CONSTRAINTS } from './config.js';
+import { createProvider } from './llm-providers.js';
+import { AIAssistant } from './ai-assistant.js';
+
+const TASKS = ['part', 'recipe'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/; // Measurement labels
+const MAX_TRACKED_CLIENTS = 10000; // Forget idle clients beyond this many
+
+/**
+ * Requests per client in a sliding window
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.limit - Requests allowed per window
+   * @param {number} options.windowMs - Window length in ms
+   */
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.hits = new Map(); // Client id → times of its requests in the window, oldest first
+  }
+
+  /**
+   * Count a request if the client has any left
+   * @param {string} clientId - e.g. IP address
+   * @param {number} now - Time in ms
+   * @returns {number} - 0 when allowed, otherwise ms until the client may try again
+   */
+  take(clientId, now = Date.now()) {
+    const recent = (this.hits.get(clientId) || []).filter(time => now - time < this.windowMs);
+    if (recent.length >= this.limit) {
+      this.hits.set(clientId, recent);
+      return recent[0] + this.windowMs - now;
+    }
+
+    recent.push(now);
+    this.hits.set(clientId, recent);
+    if (this.hits.size > MAX_TRACKED_CLIENTS) {
+      this.sweep(now);
+    }
+    return 0;
+  }
+
+  /**
+   * Drop clients with no requests left in the window
+   */
+  sweep(now = Date.now()) {
+    for (const [clientId, times] of this.hits) {
+      if (now - times[times.length - 1] >= this.windowMs) {
+        this.hits.delete(clientId);
+      }
+    }
+  }
+}
+
+/**
+ * Answers the app's part and recipe requests with the server's provider.
+ * The client sends only the task, its description and measurements (see
+ * ProxyProvider) - the prompts are written here, so the key can't be used
+ * for anything else. The client can't pick the model or `max_tokens`, or
+ * send more than `max_body_bytes`, and each client is rate limited.
+ * Replies are shaped like chat completions. Framework-neutral: callers pass
+ * the method, raw body and a client id, and send back the status, headers
+ * and body it returns.
+ */
+export class AIProxy {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - From createProvider; holds the key
+   * @param {Object} options.limits - AI_PROXY_CONFIG fields
+   */
+  constructor({ provider, limits = AI_PROXY_CONFIG }) {
+    this.provider = provider;
+    this.limits = { ...AI_PROXY_CONFIG, ...limits };
+    this.rateLimiter = new RateLimiter({ limit: this.limits.rate_limit, windowMs: this.limits.rate_window_ms });
+    this.assistant = new AIAssistant(provider); // Writes the prompts
+  }
+
+  /**
+   * Answer one request
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string|null} request.body - Raw request body; null when the caller
+   *   stopped reading it at max_body_bytes
+   * @param {string} request.clientId - Who to rate limit (e.g. IP address)
+   * @param {number} now - Time in ms
+   * @returns {Promise<{status: number, headers: Object, body: string}>}
+   */
+  async handle({ method, body, clientId }, now = Date.now()) {
+    if (method !== 'POST') {
+      return reply(405, { error: { message: 'Use POST' } }, { Allow: 'POST' });
+    }
+    if (body === null || byteLength(body) > this.limits.max_body_bytes) {
+      return reply(413, { error: { message: `Request is over ${this.limits.max_body_bytes} bytes` } });
+    }
+
+    const wait = this.rateLimiter.take(clientId || 'unknown', now);
+    if (wait > 0) {
+      return reply(429, { error: { message: 'Too many requests - try again shortly' } }, {
+        'Retry-After': String(Math.ceil(wait / 1000))
+      });
+    }
+
+    if (!this.provider.isConfigured()) {
+      return reply(503, { error: { message: 'AI is not set up on the server' } });
+    }
+
+    let request;
+    try {
+      request = this.parseRequest(body);
+    } catch (error) {
+      return reply(400, { error: { message: error.message } });
+    }
+
+    try {
+      const content = await this.provider.complete(request.messages, request.options);
+      return reply(200, {
+        model: this.provider.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+      });
+    } catch (error) {
+      console.error('AI proxy upstream request failed:', error);
+      return reply(502, { error: { message: 'AI provider request failed' } });
+    }
+  }
+
+  /**
+   * Check a request body and build the conversation it asks for
+   * @param {string} body - Raw JSON: {task, description, measurements, uncertainty}
+   * @returns {{messages: Array, options: Object}}
+   */
+  parseRequest(body) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      throw new Error('Request body is not JSON');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Request body must be a JSON object');
+    }
+
+    const { task, description, measurements = {}, uncertainty = {} } = data;
+    if (!TASKS.includes(task)) {
+      throw new Error(`task must be ${TASKS.join(' or ')}`);
+    }
+    if (typeof description !== 'string' || description.trim() === '') {
+      throw new Error('description must be a non-empty string');
+    }
+    if (description.length > this.limits.max_description_chars) {
+      throw new Error(`description must be at most ${this.limits.max_description_chars} characters`);
+    }
+    this.checkValues('measurements', measurements);
+    this.checkValues('uncertainty', uncertainty);
+
+    const messages = task === 'part'
+      ? this.assistant.partMessages(description, measurements, CONSTRAINTS, uncertainty)
+      : this.assistant.recipeMessages(description, measurements);
+    const maxTokens = task === 'part' ? LLM_CONFIG.max_tokens : LLM_CONFIG.recipe_max_tokens;
+
+    return {
+      messages,
+      options: {
+        temperature: LLM_CONFIG.temperature,
+        maxTokens: Math.min(maxTokens, this.limits.max_tokens),
+        json: true,
+        task // Picks the mock's reply
+      }
+    };
+  }
+
+  /**
+   * Measurements and their uncertainties are {label: number}
+   */
+  checkValues(field, values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`${field} must be an object`);
+    }
+    const entries = Object.entries(values);
+    if (entries.length > this.limits.max_measurements) {
+      throw new Error(`At most ${this.limits.max_measurements} ${field}`);
+    }
+    entries.forEach(([label, value]) => {
+      if (!NAME_PATTERN.test(label) || !Number.isFinite(value)) {
+        throw new Error(`${field} must map labels (letters, digits and _) to numbers`);
+      }
+    });
+  }
+}
+
+/**
+ * Proxy configured from environment variables: AI_PROVIDER (an
+ * LLM_PROVIDERS key, default openai), AI_BASE_URL, AI_MODEL, AI_API_KEY
+ * (or OPENAI_API_KEY) and AI_RATE_LIMIT (requests per client per minute)
+ * @param {Object} env - e.g. process.env
+ * @returns {AIProxy}
+ */
+export function proxyFromEnv(env) {
+  const name = env.AI_PROVIDER || 'openai';
+  if (name === 'proxy') {
+    throw new Error('AI_PROVIDER must be the provider the proxy talks to, not the proxy');
+  }
+
+  const provider = createProvider({
+    provider: name,
+    baseURL: env.AI_BASE_URL || undefined,
+    model: env.AI_MODEL || undefined,
+    apiKey: env.AI_API_KEY || env.OPENAI_API_KEY || undefined
+  });
+
+  const limits = { ...AI_PROXY_CONFIG };
+  if (Number(env.AI_RATE_LIMIT) > 0) {
+    limits.rate_limit = Number(env.AI_RATE_LIMIT);
+  }
+  return new AIProxy({ provider, limits });
+}
+
+function reply(status, data, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+    body: JSON.stringify(data)
+  };
+}
+
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
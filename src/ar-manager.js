@@ -1,24 +1,70 @@
 // AR measurement manager using device camera and point tracking
 import * as THREE from 'three';
+import { MeasurementSession, MEASUREMENT_TYPES } from './measurement-session.js';
+import { MarkerTracker } from './marker-tracker.js';
+import { MARKER_CONFIG, MEASUREMENT_UNCERTAINTY, SNAP_CONFIG } from './config.js';
+import { findSnapPoint, fitCircle } from './image-snapping.js';
+import { angleAt, arcThrough, polygonArea, polygonCentroid } from './measure-geometry.js';
+import { calibrate, resolveReference, loadCalibration, saveCalibration } from './calibration.js';
+import { PartPreview } from './part-preview.js';
+import { restingPose, placePart, nudgeOffset } from './part-placement.js';
+
+const PHOTO_WIDTH = 10; // Scene units across a loaded photo
+const PHOTO_SNAP_WIDTH = 2048; // px - photos are snapped against at most this resolution
+const CIRCLE_SEGMENTS = 64;
+
+// Tap-based measuring tools besides point-pair distances
+const TOOLS = {
+  diameter: { minPoints: 3, tooFew: 'Tap at least 3 points around the edge' },
+  radius: { minPoints: 3, tooFew: 'Tap at least 3 points along the curve' },
+  angle: { minPoints: 3, maxPoints: 3, tooFew: 'Tap a point on each arm and the corner between them' },
+  area: { minPoints: 3, tooFew: 'Tap at least 3 corners around the shape' }
+};
 
 export class ARManager {
   constructor() {
-    this.points = [];
-    this.measurements = {};
+    this.session = new MeasurementSession();
+    this.measurements = {}; // {label: mm}, kept in sync with the session
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.video = null; // Store video element reference
-    this.markers = [];
+    this.measurementVisuals = new Map(); // measurement id → group of markers, line and label
+    this.pendingMarker = null; // First point of a measurement in progress
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
-    this.measurementLine = null;
     this.measurementCenter = null; // Store center point for AR part placement
     this.centerIndicator = null; // Visual indicator for part placement
     
+    // Fiducial marker tracking (camera mode) for true-scale measurements
+    this.markerTracker = null;
+    this.markerDetection = null; // Latest detection, in detection-canvas pixels
+    this.markerSeenAt = 0;
+    this.markerTracked = false;
+    this.markerCanvas = null; // Downscaled copy of the video frame
+    this.lastMarkerCheck = 0;
+    
     // For demo mode (when AR not available)
     this.demoMode = false;
     this.referencePlane = null;
+
+    // Still photo being measured instead of the live view
+    this.photo = null; // {mesh, marker, pixels, live} - live is the view to go back to
+
+    // Generated part: laid on the measured surface at true size, spun on the
+    // spot or moved into place by hand, or inspected in the orbit preview
+    this.autoRotate = true;
+    this.partPose = null; // How the current part rests on a surface (restingPose)
+    this.placement = { offset: new THREE.Vector3(), angle: 0 }; // Kept across regenerations
+    this.placing = false; // Drags move the part instead of measuring
+    this.drag = null; // {from, offset} while dragging the part
+    this.partDimensions = null; // Callouts for the preview, from partDimensions
+    this.preview = null; // PartPreview while it is open
+
+    // Tap helpers: snap to corners/edges in the image, multi-tap measuring tools
+    this.snapping = true;
+    this.snapCanvas = null; // Full-size copy of the video frame for snapping
+    this.tool = null; // {type, points: [{position, planePoint}], markers} while a tool is active
     
     // Scale mode for measurements (small/medium/large objects)
     this.scaleMode = 'medium'; // 'small', 'medium', 'large'
@@ -27,6 +73,13 @@ export class ARManager {
       medium: { factor: 50, name: 'Medium', description: 'Phone cases, brackets (50-200mm)' },
       large: { factor: 100, name: 'Large', description: 'Fans, furniture (200mm+)' }
     };
+
+    // Reference-object calibration - replaces the presets once measured
+    this.calibration = null; // {reference, start, marker} while measuring the reference
+    const saved = loadCalibration();
+    if (saved) {
+      this.applyCalibration(saved);
+    }
   }
 
   /**
@@ -158,6 +211,13 @@ export class ARManager {
     container.insertBefore(this.video, container.firstChild);
     
     await this.video.play();
+
+    // Marker tracking is optional - without it measurements fall back to scale modes
+    try {
+      await this.startMarkerTracking();
+    } catch (error) {
+      console.warn('Marker tracking unavailable:', error.message);
+    }
     
     // Setup Three.js scene (transparent background to see camera)
     this.scene = new THREE.Scene();
@@ -273,146 +333,815 @@ export class ARManager {
         this.onScreenTap(event.touches[0]);
       }
     }, { passive: false });
+
+    // Dragging the part into place
+    this.renderer.domElement.addEventListener('pointerdown', (event) => this.startDrag(event));
+    this.renderer.domElement.addEventListener('pointermove', (event) => this.moveDrag(event));
+    this.renderer.domElement.addEventListener('pointerup', () => { this.drag = null; });
+    this.renderer.domElement.addEventListener('pointercancel', () => { this.drag = null; });
   }
 
   /**
    * Handle screen tap for measurement points
    */
   onScreenTap(event) {
+    if (this.preview || this.placing) return; // Taps orbit the preview or move the part instead
+
+    const tap = this.snapping ? this.snapTap(event) : event;
+    const hit = this.raycastPlane(tap.clientX, tap.clientY);
+    if (!hit) return;
+
+    // On the tracked marker plane the tap also has a true-scale position
+    if (this.calibration) {
+      this.addCalibrationPoint(hit.point.clone());
+    } else if (this.tool) {
+      this.addToolPoint(hit.point.clone(), this.markerPlanePoint(tap, hit));
+    } else {
+      this.addPoint(hit.point.clone(), this.markerPlanePoint(tap, hit));
+    }
+  }
+
+  /**
+   * Where a screen position hits the reference plane (or photo)
+   * @returns {Object|undefined} - three.js intersection
+   */
+  raycastPlane(clientX, clientY) {
+    if (!this.referencePlane) return undefined;
+
     // Calculate mouse position in normalized device coordinates
     const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
 
-    // Raycast to find intersection with reference plane
     this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    let intersection;
-    if (this.referencePlane) {
-      const intersects = this.raycaster.intersectObject(this.referencePlane, true);
-      if (intersects.length > 0) {
-        intersection = intersects[0].point.clone();
+    return this.raycaster.intersectObject(this.referencePlane, true)[0];
+  }
+
+  /**
+   * Move a tap onto the corner or edge it was aimed at in the camera frame
+   * or photo. The demo grid has no image, so taps there stay put.
+   * @returns {{clientX: number, clientY: number, snapped?: string}} - The tap, snapped or not
+   */
+  snapTap(event) {
+    const view = this.photo ? this.photoImageView() : this.videoImageView();
+    const point = view && view.toImage(event.clientX, event.clientY);
+    if (!point) return event;
+
+    // Crop around the tap, with room for the gradient windows
+    const radius = SNAP_CONFIG.radius * view.pixelsPerScreenPixel;
+    const margin = Math.ceil(radius) + 6;
+    const left = Math.max(0, Math.round(point.x) - margin);
+    const top = Math.max(0, Math.round(point.y) - margin);
+    const width = Math.min(view.width, Math.round(point.x) + margin + 1) - left;
+    const height = Math.min(view.height, Math.round(point.y) + margin + 1) - top;
+    if (width < 8 || height < 8) return event;
+
+    const crop = view.context.getImageData(left, top, width, height);
+    const snap = findSnapPoint(crop, point.x - left, point.y - top, { radius });
+    if (!snap) return event;
+
+    return { ...view.toClient(snap.x + left, snap.y + top), snapped: snap.kind };
+  }
+
+  /**
+   * The current video frame as an image to snap on, with conversions between
+   * screen and frame pixels (the video fills the screen with object-fit: cover)
+   */
+  videoImageView() {
+    if (!this.video || this.demoMode || !this.video.videoWidth) return null;
+
+    const { videoWidth: width, videoHeight: height } = this.video;
+    if (!this.snapCanvas) {
+      this.snapCanvas = document.createElement('canvas');
+    }
+    this.snapCanvas.width = width;
+    this.snapCanvas.height = height;
+    const context = this.snapCanvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(this.video, 0, 0, width, height);
+
+    const scale = Math.max(window.innerWidth / width, window.innerHeight / height);
+    const offsetX = (window.innerWidth - width * scale) / 2;
+    const offsetY = (window.innerHeight - height * scale) / 2;
+
+    return {
+      context,
+      width,
+      height,
+      pixelsPerScreenPixel: 1 / scale,
+      toImage: (clientX, clientY) => ({
+        x: (clientX - offsetX) / scale - 0.5,
+        y: (clientY - offsetY) / scale - 0.5
+      }),
+      toClient: (x, y) => ({
+        clientX: (x + 0.5) * scale + offsetX,
+        clientY: (y + 0.5) * scale + offsetY
+      })
+    };
+  }
+
+  /**
+   * The loaded photo as an image to snap on, with conversions between
+   * screen and photo pixels through the photo's texture coordinates
+   */
+  photoImageView() {
+    const { mesh, pixels } = this.photo;
+    const { width: planeWidth, height: planeHeight } = mesh.geometry.parameters;
+    const { width, height } = pixels.canvas;
+    const rect = this.renderer.domElement.getBoundingClientRect();
+
+    const toClient = (x, y) => {
+      const point = new THREE.Vector3(
+        ((x + 0.5) / width - 0.5) * planeWidth,
+        (0.5 - (y + 0.5) / height) * planeHeight,
+        0
+      ).applyMatrix4(mesh.matrixWorld).project(this.camera);
+      return {
+        clientX: rect.left + (point.x + 1) / 2 * rect.width,
+        clientY: rect.top + (1 - point.y) / 2 * rect.height
+      };
+    };
+
+    // Photo pixels per screen pixel, from how wide one photo pixel is drawn
+    const a = toClient(0, 0);
+    const b = toClient(width - 1, 0);
+    const pixelsPerScreenPixel = (width - 1) / Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+
+    return {
+      context: pixels,
+      width,
+      height,
+      pixelsPerScreenPixel,
+      toImage: (clientX, clientY) => {
+        const hit = this.raycastPlane(clientX, clientY);
+        return hit && { x: hit.uv.x * width - 0.5, y: (1 - hit.uv.y) * height - 0.5 };
+      },
+      toClient
+    };
+  }
+
+  /**
+   * Start a measuring tool; its taps go to addToolPoint until finishTool
+   * (an angle finishes itself on its third tap)
+   * @param {'diameter'|'radius'|'angle'|'area'} type - What to measure
+   */
+  startTool(type) {
+    if (!TOOLS[type]) {
+      throw new Error(`Unknown measuring tool: ${type}`);
+    }
+    this.cancelTool();
+
+    // A half-finished pair would otherwise pair up with a later tap
+    if (this.session.pendingPoint) {
+      this.undoLast();
+    }
+    const repeating = this.session.getRepeating();
+    if (repeating && repeating.type !== type) {
+      this.session.repeat(null);
+    }
+    this.tool = { type, points: [], markers: [] };
+    this.notifyTool();
+  }
+
+  /**
+   * Add a tapped point to the active tool
+   */
+  addToolPoint(position, planePoint) {
+    const marker = this.createPointMarker(position);
+    this.scene.add(marker);
+    this.tool.points.push({ position, planePoint });
+    this.tool.markers.push(marker);
+    this.notifyTool();
+
+    const { type } = this.tool;
+    if (this.tool.points.length === TOOLS[type].maxPoints) {
+      try {
+        this.finishTool();
+      } catch (error) {
+        // e.g. two taps on the same spot - start the tool over
+        console.warn(`⚠️ ${error.message}`);
+        this.startTool(type);
       }
     }
+  }
 
-    if (intersection) {
-      this.addPoint(intersection);
+  /**
+   * Turn the active tool's points into a measurement: a fitted circle's
+   * diameter, an arc's radius, the angle at the middle of three points, or
+   * the area inside a polygon
+   * @returns {Object} - The measurement
+   */
+  finishTool() {
+    const { type, points } = this.tool;
+    if (points.length < TOOLS[type].minPoints) {
+      throw new Error(TOOLS[type].tooFew);
     }
+
+    // Work in the reference plane's own 2D coordinates
+    const normal = new THREE.Vector3(0, 0, 1).transformDirection(this.referencePlane.matrixWorld);
+    const u = new THREE.Vector3(1, 0, 0).transformDirection(this.referencePlane.matrixWorld);
+    const v = new THREE.Vector3().crossVectors(normal, u);
+    const height = points[0].position.dot(normal);
+    const flat = points.map(({ position }) => ({ x: position.dot(u), y: position.dot(v) }));
+    const toScene = (x, y) => u.clone().multiplyScalar(x).addScaledVector(v, y).addScaledVector(normal, height);
+
+    // True scale when every point was on the marker plane
+    const planePoints = points.every(p => p.planePoint) ? points.map(p => p.planePoint) : null;
+    const sample = measureTool[type](flat, planePoints, toScene);
+    sample.overlay.points = points.map(p => p.position);
+
+    this.cancelTool();
+    const measurement = this.session.addSample({ type, ...sample });
+    this.removeMeasurementVisual(measurement.id);
+    this.drawMeasurement(measurement);
+    const stats = this.statsOf(measurement);
+    console.log(`📐 ${type} ${measurement.label}: ${stats.mean}${MEASUREMENT_TYPES[type].unit} from ${points.length} points`);
+
+    this.updateMeasurements();
+    return measurement;
   }
 
   /**
-   * Add a measurement point
+   * Drop the active tool and its points, if any
    */
-  addPoint(position) {
-    // Limit to 2 points
-    if (this.points.length >= 2) {
-      return;
+  cancelTool() {
+    if (!this.tool) return;
+
+    this.tool.markers.forEach(marker => this.scene.remove(marker));
+    this.tool = null;
+    this.notifyTool();
+  }
+
+  /**
+   * The active tool and how many points it has (null when none is active)
+   * @returns {{type: string, count: number, minPoints: number}|null}
+   */
+  getToolState() {
+    if (!this.tool) return null;
+    return {
+      type: this.tool.type,
+      count: this.tool.points.length,
+      minPoints: TOOLS[this.tool.type].minPoints
+    };
+  }
+
+  notifyTool() {
+    if (this.onToolUpdate) {
+      this.onToolUpdate(this.getToolState());
     }
-    
-    // Create visual marker
-    const markerGeometry = new THREE.SphereGeometry(0.05, 16, 16);
-    const markerMaterial = new THREE.MeshStandardMaterial({
-      color: 0xFF5722,
-      emissive: 0xFF5722,
-      emissiveIntensity: 0.5
-    });
-    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-    marker.position.copy(position);
-    this.scene.add(marker);
-    this.markers.push(marker);
+  }
+
+  /**
+   * A tap's position on the marker plane in mm, when the marker is tracked
+   * (live) or was found in the photo
+   */
+  markerPlanePoint(event, hit) {
+    if (this.photo) {
+      const { marker } = this.photo;
+      if (!marker) return null;
+      // Photo texture coordinates → pixels of the image the marker was found in
+      return this.markerTracker.imageToMarker(
+        marker.detection,
+        hit.uv.x * marker.width,
+        (1 - hit.uv.y) * marker.height
+      );
+    }
+
+    return this.isMarkerTracked()
+      ? this.screenToMarkerPlane(event.clientX, event.clientY)
+      : null;
+  }
+
+  /**
+   * Load the marker pattern and prepare the frame canvas
+   */
+  async startMarkerTracking() {
+    const pattern = await loadImageData(MARKER_CONFIG.pattern_url);
+    this.markerTracker = new MarkerTracker();
+    this.markerTracker.setPattern(pattern);
+    this.markerCanvas = document.createElement('canvas');
+    console.log(`🎯 Marker tracking ready (${MARKER_CONFIG.size_mm}mm marker)`);
+  }
+
+  /**
+   * Look for the marker in the current video frame (throttled)
+   */
+  trackMarker() {
+    const now = performance.now();
+    if (now - this.lastMarkerCheck < 100 || !this.video.videoWidth) return;
+    this.lastMarkerCheck = now;
 
-    // Store point
-    this.points.push(position.clone());
+    const canvas = this.markerCanvas;
+    canvas.width = MARKER_CONFIG.detection_width;
+    canvas.height = Math.round(this.video.videoHeight * canvas.width / this.video.videoWidth);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(this.video, 0, 0, canvas.width, canvas.height);
 
-    // If we have 2 points, calculate distance
-    if (this.points.length === 2) {
-      this.calculateDistance();
+    const detection = this.markerTracker.detect(context.getImageData(0, 0, canvas.width, canvas.height));
+    if (detection) {
+      this.markerDetection = detection;
+      this.markerSeenAt = now;
     }
 
-    // Trigger measurement event
-    if (this.onMeasurementUpdate) {
-      this.onMeasurementUpdate(this.measurements);
+    // Tell the UI when the marker is found or lost
+    const tracked = this.isMarkerTracked();
+    if (tracked !== this.markerTracked) {
+      this.markerTracked = tracked;
+      if (this.onMarkerUpdate) {
+        this.onMarkerUpdate(tracked, this.markerDetection);
+      }
     }
   }
 
   /**
-   * Calculate distance between two points
+   * Has the marker been seen recently enough to measure against?
    */
-  calculateDistance() {
-    const p1 = this.points[0];
-    const p2 = this.points[1];
-    const distance = p1.distanceTo(p2);
+  isMarkerTracked() {
+    return !!this.markerDetection &&
+      performance.now() - this.markerSeenAt < MARKER_CONFIG.lost_after_ms;
+  }
 
-    // Calculate distance in mm using current scale mode
-    const scaleFactor = this.scaleModes[this.scaleMode].factor;
-    const distanceMM = Math.round(distance * scaleFactor * 10) / 10;
-    console.log(`📏 Measurement (${this.scaleMode}): ${distanceMM}mm (${distance} units × ${scaleFactor})`);
-    
-    const measurementId = `dist_${Object.keys(this.measurements).length + 1}`;
-    this.measurements[measurementId] = distanceMM;
+  /**
+   * Map a screen position onto the marker plane (mm). The video fills the
+   * screen with object-fit: cover, so undo that crop first.
+   */
+  screenToMarkerPlane(clientX, clientY) {
+    const { videoWidth, videoHeight } = this.video;
+    const scale = Math.max(window.innerWidth / videoWidth, window.innerHeight / videoHeight);
+    const videoX = (clientX - (window.innerWidth - videoWidth * scale) / 2) / scale;
+    const videoY = (clientY - (window.innerHeight - videoHeight * scale) / 2) / scale;
 
-    // Calculate and store center point for AR part placement
-    this.measurementCenter = new THREE.Vector3(
-      (p1.x + p2.x) / 2,
-      (p1.y + p2.y) / 2,
-      (p1.z + p2.z) / 2
+    const toCanvas = this.markerCanvas.width / videoWidth;
+    return this.markerTracker.imageToMarker(this.markerDetection, videoX * toCanvas, videoY * toCanvas);
+  }
+
+  /**
+   * Measure on a still photo instead of the live view. The photo is shown
+   * face-on; if the printed marker is in it, taps are true scale, otherwise
+   * calibrate against a reference object in the photo. Measurements taken so
+   * far are cleared, since they were on a different scale.
+   * @param {Blob} file - Image file
+   * @returns {Promise<{width: number, height: number, marker: boolean}>}
+   */
+  async loadPhoto(file) {
+    const url = URL.createObjectURL(file);
+    let image;
+    try {
+      image = await loadImage(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    this.closePhoto();
+    this.clearPoints();
+
+    const texture = new THREE.Texture(image);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(PHOTO_WIDTH, PHOTO_WIDTH * image.naturalHeight / image.naturalWidth),
+      new THREE.MeshBasicMaterial({ map: texture })
     );
+    mesh.name = 'photo';
 
-    // Add visual indicator at center point
-    this.showCenterIndicator();
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x1a1a2e);
+    scene.add(mesh);
+    scene.add(new THREE.AmbientLight(0xffffff, 0.8));
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.6);
+    directionalLight.position.set(5, 5, 5);
+    scene.add(directionalLight);
+
+    // Pixels to snap taps to
+    const pixels = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+    pixels.canvas.width = Math.min(image.naturalWidth, PHOTO_SNAP_WIDTH);
+    pixels.canvas.height = Math.round(image.naturalHeight * pixels.canvas.width / image.naturalWidth);
+    pixels.drawImage(image, 0, 0, pixels.canvas.width, pixels.canvas.height);
+
+    this.photo = {
+      mesh,
+      marker: null,
+      pixels,
+      live: {
+        scene: this.scene,
+        camera: this.camera,
+        referencePlane: this.referencePlane,
+        scaleMode: this.scaleMode,
+        calibrated: this.scaleModes.calibrated
+      }
+    };
+    this.scene = scene;
+    this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.referencePlane = mesh;
+    this.fitPhotoToView();
+    if (this.video) {
+      this.video.style.display = 'none';
+    }
+
+    this.photo.marker = await this.findMarkerInPhoto(image);
+
+    return {
+      width: image.naturalWidth,
+      height: image.naturalHeight,
+      marker: this.photo.marker !== null
+    };
+  }
+
+  /**
+   * Go back to the live view (camera or demo grid) and its scale
+   */
+  closePhoto() {
+    if (!this.photo) return;
+
+    this.clearPoints();
+
+    const { mesh, live } = this.photo;
+    mesh.geometry.dispose();
+    mesh.material.map.dispose();
+    mesh.material.dispose();
+
+    this.scene = live.scene;
+    this.camera = live.camera;
+    this.referencePlane = live.referencePlane;
+    if (live.calibrated) {
+      this.scaleModes.calibrated = live.calibrated;
+    } else {
+      delete this.scaleModes.calibrated;
+    }
+    this.photo = null;
+    this.setScaleMode(live.scaleMode);
+
+    if (this.video) {
+      this.video.style.display = '';
+    }
+    this.onWindowResize();
+  }
+
+  isPhotoMode() {
+    return this.photo !== null;
+  }
+
+  /**
+   * Look straight at the photo from far enough away to see all of it
+   */
+  fitPhotoToView() {
+    const { width, height } = this.photo.mesh.geometry.parameters;
+    const aspect = window.innerWidth / window.innerHeight;
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+    const distance = Math.max(height / 2, width / 2 / aspect) / Math.tan(halfFov);
+
+    this.camera.aspect = aspect;
+    this.camera.position.set(0, 0, distance * 1.05); // Small margin around the photo
+    this.camera.lookAt(0, 0, 0);
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Look for the printed marker in a photo
+   * @returns {Promise<{detection: Object, width: number, height: number}|null>} - The
+   *   detection and the size of the image it was found in
+   */
+  async findMarkerInPhoto(image) {
+    try {
+      if (!this.markerTracker) {
+        await this.startMarkerTracking();
+      }
+    } catch (error) {
+      console.warn('Marker tracking unavailable:', error.message);
+      return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.min(image.naturalWidth, MARKER_CONFIG.photo_detection_width);
+    canvas.height = Math.round(image.naturalHeight * canvas.width / image.naturalWidth);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const detection = this.markerTracker.detect(context.getImageData(0, 0, canvas.width, canvas.height));
+    if (!detection) return null;
+
+    console.log(`🎯 Marker found in photo (${Math.round(detection.confidence * 100)}% match)`);
+    return { detection, width: canvas.width, height: canvas.height };
+  }
+
+  /**
+   * Add a measurement point - every second point completes a measurement
+   * @param {THREE.Vector3} position - Point on the reference plane
+   * @param {{x: number, y: number}|null} planePoint - Point on the marker plane in mm, when tracked
+   */
+  addPoint(position, planePoint = null) {
+    const measurement = this.session.addPoint(position, planePoint);
+
+    if (!measurement) {
+      // First point of a new pair
+      this.pendingMarker = this.createPointMarker(position);
+      this.scene.add(this.pendingMarker);
+      return;
+    }
+
+    if (this.pendingMarker) {
+      this.scene.remove(this.pendingMarker);
+      this.pendingMarker = null;
+    }
+
+    // A repeat adds a sample to a measurement that's already drawn
+    this.removeMeasurementVisual(measurement.id);
+    this.drawMeasurement(measurement);
+    const source = measurement.trueScale ? 'marker' : this.scaleMode;
+    const stats = this.statsOf(measurement);
+    console.log(`📏 Measurement ${measurement.label} (${source}, ${stats.count}×): ${stats.mean} ±${stats.uncertainty}mm`);
+
+    this.updateMeasurements();
+  }
+
+  /**
+   * Undo the last tap (pending point or last measurement)
+   */
+  undoLast() {
+    if (this.undoPendingPoint()) return;
+
+    const removed = this.session.undo();
+    if (!removed) return;
+
+    this.removeMeasurementVisual(removed.measurement.id);
+    if (removed.sample) {
+      this.drawMeasurement(removed.measurement);
+    }
+    this.updateMeasurements();
+  }
+
+  /**
+   * Take back a tap that hasn't made a measurement yet: a tool's last point
+   * or the first point of a distance
+   * @returns {boolean} - Whether there was one
+   */
+  undoPendingPoint() {
+    if (this.tool && this.tool.points.length > 0) {
+      this.tool.points.pop();
+      this.scene.remove(this.tool.markers.pop());
+      this.notifyTool();
+      return true;
+    }
+
+    if (this.session.pendingPoint) {
+      this.session.undo();
+      if (this.pendingMarker) {
+        this.scene.remove(this.pendingMarker);
+        this.pendingMarker = null;
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Delete one measurement
+   * @param {string} id - Measurement id
+   */
+  deleteMeasurement(id) {
+    if (!this.session.remove(id)) return;
+
+    this.removeMeasurementVisual(id);
+    this.updateMeasurements();
+  }
+
+  /**
+   * Select a measurement - it's highlighted and new parts are placed at its centre
+   * @param {string|null} id - Measurement id
+   */
+  selectMeasurement(id) {
+    this.session.select(id);
+    this.updateMeasurements();
+  }
+
+  /**
+   * Rename a measurement
+   * @param {string} id - Measurement id
+   * @param {string} label - New label
+   */
+  renameMeasurement(id, label) {
+    this.session.setLabel(id, label);
+    this.redrawLabel(this.session.get(id));
+    this.updateMeasurements();
+  }
+
+  /**
+   * Set the named measurements to prompt for (e.g. a part's required parameters)
+   * @param {string[]} names - Slot names
+   */
+  setMeasurementSlots(names) {
+    this.session.setSlots(names);
+    this.updateMeasurements();
+  }
+
+  /**
+   * Measure a particular open slot next
+   * @param {string} name - Slot name
+   */
+  chooseMeasurementSlot(name) {
+    this.session.chooseSlot(name);
+    this.updateMeasurements();
+  }
+
+  /**
+   * Take another sample of a measurement - with the next two taps, or the
+   * tool it was taken with
+   * @param {string} id - Measurement id
+   */
+  repeatMeasurement(id) {
+    const { type } = this.session.get(id);
+    if (type === 'distance') {
+      this.cancelTool();
+    } else {
+      this.startTool(type);
+    }
+    this.session.repeat(id);
+    this.updateMeasurements();
+  }
+
+  /**
+   * Slots still to measure, the one the next measurement will fill (and
+   * whether it takes a length, angle or area), and the measurement being
+   * repeated instead, if any
+   * @returns {{open: string[], next: string|null, nextKind: string|null, repeating: string|null}}
+   */
+  getMeasurementSlots() {
+    const repeating = this.session.getRepeating();
+    const next = this.session.getNextSlot();
+    return {
+      open: this.session.getOpenSlots(),
+      next,
+      nextKind: next && this.session.slotKind(next),
+      repeating: repeating ? repeating.label : null
+    };
+  }
+
+  /**
+   * Measurements as shown in the UI, in the order they were taken
+   * @returns {Array<{id: string, label: string, type: string, value: number, unit: string,
+   *   samples: number, spread: number, uncertainty: number, trueScale: boolean, selected: boolean}>}
+   */
+  getMeasurementList() {
+    return this.session.measurements.map(m => {
+      const stats = this.statsOf(m);
+      return {
+        id: m.id,
+        label: m.label,
+        type: m.type,
+        value: stats.mean,
+        unit: MEASUREMENT_TYPES[m.type].unit,
+        samples: stats.count,
+        spread: stats.spread,
+        uncertainty: stats.uncertainty,
+        trueScale: m.trueScale,
+        selected: m.id === this.session.selectedId
+      };
+    });
+  }
+
+  /**
+   * Mean, spread and ± error of a measurement in its unit under the current scale
+   */
+  statsOf(measurement) {
+    return this.session.statsOf(measurement, this.scaleModes[this.scaleMode].factor, this.scaleError());
+  }
 
-    // Draw line between points
-    this.drawMeasurementLine(p1, p2, distanceMM);
+  /**
+   * Per-sample error of the current scale mode, as a fraction of the distance
+   */
+  scaleError() {
+    return this.scaleMode === 'calibrated'
+      ? MEASUREMENT_UNCERTAINTY.calibrated_relative
+      : MEASUREMENT_UNCERTAINTY.preset_relative;
   }
 
   /**
-   * Draw a line between measurement points
+   * Refresh mm values, selection highlight and part placement, then notify
    */
-  drawMeasurementLine(p1, p2, distance) {
-    // Remove previous line
-    if (this.measurementLine) {
-      this.scene.remove(this.measurementLine);
+  updateMeasurements() {
+    this.measurements = this.session.toMillimetres(this.scaleModes[this.scaleMode].factor);
+
+    this.measurementVisuals.forEach((visual, id) => {
+      const selected = id === this.session.selectedId;
+      visual.getObjectByName('line').material.color.setHex(selected ? 0x00FF00 : 0x4CAF50);
+      visual.getObjectByName('line').material.opacity = selected ? 1 : 0.6;
+    });
+
+    // Calculate and store center point for AR part placement
+    this.measurementCenter = this.session.getCenter();
+    this.showCenterIndicator();
+    this.updatePartPlacement();
+
+    if (this.onMeasurementUpdate) {
+      this.onMeasurementUpdate(this.measurements);
     }
+  }
+
+  /**
+   * Sphere marking a measurement point
+   */
+  createPointMarker(position) {
+    const markerGeometry = new THREE.SphereGeometry(0.05, 16, 16);
+    const markerMaterial = new THREE.MeshStandardMaterial({
+      color: 0xFF5722,
+      emissive: 0xFF5722,
+      emissiveIntensity: 0.5
+    });
+    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    marker.position.copy(position);
+    return marker;
+  }
 
-    // Create line
-    const material = new THREE.LineBasicMaterial({ 
+  /**
+   * Draw one measurement's markers, lines and outlines (for every sample) and label as a group.
+   * Distances are a line between their ends; tool samples carry an overlay of
+   * {points, segments, path, closed} - tapped points, straight lines, and a
+   * circle, arc or polygon outline.
+   */
+  drawMeasurement(measurement) {
+    const visual = new THREE.Group();
+    visual.name = `measurement_${measurement.id}`;
+
+    const overlays = measurement.samples.map(sample => sample.overlay || {
+      points: [sample.start, sample.end],
+      segments: [[sample.start, sample.end]],
+      path: [],
+      closed: false
+    });
+    overlays.forEach(({ points }) => {
+      points.forEach(point => visual.add(this.createPointMarker(point)));
+    });
+
+    // Create lines - outlines share the line's material, so they're highlighted with it
+    const material = new THREE.LineBasicMaterial({
       color: 0x00FF00,
-      linewidth: 2
+      linewidth: 2,
+      transparent: true
+    });
+    const geometry = new THREE.BufferGeometry().setFromPoints(overlays.flatMap(o => o.segments.flat()));
+    const line = new THREE.LineSegments(geometry, material);
+    line.name = 'line';
+    visual.add(line);
+
+    overlays.filter(({ path }) => path.length > 1).forEach(({ path, closed }) => {
+      const Outline = closed ? THREE.LineLoop : THREE.Line;
+      visual.add(new Outline(new THREE.BufferGeometry().setFromPoints(path), material));
     });
-    const geometry = new THREE.BufferGeometry().setFromPoints([p1, p2]);
-    this.measurementLine = new THREE.Line(geometry, material);
-    this.scene.add(this.measurementLine);
+
+    this.scene.add(visual);
+    this.measurementVisuals.set(measurement.id, visual);
 
     // Add label (using sprite with canvas texture)
-    this.addDistanceLabel(p1, p2, distance);
+    this.redrawLabel(measurement);
   }
 
   /**
-   * Add a text label showing distance
+   * (Re)draw the text label showing a measurement's name and value
    */
-  addDistanceLabel(p1, p2, distance) {
-    const midpoint = new THREE.Vector3().lerpVectors(p1, p2, 0.5);
-    
+  redrawLabel(measurement) {
+    const visual = this.measurementVisuals.get(measurement.id);
+    if (!visual) return;
+
+    const previous = visual.getObjectByName('label');
+    if (previous) {
+      visual.remove(previous);
+      previous.material.map.dispose();
+      previous.material.dispose();
+    }
+
+    const midpoint = new THREE.Vector3().lerpVectors(measurement.start, measurement.end, 0.5);
+    const { mean, uncertainty } = this.statsOf(measurement);
+
     // Create canvas for text
     const canvas = document.createElement('canvas');
     const context = canvas.getContext('2d');
     canvas.width = 256;
     canvas.height = 64;
-    
+
     context.fillStyle = '#000000';
     context.fillRect(0, 0, canvas.width, canvas.height);
     context.fillStyle = '#00FF00';
-    context.font = 'Bold 32px Arial';
+    context.font = 'Bold 24px Arial';
     context.textAlign = 'center';
-    context.fillText(`${distance}mm`, 128, 40);
+    context.fillText(`${measurement.label}: ${mean} ±${uncertainty}${MEASUREMENT_TYPES[measurement.type].unit}`, 128, 40);
 
     const texture = new THREE.CanvasTexture(canvas);
     const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
     const sprite = new THREE.Sprite(spriteMaterial);
+    sprite.name = 'label';
     sprite.position.copy(midpoint);
     sprite.scale.set(1, 0.25, 1);
-    this.scene.add(sprite);
-    this.markers.push(sprite);
+    visual.add(sprite);
+  }
+
+  /**
+   * Remove a measurement's markers, line and label from the scene
+   */
+  removeMeasurementVisual(id) {
+    const visual = this.measurementVisuals.get(id);
+    if (!visual) return;
+
+    this.scene.remove(visual);
+    this.measurementVisuals.delete(id);
   }
 
   /**
@@ -439,11 +1168,12 @@ export class ARManager {
     this.centerIndicator.position.copy(this.measurementCenter);
     this.scene.add(this.centerIndicator);
 
-    // Add pulsing animation
+    // Add pulsing animation (stops once this indicator is replaced)
+    const indicator = this.centerIndicator;
     let scale = 1;
     let growing = true;
     const animate = () => {
-      if (!this.centerIndicator || !this.centerIndicator.parent) return;
+      if (this.centerIndicator !== indicator || !indicator.parent) return;
       
       if (growing) {
         scale += 0.02;
@@ -463,16 +1193,18 @@ export class ARManager {
    * Clear all measurement points
    */
   clearPoints() {
-    // Remove all markers
-    this.markers.forEach(marker => {
-      this.scene.remove(marker);
+    this.cancelCalibration();
+    this.cancelTool();
+
+    // Remove all markers, lines and labels
+    this.measurementVisuals.forEach(visual => {
+      this.scene.remove(visual);
     });
-    this.markers = [];
-    
-    // Remove measurement line
-    if (this.measurementLine) {
-      this.scene.remove(this.measurementLine);
-      this.measurementLine = null;
+    this.measurementVisuals.clear();
+
+    if (this.pendingMarker) {
+      this.scene.remove(this.pendingMarker);
+      this.pendingMarker = null;
     }
 
     // Remove center indicator
@@ -482,7 +1214,7 @@ export class ARManager {
     }
 
     // Clear data
-    this.points = [];
+    this.session.clear();
     this.measurements = {};
     this.measurementCenter = null; // Reset measurement center
 
@@ -505,17 +1237,87 @@ export class ARManager {
     if (this.scaleModes[mode]) {
       this.scaleMode = mode;
       console.log(`📏 Scale mode changed to: ${this.scaleModes[mode].name}`);
+      this.updatePartPlacement();
       
-      // Recalculate measurements if we have points
-      if (this.points.length === 2) {
-        this.calculateDistance();
-        if (this.onMeasurementUpdate) {
-          this.onMeasurementUpdate(this.measurements);
-        }
+      // Recalculate measurements and relabel them in the new scale
+      if (this.session.measurements.length > 0) {
+        this.session.measurements.forEach(m => this.redrawLabel(m));
+        this.updateMeasurements();
       }
     }
   }
 
+  /**
+   * Start measuring a known object; the next two taps set the scale
+   * @param {string|number} reference - Key of CALIBRATION_REFERENCES, or a length in mm
+   */
+  startCalibration(reference) {
+    resolveReference(reference); // Throws on an unknown reference
+    this.cancelCalibration();
+    this.calibration = { reference, start: null, marker: null };
+  }
+
+  /**
+   * Stop a calibration in progress, keeping the current scale
+   */
+  cancelCalibration() {
+    if (this.calibration && this.calibration.marker) {
+      this.scene.remove(this.calibration.marker);
+    }
+    this.calibration = null;
+  }
+
+  isCalibrating() {
+    return this.calibration !== null;
+  }
+
+  /**
+   * Add one end of the reference object - the second end completes calibration
+   */
+  addCalibrationPoint(position) {
+    const { reference, start } = this.calibration;
+    if (!start) {
+      this.calibration.start = position.clone();
+      this.calibration.marker = this.createPointMarker(position);
+      this.scene.add(this.calibration.marker);
+      return;
+    }
+
+    let result;
+    try {
+      result = calibrate(start.distanceTo(position), reference);
+    } catch (error) {
+      console.warn('Calibration failed:', error.message);
+      this.startCalibration(reference);
+      return;
+    }
+
+    this.cancelCalibration();
+    // A photo's scale belongs to that photo - don't keep it for the session
+    if (!this.photo) {
+      saveCalibration(result);
+    }
+    this.applyCalibration(result);
+    console.log(`📐 Calibrated on ${result.reference}: ${result.factor.toFixed(2)}mm per unit`);
+
+    if (this.onCalibrated) {
+      this.onCalibrated(result);
+    }
+  }
+
+  /**
+   * Use a calibration as the 'calibrated' scale mode
+   * @param {{factor: number, reference: string, length: number}} calibration
+   */
+  applyCalibration({ factor, reference, length }) {
+    this.scaleModes.calibrated = {
+      factor,
+      name: 'Calibrated',
+      description: `${reference} = ${length}mm`
+    };
+    this.setScaleMode('calibrated');
+  }
+
   /**
    * Get current scale mode info
    */
@@ -524,33 +1326,105 @@ export class ARManager {
   }
 
   /**
-   * Get measurements formatted for AI
+   * Get measurements formatted for AI - keyed by label, so slot measurements
+   * arrive under their parameter names
    */
   getMeasurementsForAI() {
-    const formatted = {};
-    const keys = Object.keys(this.measurements);
-    
-    // Try to infer measurement types based on count
-    if (keys.length >= 2) {
-      formatted.length = this.measurements[keys[0]];
-      formatted.width = this.measurements[keys[1]];
+    return this.session.toMillimetres(this.scaleModes[this.scaleMode].factor);
+  }
+
+  /**
+   * Estimated ± error of each measurement in mm, keyed like getMeasurementsForAI
+   */
+  getMeasurementUncertainty() {
+    return this.session.toUncertainties(this.scaleModes[this.scaleMode].factor, this.scaleError());
+  }
+
+  /**
+   * Measurements and scale as plain data, for saving in a project
+   * @returns {{session: Object, scale: {mode: string, calibrated: Object|null}}}
+   */
+  getMeasurementState() {
+    return {
+      session: this.session.toJSON(),
+      scale: { mode: this.scaleMode, calibrated: this.scaleModes.calibrated || null }
+    };
+  }
+
+  /**
+   * Replace the measurements with ones saved by getMeasurementState. A saved
+   * calibration applies to this project only - the session's isn't changed.
+   * @param {{session: Object, scale: Object}} state - From getMeasurementState
+   */
+  restoreMeasurementState({ session, scale }) {
+    if (scale.calibrated) {
+      this.scaleModes.calibrated = scale.calibrated;
     }
-    if (keys.length >= 3) {
-      formatted.thickness = this.measurements[keys[2]];
+    if (this.scaleModes[scale.mode]) {
+      this.scaleMode = scale.mode;
     }
-    if (keys.length >= 4) {
-      formatted.hole_diameter = this.measurements[keys[3]];
+
+    // Labels are drawn in the restored scale
+    this.restoreSession(session);
+  }
+
+  /**
+   * Replace the measurements, keeping the current scale (undo and redo)
+   * @param {Object} session - From MeasurementSession.toJSON
+   */
+  restoreSession(session) {
+    this.clearPoints();
+    this.session = MeasurementSession.fromJSON(session);
+    this.session.measurements.forEach(m => this.drawMeasurement(m));
+    this.updateMeasurements();
+  }
+
+  /**
+   * Small JPEG of the current view (camera frame or photo included) for the project list
+   * @param {number} width - Thumbnail width in px
+   * @returns {string} - Data URL
+   */
+  captureThumbnail(width = 240) {
+    const view = this.renderer.domElement;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.round(width * view.height / view.width);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // The live camera is a video behind the (transparent) canvas, cropped to cover it
+    if (this.video && !this.demoMode && !this.photo && this.video.videoWidth) {
+      const { videoWidth, videoHeight } = this.video;
+      const scale = Math.max(canvas.width / videoWidth, canvas.height / videoHeight);
+      context.drawImage(
+        this.video,
+        (canvas.width - videoWidth * scale) / 2,
+        (canvas.height - videoHeight * scale) / 2,
+        videoWidth * scale,
+        videoHeight * scale
+      );
     }
 
-    return formatted;
+    // Render now so the drawing buffer still holds the frame
+    this.renderer.render(this.scene, this.camera);
+    context.drawImage(view, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
   }
 
   /**
    * Handle window resize
    */
   onWindowResize() {
-    this.camera.aspect = window.innerWidth / window.innerHeight;
-    this.camera.updateProjectionMatrix();
+    if (this.preview) {
+      this.preview.onWindowResize();
+    }
+    if (this.photo) {
+      this.fitPhotoToView();
+    } else {
+      this.camera.aspect = window.innerWidth / window.innerHeight;
+      this.camera.updateProjectionMatrix();
+    }
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
@@ -564,62 +1438,236 @@ export class ARManager {
     if (this.video && !this.demoMode && this.video.paused) {
       this.video.play().catch(err => console.log('Video play error:', err));
     }
+
+    if (this.preview) {
+      this.preview.render();
+      return;
+    }
+
+    if (this.markerTracker && this.video && !this.demoMode && !this.photo) {
+      this.trackMarker();
+    }
     
-    // Rotate reference plane slowly for visual effect (demo mode only)
-    if (this.referencePlane && this.demoMode) {
+    // Rotate reference plane slowly for visual effect (demo grid only)
+    if (this.referencePlane && this.demoMode && !this.photo) {
       this.referencePlane.rotation.z += 0.001;
     }
 
-    // Rotate generated part for visual feedback
-    const generatedPart = this.scene.getObjectByName('generated_part');
-    if (generatedPart) {
+    // Turn the generated part on the spot for visual feedback - not while it's being placed
+    if (this.autoRotate && !this.placing && this.scene.getObjectByName('generated_part')) {
       // Slow rotation in AR mode, faster in demo mode
-      const rotationSpeed = this.demoMode ? 0.01 : 0.005;
-      generatedPart.rotation.y += rotationSpeed;
+      this.placement.angle += this.demoMode ? 0.01 : 0.005;
+      this.updatePartPlacement();
     }
 
     this.renderer.render(this.scene, this.camera);
   }
 
   /**
-   * Add a generated part to the scene
+   * Add a generated part to the scene (and the preview, when open)
+   * @param {THREE.Mesh} partMesh - Part in mm
+   * @param {Array|null} dimensions - From partDimensions, for the preview's callouts;
+   *   null shows the part's overall size instead
    */
-  addPartToScene(partMesh) {
-    // Remove previous part
-    const existingPart = this.scene.getObjectByName('generated_part');
-    if (existingPart) {
-      this.scene.remove(existingPart);
-    }
+  addPartToScene(partMesh, dimensions = null) {
+    this.removePart();
 
     // Add new part
     partMesh.name = 'generated_part';
-    
-    // Position and scale based on mode
-    if (this.measurementCenter && !this.demoMode) {
-      // AR mode: position at measurement location
-      partMesh.position.copy(this.measurementCenter);
-      
-      // Use smaller scale for AR viewing (tune this if size is wrong!)
-      // Start with 0.01 - adjust up if too small, down if too large
-      const arScale = 0.01;
-      partMesh.scale.set(arScale, arScale, arScale);
-    } else {
-      // Demo mode: position at origin
-      partMesh.position.set(0, 0, 0);
-      
-      // Use scale for demo viewing
-      const demoScale = 0.05;
-      partMesh.scale.set(demoScale, demoScale, demoScale);
-    }
+    this.partDimensions = dimensions;
+    this.partPose = restingPose(partMesh.geometry);
     
     // Part will rotate via main animate() loop
     this.scene.add(partMesh);
+    this.updatePartPlacement();
+
+    if (this.preview) {
+      this.preview.setPart(partMesh, dimensions);
+    }
+  }
+
+  /**
+   * Lay the part on the reference surface at its true size, against the
+   * same scale the measurements were taken with: in AR mode at the measured
+   * spot, in demo mode at the origin, then moved and turned as placed
+   */
+  updatePartPlacement() {
+    const part = this.scene && this.scene.getObjectByName('generated_part');
+    if (!part || !this.partPose) return;
+
+    const unitsPerMm = this.partUnitsPerMm();
+    const anchor = this.measurementCenter && !this.demoMode
+      ? this.measurementCenter
+      : new THREE.Vector3(0, 0, 0);
+    const { position, quaternion } = placePart({
+      pose: this.partPose,
+      anchor,
+      normal: this.surfaceNormal(),
+      offset: this.placement.offset,
+      angle: this.placement.angle,
+      unitsPerMm
+    });
+
+    part.position.copy(position);
+    part.quaternion.copy(quaternion);
+    part.scale.setScalar(unitsPerMm);
+  }
+
+  /**
+   * Scene units per mm - from the marker when measurements were taken on
+   * it, otherwise the scale mode (preset or calibrated)
+   */
+  partUnitsPerMm() {
+    return 1 / this.session.millimetresPerUnit(this.scaleModes[this.scaleMode].factor);
+  }
+
+  /**
+   * Normal of the reference plane (or photo), on the side facing the camera
+   */
+  surfaceNormal() {
+    this.referencePlane.updateMatrixWorld();
+    return new THREE.Vector3(0, 0, 1).transformDirection(this.referencePlane.matrixWorld);
+  }
+
+  /**
+   * Let drags move the part along the surface instead of taking measurements
+   */
+  setPlacing(on) {
+    this.placing = on;
+    this.drag = null;
+    if (on) {
+      this.cancelTool();
+    }
+  }
+
+  isPlacing() {
+    return this.placing;
+  }
+
+  /**
+   * Grab the part where the pointer hits the surface
+   */
+  startDrag(event) {
+    if (!this.placing || this.preview || !this.scene.getObjectByName('generated_part')) return;
+    const hit = this.raycastPlane(event.clientX, event.clientY);
+    if (!hit) return;
+
+    this.drag = { from: hit.point.clone(), offset: this.placement.offset.clone() };
+    this.renderer.domElement.setPointerCapture(event.pointerId);
+  }
+
+  moveDrag(event) {
+    if (!this.drag) return;
+    const hit = this.raycastPlane(event.clientX, event.clientY);
+    if (!hit) return;
+
+    this.placement.offset.copy(this.drag.offset).add(hit.point).sub(this.drag.from);
+    this.updatePartPlacement();
+  }
+
+  /**
+   * Turn the part about the surface normal
+   * @param {number} degrees - Anticlockwise, seen from the camera
+   */
+  turnPart(degrees) {
+    this.placement.angle += THREE.MathUtils.degToRad(degrees);
+    this.updatePartPlacement();
+  }
+
+  /**
+   * Move the part a little along the surface, in screen directions
+   * @param {number} right - mm to the right (negative for left)
+   * @param {number} up - mm up or away (negative for down or nearer)
+   */
+  nudgePart(right, up) {
+    const cameraRight = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+    this.placement.offset = nudgeOffset(
+      this.placement.offset, this.surfaceNormal(), cameraRight, right, up, this.partUnitsPerMm()
+    );
+    this.updatePartPlacement();
+  }
+
+  /**
+   * Put the part back on the measured spot, unturned
+   */
+  resetPlacement() {
+    this.placement = { offset: new THREE.Vector3(), angle: 0 };
+    this.updatePartPlacement();
+  }
+
+  /**
+   * Spin the part on the spot (or orbit the preview around it)
+   */
+  setAutoRotate(on) {
+    this.autoRotate = on;
+    if (this.preview) {
+      this.preview.setAutoRotate(on);
+    }
+  }
+
+  /**
+   * Inspect the generated part on its own: orbit, pan and zoom, cut a
+   * section and read its dimensions
+   * @returns {boolean} - False when there's no part to preview
+   */
+  openPreview() {
+    const part = this.scene.getObjectByName('generated_part');
+    if (!part) return false;
+
+    if (!this.preview) {
+      this.cancelTool();
+      this.preview = new PartPreview(this.renderer);
+      this.preview.setAutoRotate(this.autoRotate);
+      this.preview.setPart(part, this.partDimensions);
+    }
+    return true;
+  }
+
+  /**
+   * Back to the live view
+   */
+  closePreview() {
+    if (!this.preview) return;
+    this.preview.dispose();
+    this.preview = null;
+  }
+
+  isPreviewMode() {
+    return this.preview !== null;
+  }
+
+  /**
+   * Cut the preview with a plane across an axis
+   * @param {string|null} axis - 'x', 'y' or 'z'; null for the whole part
+   * @param {number} fraction - Where the cut is across the part, 0-1
+   */
+  setPreviewSection(axis, fraction) {
+    if (this.preview) {
+      this.preview.setSection(axis, fraction);
+    }
+  }
+
+  setPreviewDimensionsVisible(on) {
+    if (this.preview) {
+      this.preview.setDimensionsVisible(on);
+    }
+  }
+
+  /**
+   * Take the generated part out of the scene, if there is one
+   */
+  removePart() {
+    const existingPart = this.scene.getObjectByName('generated_part');
+    if (existingPart) {
+      this.scene.remove(existingPart);
+    }
   }
 
   /**
    * Cleanup
    */
   dispose() {
+    this.closePreview();
     if (this.renderer) {
       this.renderer.dispose();
       if (this.renderer.domElement.parentElement) {
@@ -629,3 +1677,125 @@ export class ARManager {
   }
 }
 
+/**
+ * Build a tool's sample from its points in plane coordinates: value in scene
+ * units (trueValue in mm when planePoints were on the marker), the span its
+ * label sits at, and the lines to draw
+ */
+const measureTool = {
+  diameter(flat, planePoints, toScene) {
+    const fit = fitCircle(flat);
+    const start = toScene(fit.x - fit.radius, fit.y);
+    const end = toScene(fit.x + fit.radius, fit.y);
+    return {
+      start,
+      end,
+      value: fit.diameter,
+      trueValue: planePoints ? fitCircle(planePoints).diameter : null,
+      overlay: {
+        segments: [[start, end]],
+        path: arcPoints(fit, 0, Math.PI * 2, toScene),
+        closed: true
+      }
+    };
+  },
+
+  // Fitted to part of a circle; drawn from the centre to the middle of the arc
+  radius(flat, planePoints, toScene) {
+    const fit = fitCircle(flat);
+    const { start: from, sweep } = arcThrough(fit, flat);
+    const middle = from + sweep / 2;
+    const center = toScene(fit.x, fit.y);
+    const end = toScene(fit.x + Math.cos(middle) * fit.radius, fit.y + Math.sin(middle) * fit.radius);
+    return {
+      start: center,
+      end,
+      value: fit.radius,
+      trueValue: planePoints ? fitCircle(planePoints).radius : null,
+      overlay: {
+        segments: [[center, end]],
+        path: arcPoints(fit, from, sweep, toScene),
+        closed: false
+      }
+    };
+  },
+
+  // Points are an arm, the vertex, the other arm; the label goes inside the angle
+  angle(flat, planePoints, toScene) {
+    const [a, vertex, b] = flat;
+    const arm = Math.min(Math.hypot(a.x - vertex.x, a.y - vertex.y), Math.hypot(b.x - vertex.x, b.y - vertex.y));
+    const { start: from, sweep } = arcThrough(vertex, [a, b]);
+    const shortSweep = sweep > Math.PI ? sweep - Math.PI * 2 : sweep;
+    const [sceneA, sceneVertex, sceneB] = flat.map(p => toScene(p.x, p.y));
+    return {
+      start: sceneVertex,
+      end: new THREE.Vector3().lerpVectors(sceneA, sceneB, 0.5),
+      value: angleAt(a, vertex, b),
+      trueValue: planePoints ? angleAt(...planePoints) : null,
+      overlay: {
+        segments: [[sceneVertex, sceneA], [sceneVertex, sceneB]],
+        path: arcPoints({ ...vertex, radius: arm * 0.3 }, from, shortSweep, toScene),
+        closed: false
+      }
+    };
+  },
+
+  // Corners in order around the shape; the label goes at its centroid
+  area(flat, planePoints, toScene) {
+    const centroid = polygonCentroid(flat);
+    const center = toScene(centroid.x, centroid.y);
+    return {
+      start: center,
+      end: center,
+      value: polygonArea(flat),
+      trueValue: planePoints ? polygonArea(planePoints) : null,
+      overlay: {
+        segments: [],
+        path: flat.map(p => toScene(p.x, p.y)),
+        closed: true
+      }
+    };
+  }
+};
+
+/**
+ * Points along an arc of a circle in plane coordinates, mapped into the scene
+ */
+function arcPoints(circle, from, sweep, toScene) {
+  const steps = Math.max(2, Math.ceil(CIRCLE_SEGMENTS * Math.abs(sweep) / (Math.PI * 2)));
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = from + (sweep * i) / steps;
+    points.push(toScene(circle.x + Math.cos(angle) * circle.radius, circle.y + Math.sin(angle) * circle.radius));
+  }
+  return points;
+}
+
+/**
+ * Load an image into ImageData for pixel access
+ * @param {string} url - Image URL
+ * @returns {Promise<ImageData>}
+ */
+async function loadImageData(url) {
+  const image = await loadImage(url);
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Load an image element
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${url}`));
+    image.src = url;
+  });
+}
@@ -0,0 +1,66 @@
+// Scale calibration - measure a known object to get mm per scene unit
+import { CALIBRATION_REFERENCES } from './config.js';
+
+const STORAGE_KEY = 'scale_calibration';
+
+/**
+ * Resolve a reference object, or a custom length in mm
+ * @param {string|number} reference - Key of CALIBRATION_REFERENCES, or a length in mm
+ * @returns {{name: string, length: number}}
+ */
+export function resolveReference(reference) {
+  if (typeof reference === 'number') {
+    if (!(reference > 0)) {
+      throw new Error(`Calibration length must be positive: ${reference}`);
+    }
+    return { name: `${reference}mm`, length: reference };
+  }
+
+  const known = CALIBRATION_REFERENCES[reference];
+  if (!known) {
+    throw new Error(`Unknown calibration reference: ${reference}`);
+  }
+  return { name: known.name, length: known.length };
+}
+
+/**
+ * Scale factor from a measured reference
+ * @param {number} sceneDistance - Measured distance in scene units
+ * @param {string|number} reference - Key of CALIBRATION_REFERENCES, or a length in mm
+ * @returns {{factor: number, reference: string, length: number}} - factor is mm per scene unit
+ */
+export function calibrate(sceneDistance, reference) {
+  if (!(sceneDistance > 0)) {
+    throw new Error('Calibration points are too close together');
+  }
+  const { name, length } = resolveReference(reference);
+  return { factor: length / sceneDistance, reference: name, length };
+}
+
+/**
+ * Calibration saved in this browser session, if any. It isn't kept across
+ * sessions - the next one may be on another camera or zoom level.
+ * @param {Storage} storage - Defaults to sessionStorage
+ * @returns {{factor: number, reference: string, length: number}|null}
+ */
+export function loadCalibration(storage = globalThis.sessionStorage) {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    return saved && saved.factor > 0 ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save a calibration for this browser session (null forgets it)
+ * @param {Object|null} calibration - From calibrate
+ * @param {Storage} storage - Defaults to sessionStorage
+ */
+export function saveCalibration(calibration, storage = globalThis.sessionStorage) {
+  if (calibration) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+  } else {
+    storage.removeItem(STORAGE_KEY);
+  }
+}
@@ -20,7 +20,7 @@ export const PART_TYPES = {
     emoji: '📐',
     description: 'L-shaped support with optional holes',
     requiredParams: ['leg_a', 'leg_b', 'thickness'],
-    optionalParams: ['fillet', 'holes']
+    optionalParams: ['width', 'fillet', 'holes']
   },
   u_clamp: {
     name: 'U-Clamp',
@@ -51,6 +51,9 @@ export const CONSTRAINTS = {
   min_thickness: 0.8, // 2x nozzle
   min_hole_diameter: 2.0, // mm
   max_dimension: 200, // mm (typical print bed)
+  max_overhang_angle: 45, // degrees from vertical before supports are needed
+  bed_size: { x: 200, y: 200, z: 200 }, // mm - printer build volume
+  max_uncertainty: 0.5, // mm - measurements less certain than this widen the fit tolerance
   tolerances: {
     press: -0.2,
     slip: 0.1,
@@ -58,6 +61,55 @@ export const CONSTRAINTS = {
   }
 };
 
+// Parameter editor sliders: range and step per parameter, in mm unless
+// `unit` says otherwise. `default` is what the generator uses when an
+// optional parameter is left out. Sliders reach past CONSTRAINTS so bad
+// values can be tried and flagged.
+export const PARAMETER_RANGES = {
+  length: { min: 1, max: 250, step: 0.5 },
+  width: { min: 1, max: 250, step: 0.5, default: 20 },
+  height: { min: 1, max: 250, step: 0.5 },
+  depth: { min: 1, max: 250, step: 0.5 },
+  leg_a: { min: 1, max: 250, step: 0.5 },
+  leg_b: { min: 1, max: 250, step: 0.5 },
+  thickness: { min: 0.4, max: 20, step: 0.1 },
+  outer_d: { min: 1, max: 250, step: 0.5 },
+  inner_d: { min: 0.5, max: 250, step: 0.5 },
+  chamfer: { min: 0, max: 5, step: 0.1, default: 0 },
+  fillet: { min: 0, max: 50, step: 0.5, default: 0 },
+  gap_angle: { min: 0, max: 180, step: 1, unit: '°' },
+  // Screw holes
+  diameter: { min: 1, max: 30, step: 0.1 },
+  countersink_d: { min: 0, max: 30, step: 0.1, default: 0 },
+  counterbore_d: { min: 0, max: 30, step: 0.1, default: 0 },
+  counterbore_depth: { min: 0, max: 20, step: 0.1, default: 0 },
+  offset_a: { min: 0, max: 250, step: 0.5 },
+  offset_b: { min: 0, max: 250, step: 0.5 },
+  position_x: { min: -125, max: 125, step: 0.5, default: 0 },
+  position_y: { min: -125, max: 125, step: 0.5, default: 0 }
+};
+
+// Fields of one hole in each part type's `holes` list (see part-generators.js);
+// `choices` pick where the hole goes (with the generator's default), `new`
+// is an added hole's values
+export const HOLE_FIELDS = {
+  l_bracket: {
+    choices: { leg: { options: ['a', 'b'], default: 'b' } },
+    fields: ['offset_a', 'offset_b', 'diameter', 'countersink_d', 'counterbore_d', 'counterbore_depth'],
+    new: { diameter: 4.5, leg: 'b', offset_a: 10, offset_b: 10 }
+  },
+  u_clamp: {
+    choices: { wall: { options: ['base', 'left', 'right'], default: 'base' } },
+    fields: ['position_x', 'position_y', 'diameter', 'countersink_d', 'counterbore_d', 'counterbore_depth'],
+    new: { diameter: 4.5, wall: 'base', position_x: 0, position_y: 0 }
+  },
+  face_plate: {
+    choices: {},
+    fields: ['position_x', 'position_y', 'diameter'],
+    new: { diameter: 4.5, position_x: 0, position_y: 0 }
+  }
+};
+
 // AI System Prompt
 export const AI_SYSTEM_PROMPT = `You are a CAD assistant for generating simple 3D-printable repair parts.
 
@@ -71,7 +123,7 @@ Your job:
 Available part types:
 - shim: rectangular spacer (params: length, width, thickness, chamfer?)
 - washer: disc with hole (params: outer_d, inner_d, thickness)
-- l_bracket: L-profile (params: leg_a, leg_b, thickness, fillet?, holes?)
+- l_bracket: L-profile (params: leg_a, leg_b, thickness, width?, fillet?, holes?)
 - u_clamp: U-shape (params: width, height, depth, thickness, holes?)
 - face_plate: flat plate (params: length, width, thickness, holes?)
 - clip: C-shaped spring (params: outer_d, inner_d, thickness, gap_angle)
@@ -82,6 +134,9 @@ Rules:
 - Hole diameter for screws: screw_d + 0.3mm clearance
 - Press fit: -0.2mm; clearance: +0.3mm
 - Fillets on brackets: ~4mm
+- l_bracket holes: { diameter, leg: "a"|"b", offset_a, offset_b } - offset along the chosen leg from the outer corner, the other offset across the width
+- u_clamp holes: { diameter, wall: "base"|"left"|"right", position_x, position_y } - from the wall centre
+- Any hole may add countersink_d (90° flat-head) or counterbore_d + counterbore_depth (socket head)
 - Suggest PLA (general), PETG (strength), or TPU (flex)
 
 Return format:
@@ -117,10 +172,11 @@ export const AI_EXAMPLES = [
         leg_a: 40,
         leg_b: 60,
         thickness: 3,
+        width: 20,
         fillet: 4,
         holes: [
-          { diameter: 4.5, offset_a: 10, offset_b: 10 },
-          { diameter: 4.5, offset_a: 10, offset_b: 30 }
+          { diameter: 4.5, leg: "b", offset_a: 10, offset_b: 10, countersink_d: 9 },
+          { diameter: 4.5, leg: "b", offset_a: 10, offset_b: 30, countersink_d: 9 }
         ]
       },
       derived_from: ["leg lengths rounded", "hole_d + 0.3mm for M4 clearance"],
@@ -143,10 +199,106 @@ export const AI_EXAMPLES = [
   }
 ];
 
-// OpenAI API configuration
-export const OPENAI_CONFIG = {
-  model: 'gpt-4o-mini',
+// AI request settings, whichever provider answers
+export const LLM_CONFIG = {
+  provider: 'proxy', // Key of LLM_PROVIDERS used when none is chosen - keeps keys on the server
   temperature: 0.3, // Low for consistency
-  max_tokens: 1000
+  max_tokens: 1000,
+  recipe_max_tokens: 1500 // Recipes list several steps
+};
+
+// Chat-completion providers. Local servers speak the OpenAI API and need no
+// key; `json_mode` says whether they accept `response_format: json_object`
+// (without it the JSON is picked out of the reply text).
+export const LLM_PROVIDERS = {
+  proxy: {
+    name: 'App server', // The site's own AI proxy, which holds the key (src/ai-proxy.js)
+    base_url: '/api/ai',
+    model: 'default', // The server picks
+    needs_key: false
+  },
+  openai: {
+    name: 'OpenAI',
+    base_url: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    auth_header: 'Authorization',
+    auth_scheme: 'Bearer',
+    needs_key: true,
+    json_mode: true
+  },
+  ollama: {
+    name: 'Ollama',
+    base_url: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    auth_header: 'Authorization',
+    auth_scheme: 'Bearer',
+    needs_key: false,
+    json_mode: true
+  },
+  llamacpp: {
+    name: 'llama.cpp server',
+    base_url: 'http://localhost:8080/v1',
+    model: 'local', // Serves whichever model it was started with
+    auth_header: 'Authorization',
+    auth_scheme: 'Bearer',
+    needs_key: false,
+    json_mode: true
+  },
+  vllm: {
+    name: 'vLLM',
+    base_url: 'http://localhost:8000/v1',
+    model: 'Qwen/Qwen2.5-7B-Instruct',
+    auth_header: 'Authorization',
+    auth_scheme: 'Bearer',
+    needs_key: false,
+    json_mode: true
+  },
+  mock: {
+    name: 'Offline mock', // Canned replies - for demos and tests
+    needs_key: false
+  }
+};
+
+// Server-side AI proxy - what one request may ask for, and how often
+export const AI_PROXY_CONFIG = {
+  max_body_bytes: 16 * 1024, // A description and its measurements - the server writes the prompts
+  max_description_chars: 2000,
+  max_measurements: 50,
+  max_tokens: 2000, // Cap on the part and recipe max_tokens in LLM_CONFIG
+  rate_limit: 20, // Requests per client per window
+  rate_window_ms: 60 * 1000
+};
+
+
+// Fiducial marker used for true-scale measurements in camera mode
+export const MARKER_CONFIG = {
+  size_mm: 50, // printed edge length of the black square
+  pattern_url: '/markers/marker-0.png',
+  camera_hfov: 65, // degrees - typical phone main camera, used for pose only
+  min_confidence: 0.75, // pattern correlation needed to accept a detection
+  detection_width: 320, // px - frames are downscaled to this before detection
+  photo_detection_width: 960, // px - still photos can afford a sharper look
+  lost_after_ms: 500 // marker counts as lost when not seen for this long
+};
+
+// Known objects for calibrating the scale without a marker
+export const CALIBRATION_REFERENCES = {
+  credit_card: { name: 'Credit card', emoji: '💳', length: 85.6, description: 'long edge of a bank or ID card' },
+  coin: { name: 'Coin', emoji: '🪙', length: 24.26, description: 'diameter of a US quarter' },
+  a4: { name: 'A4 sheet', emoji: '📄', length: 297, description: 'long edge of A4 paper' }
 };
 
+// Per-sample measurement error, before repeated samples are averaged
+export const MEASUREMENT_UNCERTAINTY = {
+  marker_mm: 1, // tap placement on the tracked marker plane
+  calibrated_relative: 0.03, // fraction of the distance, reference-object scale
+  preset_relative: 0.2, // fraction of the distance, Small/Medium/Large guesses
+  angle_deg: 2 // degrees - placing three points on a corner's arms and vertex
+};
+
+// Snapping measurement taps to corners and edges in the camera frame or photo
+export const SNAP_CONFIG = {
+  radius: 12, // px of the image - how far a tap can be pulled
+  edge_contrast: 32, // grey levels a step must have to count as an edge
+  corner_contrast: 32 // grey levels a corner must have - above camera noise
+};
@@ -0,0 +1,122 @@
+// Undo/redo history - a stack of reversible commands
+
+/**
+ * Undo and redo stacks of commands. A command is `{label, undo, redo}`
+ * where `undo` and `redo` may be async. Changes are made first and recorded
+ * afterwards, so recording doesn't run `redo`.
+ *
+ * Commands recorded with the same `mergeKey` within `mergeWindow` ms of
+ * each other become one step - dragging a slider is one edit, not hundreds.
+ */
+export class History {
+  /**
+   * @param {Object} options
+   * @param {number} options.limit - Most steps kept; the oldest are dropped
+   * @param {number} options.mergeWindow - ms within which same-key commands merge
+   * @param {function(): void} options.onChange - Called whenever what can be undone or redone changes
+   */
+  constructor({ limit = 100, mergeWindow = 1000, onChange = null } = {}) {
+    this.limit = limit;
+    this.mergeWindow = mergeWindow;
+    this.onChange = onChange;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.mergeable = null; // Last recorded command, while the next may merge into it
+    this.busy = false; // An undo or redo is running
+  }
+
+  /**
+   * Record a change that has just been made. Anything that was undone can
+   * no longer be redone.
+   * @param {{label: string, undo: function, redo: function, mergeKey?: string}} command
+   * @param {number} now - Time of the change in ms
+   */
+  record(command, now = Date.now()) {
+    const top = this.undoStack[this.undoStack.length - 1];
+    this.redoStack = [];
+
+    if (top && top === this.mergeable && command.mergeKey && top.mergeKey === command.mergeKey &&
+        now - top.time <= this.mergeWindow) {
+      // Same edit continued - undo still goes back to before it started
+      top.redo = command.redo;
+      top.time = now;
+    } else {
+      const step = { ...command, time: now };
+      this.undoStack.push(step);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+      this.mergeable = step;
+    }
+    this.notify();
+  }
+
+  /**
+   * Undo the last step
+   * @returns {Promise<string|null>} - Its label, or null when there was nothing to undo
+   */
+  async undo() {
+    return this.step(this.undoStack, this.redoStack, 'undo');
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {Promise<string|null>} - Its label, or null when there was nothing to redo
+   */
+  async redo() {
+    return this.step(this.redoStack, this.undoStack, 'redo');
+  }
+
+  async step(from, to, action) {
+    if (this.busy || from.length === 0) return null;
+
+    const command = from.pop();
+    this.mergeable = null;
+    this.busy = true;
+    try {
+      await command[action]();
+      to.push(command);
+    } catch (error) {
+      // Not applied - it's still the step to undo (or redo)
+      from.push(command);
+      throw error;
+    } finally {
+      this.busy = false;
+      this.notify();
+    }
+    return command.label;
+  }
+
+  canUndo() {
+    return !this.busy && this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return !this.busy && this.redoStack.length > 0;
+  }
+
+  /**
+   * Labels of the steps undo and redo would take, for button tooltips
+   * @returns {{undo: string|null, redo: string|null}}
+   */
+  nextLabels() {
+    const last = stack => (stack.length > 0 ? stack[stack.length - 1].label : null);
+    return { undo: last(this.undoStack), redo: last(this.redoStack) };
+  }
+
+  /**
+   * Forget every step (e.g. when another project is opened)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.mergeable = null;
+    this.notify();
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
@@ -0,0 +1,279 @@
+// Image snapping - pull measurement taps onto nearby corners and edges, and fit circles to taps
+import { SNAP_CONFIG } from './config.js';
+
+/**
+ * Find the corner or edge a tap was aimed at. Among strong candidates the
+ * one nearest the tap wins, so a tap next to a faint edge isn't dragged
+ * across to a bolder one further away. A corner beats a nearer edge when the
+ * tap is about as close to it as to the edges that meet there.
+ *
+ * Images are ImageData-like: {width, height, data: RGBA bytes}; pass just
+ * the region around the tap. Pixel centres are at whole coordinates.
+ * @param {ImageData} image - Image (or a crop of it) around the tap
+ * @param {number} x - Tap position in image pixels
+ * @param {number} y - Tap position in image pixels
+ * @param {Object} options - {radius?, edge_contrast?, corner_contrast?} overriding SNAP_CONFIG
+ * @returns {{x: number, y: number, kind: 'corner'|'edge'}|null} - Sub-pixel position, or null when
+ *   there's nothing to snap to
+ */
+export function findSnapPoint(image, x, y, options = {}) {
+  const settings = { ...SNAP_CONFIG, ...options };
+  const { width, height } = image;
+  const gray = toGray(image);
+  const { gx, gy, magnitude } = sobel(gray, width, height);
+  const cornerness = minEigenvalues(gx, gy, width, height);
+
+  // Sobel gives 4× the step height at an edge, and a clean right-angle
+  // corner scores about 4× its contrast squared, so compare in grey levels
+  const edgeMin = settings.edge_contrast * 4;
+  const cornerMin = 4 * settings.corner_contrast ** 2;
+
+  const edge = nearestStrong(magnitude, width, height, x, y, settings.radius, edgeMin);
+  const corner = nearestStrong(cornerness, width, height, x, y, settings.radius, cornerMin);
+
+  // From a tap diagonally off a corner its edges are ~1/√2 as far away
+  if (corner && (!edge || corner.distance <= edge.distance * 1.5 + 2)) {
+    const peak = climb(cornerness, width, height, corner.x, corner.y);
+    return { ...refineCorner(gx, gy, width, height, peak.x, peak.y), kind: 'corner' };
+  }
+
+  if (edge) {
+    return { ...refineEdge(magnitude, gx, gy, width, height, edge.x, edge.y), kind: 'edge' };
+  }
+
+  return null;
+}
+
+/**
+ * Least-squares circle through three or more points (Kåsa fit)
+ * @param {Array<{x: number, y: number}>} points - Points on the circle's edge
+ * @returns {{x: number, y: number, radius: number, diameter: number, rms: number}} - Centre,
+ *   size and RMS distance of the points from the circle
+ */
+export function fitCircle(points) {
+  if (points.length < 3) {
+    throw new Error('A circle needs at least 3 points');
+  }
+
+  // Work relative to the mean for numerical stability
+  const mx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const my = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+  // Solve x² + y² + Dx + Ey + F = 0 in the least-squares sense
+  let sxx = 0, sxy = 0, syy = 0, sx = 0, sy = 0;
+  let sxz = 0, syz = 0, sz = 0;
+  points.forEach(p => {
+    const x = p.x - mx;
+    const y = p.y - my;
+    const z = x * x + y * y;
+    sxx += x * x; sxy += x * y; syy += y * y;
+    sx += x; sy += y;
+    sxz += x * z; syz += y * z; sz += z;
+  });
+
+  const solution = solve3(
+    [[sxx, sxy, sx], [sxy, syy, sy], [sx, sy, points.length]],
+    [-sxz, -syz, -sz]
+  );
+  if (!solution) {
+    throw new Error('Circle points are in a line');
+  }
+
+  const [D, E, F] = solution;
+  const cx = -D / 2;
+  const cy = -E / 2;
+  const radius = Math.sqrt(cx * cx + cy * cy - F);
+  const rms = Math.sqrt(points.reduce((sum, p) => (
+    sum + (Math.hypot(p.x - mx - cx, p.y - my - cy) - radius) ** 2
+  ), 0) / points.length);
+
+  return { x: cx + mx, y: cy + my, radius, diameter: radius * 2, rms };
+}
+
+/**
+ * Luma of each pixel
+ */
+function toGray(image) {
+  const { width, height, data } = image;
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Sobel gradients and their magnitude (zero on the border)
+ */
+function sobel(gray, width, height) {
+  const gx = new Float32Array(width * height);
+  const gy = new Float32Array(width * height);
+  const magnitude = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = gray[i - width - 1], t = gray[i - width], tr = gray[i - width + 1];
+      const l = gray[i - 1], r = gray[i + 1];
+      const bl = gray[i + width - 1], b = gray[i + width], br = gray[i + width + 1];
+
+      gx[i] = (tr + 2 * r + br) - (tl + 2 * l + bl);
+      gy[i] = (bl + 2 * b + br) - (tl + 2 * t + tr);
+      magnitude[i] = Math.hypot(gx[i], gy[i]);
+    }
+  }
+
+  return { gx, gy, magnitude };
+}
+
+/**
+ * Shi-Tomasi corner response: smaller eigenvalue of the gradient structure
+ * tensor over a 5×5 window, averaged per pixel. High only where the
+ * gradient points two ways at once.
+ */
+function minEigenvalues(gx, gy, width, height) {
+  const response = new Float32Array(width * height);
+  const half = 2;
+  const count = (half * 2 + 1) ** 2;
+
+  for (let y = half + 1; y < height - half - 1; y++) {
+    for (let x = half + 1; x < width - half - 1; x++) {
+      let a = 0, b = 0, c = 0;
+      for (let dy = -half; dy <= half; dy++) {
+        for (let dx = -half; dx <= half; dx++) {
+          const i = (y + dy) * width + x + dx;
+          a += gx[i] * gx[i];
+          b += gx[i] * gy[i];
+          c += gy[i] * gy[i];
+        }
+      }
+      a /= count; b /= count; c /= count;
+      response[y * width + x] = (a + c) / 2 - Math.sqrt(((a - c) / 2) ** 2 + b * b);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Closest pixel to (x, y) within the radius whose value is at least the
+ * threshold and at least half the strongest value there
+ */
+function nearestStrong(values, width, height, x, y, radius, threshold) {
+  const x0 = Math.max(0, Math.floor(x - radius));
+  const x1 = Math.min(width - 1, Math.ceil(x + radius));
+  const y0 = Math.max(0, Math.floor(y - radius));
+  const y1 = Math.min(height - 1, Math.ceil(y + radius));
+
+  let strongest = 0;
+  for (let py = y0; py <= y1; py++) {
+    for (let px = x0; px <= x1; px++) {
+      if (Math.hypot(px - x, py - y) <= radius) {
+        strongest = Math.max(strongest, values[py * width + px]);
+      }
+    }
+  }
+  if (strongest < threshold) return null;
+
+  const cutoff = Math.max(threshold, strongest / 2);
+  let best = null;
+  for (let py = y0; py <= y1; py++) {
+    for (let px = x0; px <= x1; px++) {
+      const distance = Math.hypot(px - x, py - y);
+      if (distance <= radius && values[py * width + px] >= cutoff && (!best || distance < best.distance)) {
+        best = { x: px, y: py, distance };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Walk uphill to a local maximum
+ */
+function climb(values, width, height, x, y) {
+  for (;;) {
+    let next = null;
+    let value = values[y * width + x];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        if (values[ny * width + nx] > value) {
+          value = values[ny * width + nx];
+          next = { x: nx, y: ny };
+        }
+      }
+    }
+    if (!next) return { x, y };
+    ({ x, y } = next);
+  }
+}
+
+/**
+ * Sub-pixel corner: the point every nearby gradient is perpendicular to,
+ * i.e. where the edges' lines cross. The corner response itself peaks a
+ * little inside the corner, so it only gives the starting window.
+ */
+function refineCorner(gx, gy, width, height, x, y) {
+  const half = 3;
+  let a = 0, b = 0, c = 0, bx = 0, by = 0;
+
+  for (let py = Math.max(0, y - half); py <= Math.min(height - 1, y + half); py++) {
+    for (let px = Math.max(0, x - half); px <= Math.min(width - 1, x + half); px++) {
+      const i = py * width + px;
+      const xx = gx[i] * gx[i];
+      const xy = gx[i] * gy[i];
+      const yy = gy[i] * gy[i];
+      a += xx; b += xy; c += yy;
+      bx += xx * px + xy * py;
+      by += xy * px + yy * py;
+    }
+  }
+
+  const det = a * c - b * b;
+  if (det <= 1e-9 * (a + c) ** 2) return { x, y };
+  return { x: (c * bx - b * by) / det, y: (a * by - b * bx) / det };
+}
+
+/**
+ * Move across the edge (along the gradient) to the strongest pixel, then
+ * place it between pixels with a parabola through the magnitudes
+ */
+function refineEdge(magnitude, gx, gy, width, height, x, y) {
+  const i = y * width + x;
+  const length = Math.hypot(gx[i], gy[i]);
+  const stepX = Math.round(gx[i] / length);
+  const stepY = Math.round(gy[i] / length);
+  const at = (px, py) => (
+    px < 0 || py < 0 || px >= width || py >= height ? 0 : magnitude[py * width + px]
+  );
+
+  while (at(x + stepX, y + stepY) > at(x, y)) { x += stepX; y += stepY; }
+  while (at(x - stepX, y - stepY) > at(x, y)) { x -= stepX; y -= stepY; }
+
+  const before = at(x - stepX, y - stepY);
+  const peak = at(x, y);
+  const after = at(x + stepX, y + stepY);
+  const curvature = before - 2 * peak + after;
+  const offset = curvature < 0 ? (before - after) / (2 * curvature) : 0;
+
+  return { x: x + stepX * offset, y: y + stepY * offset };
+}
+
+/**
+ * Solve a 3×3 linear system by Cramer's rule (null when singular)
+ */
+function solve3(m, v) {
+  const det = (a) => (
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0])
+  );
+  const d = det(m);
+  const scale = Math.max(...m.flat().map(Math.abs));
+  if (Math.abs(d) <= 1e-12 * scale ** 3) return null;
+
+  return [0, 1, 2].map(col => det(m.map((row, r) => row.map((value, c) => (c === col ? v[r] : value)))) / d);
+}
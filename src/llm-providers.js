@@ -0,0 +1,280 @@
+// LLM providers - chat completions from OpenAI, local OpenAI-compatible servers or canned replies
+import { LLM_CONFIG, LLM_PROVIDERS, AI_EXAMPLES } from './config.js';
+
+const STORAGE_KEY = 'llm_provider';
+const LEGACY_KEY_STORAGE = 'openai_api_key'; // Where older versions kept an OpenAI key in the browser
+const PLACEHOLDER_KEY = 'your_openai_api_key_here'; // From env.example
+
+/**
+ * Any server with an OpenAI-style `/chat/completions` endpoint: OpenAI
+ * itself, Ollama, llama.cpp's server, vLLM...
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Shown in errors and the settings
+   * @param {string} options.baseURL - API root, e.g. http://localhost:11434/v1
+   * @param {string} options.model
+   * @param {string|null} options.apiKey - Sent only when set
+   * @param {string} options.authHeader - Header the key goes in
+   * @param {string} options.authScheme - Put before the key, e.g. 'Bearer'; '' sends the bare key
+   * @param {boolean} options.needsKey - Not configured without a key
+   * @param {boolean} options.jsonMode - Server accepts `response_format: json_object`
+   * @param {function|null} options.fetch - Defaults to the global fetch
+   */
+  constructor({
+    name = 'OpenAI-compatible',
+    baseURL,
+    model,
+    apiKey = null,
+    authHeader = 'Authorization',
+    authScheme = 'Bearer',
+    needsKey = false,
+    jsonMode = true,
+    fetch = null
+  }) {
+    this.name = name;
+    this.baseURL = (baseURL || '').replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.authHeader = authHeader;
+    this.authScheme = authScheme;
+    this.needsKey = needsKey;
+    this.jsonMode = jsonMode;
+    this.fetch = fetch;
+  }
+
+  isConfigured() {
+    if (!this.baseURL || !this.model) return false;
+    return !this.needsKey || (!!this.apiKey && this.apiKey !== PLACEHOLDER_KEY);
+  }
+
+  /**
+   * Send a conversation and return the reply
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @param {boolean} options.json - Ask for a JSON object
+   * @param {string} options.task - 'part' or 'recipe'
+   * @param {Object} options.input - What the messages were built from (see ProxyProvider)
+   * @returns {Promise<string>} - Reply text
+   */
+  async complete(messages, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey && this.authHeader) {
+      headers[this.authHeader] = this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey;
+    }
+
+    const send = this.fetch || globalThis.fetch;
+    const response = await send(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(this.requestBody(messages, options))
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error(`${this.name} sent no reply`);
+    }
+    return content;
+  }
+
+  /**
+   * Chat completion request for `complete`
+   */
+  requestBody(messages, { temperature = LLM_CONFIG.temperature, maxTokens = LLM_CONFIG.max_tokens, json = false } = {}) {
+    const body = { model: this.model, temperature, max_tokens: maxTokens, messages };
+    if (json && this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+    return body;
+  }
+}
+
+/**
+ * The app's own AI proxy (src/ai-proxy.js), which holds the key. It takes
+ * only what a request is for - the task, description and measurements - and
+ * writes the prompts itself, so it can't be used as a general chat relay.
+ */
+export class ProxyProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.baseURL - Where the proxy is served, e.g. /api/ai
+   * @param {string} options.model - Only shown; the server picks the model
+   * @param {function|null} options.fetch - Defaults to the global fetch
+   */
+  constructor({
+    name = LLM_PROVIDERS.proxy.name,
+    baseURL = LLM_PROVIDERS.proxy.base_url,
+    model = LLM_PROVIDERS.proxy.model,
+    fetch = null
+  } = {}) {
+    super({ name, baseURL, model, fetch });
+  }
+
+  /**
+   * The request's task and inputs; the messages are built again on the server
+   */
+  requestBody(messages, { task, input = {} } = {}) {
+    const { description, measurements = {}, uncertainty = {} } = input;
+    return { task, description, measurements, uncertainty };
+  }
+}
+
+/**
+ * Canned replies, the same every time - the assistant works offline and in
+ * CI. A part request gets the few-shot example whose part type it names (the
+ * first example otherwise); a recipe request gets a plain cylinder.
+ */
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {function|Object|string|null} options.reply - Replaces the canned
+   *   replies: a reply, or `(messages, options) => reply`
+   */
+  constructor({ name = LLM_PROVIDERS.mock.name, reply = null } = {}) {
+    this.name = name;
+    this.model = 'mock';
+    this.reply = reply;
+    this.calls = []; // Every request, for tests to look at
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options - As OpenAICompatibleProvider.complete, plus
+   *   `task` ('part' or 'recipe') to pick the canned reply
+   * @returns {Promise<string>}
+   */
+  async complete(messages, options = {}) {
+    this.calls.push({ messages, options });
+
+    let reply = this.reply;
+    if (typeof reply === 'function') {
+      reply = await reply(messages, options);
+    } else if (reply === null) {
+      reply = cannedReply(messages, options);
+    }
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  }
+}
+
+function cannedReply(messages, { task = 'part' } = {}) {
+  if (task === 'recipe') {
+    return {
+      description: 'Simple cylinder shape',
+      steps: [
+        { id: 1, operation: 'add', shape: 'cylinder', params: { diameter: 30, height: 15 }, position: [0, 0, 0], note: 'Main body' }
+      ]
+    };
+  }
+
+  const request = [...messages].reverse().find(message => message.role === 'user');
+  const words = (request ? request.content : '').toLowerCase().replace(/[-_]/g, ' ');
+  const example = AI_EXAMPLES.find(e => words.includes(e.response.part_type.replace(/_/g, ' '))) || AI_EXAMPLES[0];
+  return JSON.parse(JSON.stringify(example.response));
+}
+
+/**
+ * Provider from settings: a preset from LLM_PROVIDERS with any of its fields
+ * overridden
+ * @param {Object} settings
+ * @param {string} settings.provider - LLM_PROVIDERS key
+ * @param {string} settings.baseURL
+ * @param {string} settings.model
+ * @param {string} settings.apiKey
+ * @param {string} settings.authHeader
+ * @param {string} settings.authScheme
+ * @param {boolean} settings.jsonMode
+ * @returns {OpenAICompatibleProvider|ProxyProvider|MockProvider}
+ */
+export function createProvider({ provider = LLM_CONFIG.provider, ...overrides } = {}) {
+  const preset = LLM_PROVIDERS[provider];
+  if (!preset) {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+  if (provider === 'mock') {
+    return new MockProvider({ name: preset.name });
+  }
+
+  const given = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null)
+  );
+  if (provider === 'proxy') {
+    const { baseURL = preset.base_url, fetch = null } = given;
+    return new ProxyProvider({ name: preset.name, baseURL, model: preset.model, fetch });
+  }
+  return new OpenAICompatibleProvider({
+    name: preset.name,
+    baseURL: preset.base_url,
+    model: preset.model,
+    authHeader: preset.auth_header,
+    authScheme: preset.auth_scheme,
+    needsKey: preset.needs_key,
+    jsonMode: preset.json_mode,
+    ...given
+  });
+}
+
+/**
+ * The JSON object in a reply - bare, in a ```json fence, or with chatter
+ * around it (servers without JSON mode)
+ * @param {string} text
+ * @returns {Object}
+ */
+export function parseJSONReply(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+      throw new Error('Reply has no JSON object');
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+/**
+ * Provider settings saved on this device, or null if there are none. Keys
+ * are never read from the browser - they belong to the AI proxy - so
+ * providers that need one are skipped.
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Object|null} - For createProvider
+ */
+export function loadProviderSettings(storage = globalThis.localStorage) {
+  try {
+    const { apiKey, ...saved } = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    const preset = LLM_PROVIDERS[saved.provider];
+    return preset && !preset.needs_key ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save provider settings for this device (null forgets them). Any API key
+ * is left out, and one an older version saved is deleted.
+ * @param {Object|null} settings - For createProvider
+ * @param {Storage} storage - Defaults to localStorage
+ */
+export function saveProviderSettings(settings, storage = globalThis.localStorage) {
+  if (settings) {
+    const { apiKey, ...kept } = settings;
+    storage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  } else {
+    storage.removeItem(STORAGE_KEY);
+  }
+  storage.removeItem(LEGACY_KEY_STORAGE);
+}
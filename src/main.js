@@ -2,34 +2,128 @@
 import * as THREE from 'three';
 import { ARManager } from './ar-manager.js';
 import { AIAssistant } from './ai-assistant.js';
+import { createProvider, loadProviderSettings, saveProviderSettings } from './llm-providers.js';
 import { STLExporter, prepareMeshForExport } from './stl-exporter.js';
+import { ensurePrintable } from './mesh-health.js';
+import { analyzeAsPrinted, createPrintabilityHighlight } from './printability.js';
+import { orientForPrinting } from './orientation.js';
+import { ThreeMFExporter, printSettingsFromSpec } from './threemf-exporter.js';
+import { OpenSCADExporter } from './scad-exporter.js';
 import { generatePart, validateParameters } from './part-generators.js';
-import { PART_TYPES, CONSTRAINTS } from './config.js';
+import { PART_TYPES, CONSTRAINTS, CALIBRATION_REFERENCES, LLM_PROVIDERS } from './config.js';
 import { ShapeRecipeEngine } from './shape-recipe.js';
+import { ProjectStore, loadCurrentProjectId, saveCurrentProjectId } from './project-store.js';
+import { createBundle, parseBundle, downloadBundle } from './project-bundle.js';
+import { ParameterEditor } from './parameter-editor.js';
+import { partDimensions } from './part-dimensions.js';
+import { History } from './history.js';
+
+// Measuring tool buttons: label, what finishing does, and how to use them
+const TOOL_BUTTONS = {
+  diameter: { icon: '⭕', name: 'Circle', finish: 'Fit circle', hint: 'Tap 3 or more points around the edge of the hole or disc' },
+  radius: { icon: '◜', name: 'Radius', finish: 'Fit arc', hint: 'Tap 3 or more points along the curved edge' },
+  angle: { icon: '∠', name: 'Angle', finish: null, hint: 'Tap a point on one arm, the corner, then a point on the other arm' },
+  area: { icon: '▱', name: 'Area', finish: 'Close shape', hint: 'Tap the corners in order around the shape' }
+};
+
+/**
+ * Text safe to put in innerHTML (project names are typed in by the user;
+ * labels and recipes can come from imported files or the AI)
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Comparable form of an undo state. Which measurement is selected and which
+ * slot is next are where the user is looking, not changes to undo.
+ */
+function stateKey(state) {
+  return JSON.stringify({ ...state, session: { ...state.session, selectedId: null, activeSlot: null } });
+}
+
+/**
+ * Undo step name for a change to the measurements
+ */
+function describeSessionChange(before, after) {
+  const find = (list, m) => list.find(other => other.id === m.id);
+  const was = before.session.measurements;
+  const now = after.session.measurements;
+  const added = now.filter(m => !find(was, m));
+  const removed = was.filter(m => !find(now, m));
+
+  if (added.length === 1 && removed.length === 0) return `Measure ${added[0].label}`;
+  if (removed.length === 1 && added.length === 0) return `Delete ${removed[0].label}`;
+
+  const repeated = now.find(m => find(was, m) && m.samples.length > find(was, m).samples.length);
+  if (repeated) return `Measure ${repeated.label} again`;
+  const renamed = now.find(m => find(was, m) && m.label !== find(was, m).label);
+  if (renamed) return `Rename ${find(was, renamed).label} to ${renamed.label}`;
+  return 'Change measurements';
+}
 
 class RepairPartGenerator {
   constructor() {
     this.arManager = null;
     this.aiAssistant = null;
     this.stlExporter = new STLExporter();
+    this.threeMFExporter = new ThreeMFExporter();
+    this.scadExporter = new OpenSCADExporter();
     this.recipeEngine = new ShapeRecipeEngine();
+    this.projectStore = new ProjectStore();
     
     this.selectedPartType = null;
     this.currentPart = null;
     this.currentSpec = null;
     this.currentRecipe = null;
+    this.currentProject = null; // {id, name, created} once saved or opened
+
+    // Undo/redo - each step restores measurements, part type and spec or recipe
+    this.history = new History({ onChange: () => this.updateHistoryButtons() });
+    this.historyState = null; // State after the last recorded step
+    this.historyHold = 0; // > 0 while a step is being built or restored
     
     this.elements = {
       status: document.getElementById('status'),
       instructions: document.getElementById('instructions'),
       measurements: document.getElementById('measurements'),
       measurementList: document.getElementById('measurement-list'),
+      measurementUndoBtn: document.getElementById('measurement-undo-btn'),
+      snapBtn: document.getElementById('snap-btn'),
+      toolBtns: document.querySelectorAll('[data-tool]'),
+      printability: document.getElementById('printability'),
+      printabilityList: document.getElementById('printability-list'),
+      parameterEditor: document.getElementById('parameter-editor'),
+      previewTools: document.getElementById('preview-tools'),
+      previewBtn: document.getElementById('preview-btn'),
+      autoRotateBtn: document.getElementById('auto-rotate-btn'),
+      placeBtn: document.getElementById('place-btn'),
+      placeOptions: document.getElementById('place-options'),
+      placeResetBtn: document.getElementById('place-reset-btn'),
+      previewOptions: document.getElementById('preview-options'),
+      dimensionsBtn: document.getElementById('dimensions-btn'),
+      sectionAxis: document.getElementById('section-axis'),
+      sectionOffset: document.getElementById('section-offset'),
       generateBtn: document.getElementById('generate-btn'),
       exportBtn: document.getElementById('export-btn'),
+      export3mfBtn: document.getElementById('export-3mf-btn'),
+      exportScadBtn: document.getElementById('export-scad-btn'),
       clearBtn: document.getElementById('clear-btn'),
       arScene: document.getElementById('ar-scene'),
       debugMode: document.getElementById('debug-mode'),
       modeToggleBtn: document.getElementById('mode-toggle-btn'),
+      undoBtn: document.getElementById('undo-btn'),
+      redoBtn: document.getElementById('redo-btn'),
+      photoBtn: document.getElementById('photo-btn'),
+      photoInput: document.getElementById('photo-input'),
+      projectsBtn: document.getElementById('projects-btn'),
+      aiBtn: document.getElementById('ai-btn'),
+      projects: document.getElementById('projects'),
+      projectList: document.getElementById('project-list'),
+      projectSaveBtn: document.getElementById('project-save-btn'),
+      projectExportBtn: document.getElementById('project-export-btn'),
+      projectImportBtn: document.getElementById('project-import-btn'),
+      projectImportInput: document.getElementById('project-import-input'),
       customShapeBtn: document.getElementById('custom-shape-btn'),
       recipeViewer: document.getElementById('recipe-viewer'),
       recipeSteps: document.getElementById('recipe-steps'),
@@ -38,6 +132,12 @@ class RepairPartGenerator {
     };
     
     this.preferredMode = localStorage.getItem('preferred_mode') || 'auto'; // auto, demo, camera
+
+    // Edits regenerate the part, at most once per frame
+    this.parameterEditor = new ParameterEditor(this.elements.parameterEditor, (parameters) => {
+      this.onParametersEdited(parameters);
+    });
+    this.regenerateFrame = null;
   }
 
   /**
@@ -66,9 +166,26 @@ class RepairPartGenerator {
         this.onMeasurementsUpdated(measurements);
       };
 
+      // Measuring tool started, stopped or given a point
+      this.arManager.onToolUpdate = (state) => {
+        this.onToolUpdated(state);
+      };
+
+      // Reference object measured - switch to the calibrated scale
+      this.arManager.onCalibrated = (calibration) => {
+        this.onCalibrated(calibration);
+      };
+      if (this.arManager.scaleMode === 'calibrated') {
+        this.selectScaleMode('calibrated');
+      }
+
+      // Marker found/lost - measurements on it are true scale
+      this.arManager.onMarkerUpdate = (tracked, detection) => {
+        this.onMarkerUpdated(tracked, detection);
+      };
+
       // Initialize AI Assistant
-      const apiKey = this.getAPIKey();
-      this.aiAssistant = new AIAssistant(apiKey);
+      this.aiAssistant = new AIAssistant(createProvider(this.getProviderSettings()));
 
       // Setup event listeners
       this.setupEventListeners();
@@ -106,6 +223,13 @@ class RepairPartGenerator {
         this.elements.modeToggleBtn.style.background = 'rgba(255, 152, 0, 0.9)';
       }
 
+      // Carry on with the project that was open (e.g. before switching modes)
+      const projectId = loadCurrentProjectId();
+      if (projectId) {
+        await this.openProject(projectId);
+      }
+      this.resetHistory();
+
     } catch (error) {
       console.error('Initialization failed:', error);
       this.updateStatus('❌ Failed to initialize - ' + error.message, '#000');
@@ -114,18 +238,21 @@ class RepairPartGenerator {
 
 
   /**
-   * Get OpenAI API key from localStorage or environment
+   * Get AI provider settings from localStorage or environment
    */
-  getAPIKey() {
-    // Try localStorage first (user can set it in the app)
-    let apiKey = localStorage.getItem('openai_api_key');
-    
-    // Fall back to environment variable (for local dev)
-    if (!apiKey && import.meta.env && import.meta.env.VITE_OPENAI_API_KEY) {
-      apiKey = import.meta.env.VITE_OPENAI_API_KEY;
-    }
-    
-    return apiKey || null;
+  getProviderSettings() {
+    // Try localStorage first (user can set them in the app)
+    const saved = loadProviderSettings();
+    if (saved) return saved;
+
+    // Fall back to environment variables. Never a key - VITE_ variables are
+    // baked into the public bundle; keys belong to the proxy (src/ai-proxy.js)
+    const env = import.meta.env || {};
+    return {
+      provider: LLM_PROVIDERS[env.VITE_LLM_PROVIDER] ? env.VITE_LLM_PROVIDER : undefined,
+      baseURL: env.VITE_LLM_BASE_URL || undefined,
+      model: env.VITE_LLM_MODEL || undefined
+    };
   }
 
   /**
@@ -139,16 +266,126 @@ class RepairPartGenerator {
       });
     });
 
+    // Undo/redo - buttons, Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (⌘ on Mac)
+    this.elements.undoBtn.addEventListener('click', () => {
+      this.undo();
+    });
+
+    this.elements.redoBtn.addEventListener('click', () => {
+      this.redo();
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      // Text boxes keep their own undo
+      if (event.target.closest('textarea, input:not([type="range"]):not([type="button"])')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+
     // Generate button
     this.elements.generateBtn.addEventListener('click', () => {
       this.generatePart();
     });
 
-    // Export button
+    // Export buttons
     this.elements.exportBtn.addEventListener('click', () => {
       this.exportSTL();
     });
 
+    this.elements.export3mfBtn.addEventListener('click', () => {
+      this.export3MF();
+    });
+
+    this.elements.exportScadBtn.addEventListener('click', () => {
+      this.exportSCAD();
+    });
+
+    // Measurement list - select on click, delete with ✕
+    this.elements.measurementList.addEventListener('click', (event) => {
+      const slot = event.target.closest('[data-slot]');
+      if (slot) {
+        this.arManager.chooseMeasurementSlot(slot.dataset.slot);
+        return;
+      }
+
+      const item = event.target.closest('[data-measurement]');
+      if (!item) return;
+
+      if (event.target.closest('.measurement-delete')) {
+        this.arManager.deleteMeasurement(item.dataset.measurement);
+      } else if (event.target.closest('.measurement-repeat')) {
+        this.arManager.repeatMeasurement(item.dataset.measurement);
+      } else {
+        this.arManager.selectMeasurement(item.dataset.measurement);
+      }
+    });
+
+    this.elements.measurementUndoBtn.addEventListener('click', () => {
+      this.undo();
+    });
+
+    // Snap taps to corners and edges in the camera frame or photo
+    this.elements.snapBtn.addEventListener('click', () => {
+      this.arManager.snapping = !this.arManager.snapping;
+      this.elements.snapBtn.classList.toggle('active', this.arManager.snapping);
+    });
+
+    // Part preview - orbit the part on its own, cut it open, read its dimensions
+    this.elements.previewBtn.addEventListener('click', () => {
+      this.togglePreview();
+    });
+
+    this.elements.autoRotateBtn.addEventListener('click', () => {
+      this.setAutoRotate(!this.arManager.autoRotate);
+    });
+
+    // Placing the part over the real object - drag it, turn and nudge it
+    this.elements.placeBtn.addEventListener('click', () => {
+      this.setPlacing(!this.arManager.isPlacing());
+    });
+
+    this.elements.placeOptions.addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+      if (button.dataset.turn) {
+        this.arManager.turnPart(Number(button.dataset.turn));
+      } else if (button.dataset.nudge) {
+        const [right, up] = button.dataset.nudge.split(',').map(Number);
+        this.arManager.nudgePart(right, up);
+      } else if (button === this.elements.placeResetBtn) {
+        this.arManager.resetPlacement();
+      }
+    });
+
+    this.elements.dimensionsBtn.addEventListener('click', () => {
+      const on = !this.elements.dimensionsBtn.classList.contains('active');
+      this.arManager.setPreviewDimensionsVisible(on);
+      this.elements.dimensionsBtn.classList.toggle('active', on);
+    });
+
+    this.elements.sectionAxis.addEventListener('change', () => {
+      this.updateSection();
+    });
+
+    this.elements.sectionOffset.addEventListener('input', () => {
+      this.updateSection();
+    });
+
+    // Measuring tools - first click starts one, second finishes it
+    this.elements.toolBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.toggleTool(btn.dataset.tool);
+      });
+    });
+
     // Clear button
     this.elements.clearBtn.addEventListener('click', () => {
       this.clearAll();
@@ -159,6 +396,68 @@ class RepairPartGenerator {
       this.toggleMode();
     });
 
+    // Photo button - open a photo to measure on, or close the open one
+    this.elements.photoBtn.addEventListener('click', () => {
+      if (this.arManager.isPhotoMode()) {
+        this.closePhoto();
+      } else {
+        this.elements.photoInput.click();
+      }
+    });
+
+    this.elements.photoInput.addEventListener('change', () => {
+      const [file] = this.elements.photoInput.files;
+      this.elements.photoInput.value = ''; // Allow picking the same file again
+      if (file) {
+        this.openPhoto(file);
+      }
+    });
+
+    // AI provider - OpenAI, a local server or the offline mock
+    this.elements.aiBtn.addEventListener('click', () => {
+      this.configureAI();
+    });
+
+    // Projects - show the saved ones, save the current one
+    this.elements.projectsBtn.addEventListener('click', () => {
+      this.toggleProjects();
+    });
+
+    this.elements.projectSaveBtn.addEventListener('click', () => {
+      this.saveProject({ askName: true });
+    });
+
+    // Project files - move a design to another device
+    this.elements.projectExportBtn.addEventListener('click', () => {
+      this.exportProject();
+    });
+
+    this.elements.projectImportBtn.addEventListener('click', () => {
+      this.elements.projectImportInput.click();
+    });
+
+    this.elements.projectImportInput.addEventListener('change', () => {
+      const file = this.elements.projectImportInput.files[0];
+      this.elements.projectImportInput.value = ''; // Allow picking the same file again
+      if (file) {
+        this.importProject(file);
+      }
+    });
+
+    // Project list - open on click, duplicate with ⧉, delete with ✕
+    this.elements.projectList.addEventListener('click', (event) => {
+      const item = event.target.closest('[data-project]');
+      if (!item) return;
+
+      if (event.target.closest('.project-delete')) {
+        this.deleteProject(item.dataset.project);
+      } else if (event.target.closest('.project-duplicate')) {
+        this.duplicateProject(item.dataset.project);
+      } else {
+        this.openProject(item.dataset.project);
+      }
+    });
+
     // Custom shape button
     this.elements.customShapeBtn.addEventListener('click', () => {
       this.generateCustomShape();
@@ -167,7 +466,11 @@ class RepairPartGenerator {
     // Scale mode selection
     document.querySelectorAll('.scale-btn').forEach(btn => {
       btn.addEventListener('click', () => {
-        this.selectScaleMode(btn.dataset.scale);
+        if (btn.dataset.scale === 'calibrated') {
+          this.startCalibration();
+        } else {
+          this.selectScaleMode(btn.dataset.scale);
+        }
       });
     });
 
@@ -184,31 +487,92 @@ class RepairPartGenerator {
    * Setup API key input (optional UI element)
    */
   setupAPIKeyInput() {
+    this.updateAIButton();
+
     // Check if user needs to set API key
     if (!this.aiAssistant.isConfigured()) {
-      // Don't show the notice - API key is optional
-      console.log('💡 Tip: Add OpenAI API key in .env for AI-powered custom shapes');
+      // Don't show the notice - AI is optional
+      console.log('💡 Tip: Run the AI proxy (npm run proxy) or pick a provider with the 🤖 AI button for AI-powered custom shapes');
+    }
+  }
+
+  /**
+   * Ask for an AI provider - the app's proxy, a local server or the offline
+   * mock - then its address and model. Providers that need a key are left
+   * to the proxy: no key is kept in the browser.
+   */
+  configureAI() {
+    const presets = Object.entries(LLM_PROVIDERS).filter(([, preset]) => !preset.needs_key);
+    const choices = presets
+      .map(([, preset], i) => `${i + 1}. ${preset.name}${preset.base_url ? ` - ${preset.base_url}` : ''}`)
+      .join('\n');
+    const answer = prompt(`AI provider:\n\n${choices}\n\nEnter 1-${presets.length}`);
+    if (answer === null) return;
+
+    const [provider, preset] = presets[Number(answer.trim()) - 1] || [];
+    if (!/^\d+$/.test(answer.trim()) || !preset) {
+      alert(`Enter 1-${presets.length}`);
+      return;
+    }
+
+    const settings = { provider };
+    // The proxy and the mock have nothing to set here
+    if (provider !== 'mock' && provider !== 'proxy') {
+      // Offer what's in use when it's the same provider again
+      const current = this.aiAssistant.provider;
+      const same = current.name === preset.name;
+      const baseURL = prompt(`${preset.name} API address:`, same ? current.baseURL : preset.base_url);
+      if (baseURL === null) return;
+      const model = prompt('Model:', same ? current.model : preset.model);
+      if (model === null) return;
+
+      // Left empty - the preset's own
+      Object.assign(settings, {
+        baseURL: baseURL.trim() || undefined,
+        model: model.trim() || undefined
+      });
     }
+
+    saveProviderSettings(settings);
+    this.aiAssistant = new AIAssistant(createProvider(settings));
+    this.updateAIButton();
+    this.updateStatus(`🤖 AI: ${preset.name}`, '#000');
+  }
+
+  updateAIButton() {
+    const { name, model } = this.aiAssistant.provider;
+    this.elements.aiBtn.title = this.aiAssistant.isConfigured()
+      ? `AI: ${name} (${model})`
+      : 'AI not set up - using rule-based fallbacks';
   }
 
   /**
    * Select a part type
    */
   selectPartType(partType) {
-    this.selectedPartType = partType;
-    
-    // Update UI
-    document.querySelectorAll('.part-btn').forEach(btn => {
-      btn.classList.remove('active');
-    });
-    document.querySelector(`[data-part="${partType}"]`).classList.add('active');
+    const info = PART_TYPES[partType];
+    this.recordStep(`Select ${info.name}`, () => {
+      this.selectedPartType = partType;
+      this.highlightPartType(partType);
 
-    // Enable generate button if we have measurements
-    this.updateGenerateButton();
+      // Enable generate button if we have measurements
+      this.updateGenerateButton();
 
-    // Update instructions
-    const info = PART_TYPES[partType];
-    this.updateInstructions(`Selected: ${info.emoji} ${info.name} - ${info.description}`);
+      // Update instructions
+      this.updateInstructions(`Selected: ${info.emoji} ${info.name} - ${info.description}`);
+
+      // Ask for each parameter by name
+      this.arManager.setMeasurementSlots(PART_TYPES[partType].requiredParams);
+    });
+  }
+
+  /**
+   * Mark a part type's button as selected (none for null)
+   */
+  highlightPartType(partType) {
+    document.querySelectorAll('.part-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.part === partType);
+    });
   }
 
   /**
@@ -229,24 +593,163 @@ class RepairPartGenerator {
     this.updateStatus(`📏 Scale: ${scaleInfo.name} - ${scaleInfo.description}`, '#000');
   }
 
+  /**
+   * Ask for a reference object, then have the user tap both ends of it
+   */
+  startCalibration() {
+    const references = Object.entries(CALIBRATION_REFERENCES);
+    const choices = references
+      .map(([, ref], i) => `${i + 1}. ${ref.emoji} ${ref.name} - ${ref.length}mm (${ref.description})`)
+      .join('\n');
+    const answer = prompt(`Calibrate with a known object:\n\n${choices}\n\nEnter 1-${references.length}, or your own object's length like "120mm"`);
+    if (answer === null) return;
+
+    const text = answer.trim();
+    const custom = text.match(/^(\d+(?:\.\d+)?)\s*mm$/i);
+    const option = references[Number(text) - 1];
+    let reference;
+    if (custom && Number(custom[1]) > 0) {
+      reference = Number(custom[1]);
+    } else if (/^\d+$/.test(text) && option) {
+      reference = option[0];
+    } else {
+      alert(`Enter 1-${references.length} or a length like "120mm"`);
+      return;
+    }
+
+    this.setPlacing(false);
+    this.arManager.startCalibration(reference);
+    const { name, length } = typeof reference === 'number'
+      ? { name: 'object', length: reference }
+      : CALIBRATION_REFERENCES[reference];
+    this.updateStatus('📐 Calibrating...', '#000');
+    this.updateInstructions(`📐 Tap both ends of the ${name} (${length}mm)`);
+  }
+
+  /**
+   * Reference object measured - the calibrated scale is now active
+   */
+  onCalibrated(calibration) {
+    this.selectScaleMode('calibrated');
+    this.updateInstructions(`✅ Calibrated on ${calibration.reference} - tap to measure`);
+  }
+
+  /**
+   * Start a measuring tool, or finish the active one with the points tapped so far
+   * @param {string} type - Tool (measurement type)
+   */
+  toggleTool(type) {
+    const state = this.arManager.getToolState();
+    if (!state || state.type !== type) {
+      this.setPlacing(false); // Taps measure again
+      this.arManager.startTool(type);
+      return;
+    }
+
+    if (state.count === 0 || !TOOL_BUTTONS[type].finish) {
+      this.arManager.cancelTool();
+      return;
+    }
+
+    try {
+      const measurement = this.arManager.finishTool();
+      this.updateStatus(`${TOOL_BUTTONS[type].icon} ${measurement.label} from ${state.count} points`, '#000');
+    } catch (error) {
+      this.updateStatus(`⚠️ ${error.message}`, '#000');
+    }
+  }
+
+  /**
+   * Measuring tool state changed - null when none is active
+   */
+  onToolUpdated(state) {
+    this.elements.toolBtns.forEach(btn => {
+      const { icon, name, finish } = TOOL_BUTTONS[btn.dataset.tool];
+      const active = state && state.type === btn.dataset.tool;
+      btn.classList.toggle('active', Boolean(active));
+
+      if (!active) {
+        btn.textContent = `${icon} ${name}`;
+      } else if (state.count === 0 || !finish) {
+        btn.textContent = `✕ Cancel ${name.toLowerCase()}`;
+      } else if (state.count < state.minPoints) {
+        btn.textContent = `${icon} ${state.count}/${state.minPoints} points`;
+      } else {
+        btn.textContent = `✓ ${finish} (${state.count} points)`;
+      }
+    });
+
+    if (!state) return;
+    const { icon, finish, hint } = TOOL_BUTTONS[state.type];
+    if (finish && state.count >= state.minPoints) {
+      this.updateInstructions(`${icon} Tap more points for a better fit, or press ${finish}`);
+    } else {
+      this.updateInstructions(`${icon} ${hint}`);
+    }
+  }
+
   /**
    * Handle measurement updates
    */
   onMeasurementsUpdated(measurements) {
     const count = Object.keys(measurements).length;
+    const slots = this.arManager.getMeasurementSlots();
     
-    if (count > 0) {
-      // Show measurements
+    if (count > 0 || slots.open.length > 0) {
+      // Show measurements, then the parameters still to measure
       this.elements.measurements.style.display = 'block';
-      this.elements.measurementList.innerHTML = Object.entries(measurements)
-        .map(([key, value]) => `<div>${key}: ${value}mm</div>`)
-        .join('');
-      
-      // Update generate button
-      this.updateGenerateButton();
+      const taken = this.arManager.getMeasurementList()
+        .map(m => `
+          <div class="measurement-item${m.selected ? ' selected' : ''}" data-measurement="${escapeHTML(m.id)}">
+            <span title="${m.type}, ${m.samples} sample(s), spread ${m.spread}${m.unit}">${m.selected ? '▶ ' : ''}${escapeHTML(m.label)}: ${m.value} ±${m.uncertainty}${m.unit}${m.samples > 1 ? ` (${m.samples}×)` : ''}${m.trueScale ? ' 🎯' : ''}</span>
+            <span class="measurement-actions">
+              <button class="measurement-repeat" title="Measure again">+</button>
+              <button class="measurement-delete" title="Delete measurement">✕</button>
+            </span>
+          </div>
+        `);
+      const open = slots.open
+        .map(name => `
+          <div class="measurement-item measurement-slot${name === slots.next ? ' selected' : ''}" data-slot="${escapeHTML(name)}">
+            <span>${name === slots.next ? '📏 ' : ''}${escapeHTML(name)}: not measured</span>
+          </div>
+        `);
+      this.elements.measurementList.innerHTML = [...taken, ...open].join('');
     } else {
       this.elements.measurements.style.display = 'none';
     }
+
+    if (slots.repeating) {
+      this.updateInstructions(`📏 Measure ${slots.repeating} again`);
+    } else if (slots.next && slots.nextKind !== 'length') {
+      const { icon, name } = TOOL_BUTTONS[slots.nextKind];
+      this.updateInstructions(`📏 Now measure ${slots.next} with ${icon} ${name}`);
+    } else if (slots.next) {
+      this.updateInstructions(`📏 Now measure ${slots.next}`);
+    } else if (this.selectedPartType && count > 0) {
+      this.updateInstructions('✅ All measurements taken - ready to generate');
+    }
+
+    // Update generate button
+    this.updateGenerateButton();
+
+    this.commitHistory(describeSessionChange);
+  }
+
+  /**
+   * Handle the fiducial marker being found or lost
+   */
+  onMarkerUpdated(tracked, detection) {
+    if (tracked) {
+      const distance = Math.round(detection.pose.distance / 10);
+      this.updateStatus('✅ Marker Detected - Tap to measure!', '#000');
+      this.updateInstructions('🎯 Marker locked! Tap on marker surface to place measurement points');
+      this.elements.debugMode.textContent = `Mode: AR Marker Tracking (~${distance}cm away)`;
+    } else {
+      this.updateStatus('⚠️ Marker Lost - Reposition camera', '#000');
+      this.updateInstructions('📱 Point camera at the printed marker to continue');
+      this.elements.debugMode.textContent = 'Mode: Camera (AR) - scale estimated';
+    }
   }
 
   /**
@@ -275,14 +778,15 @@ class RepairPartGenerator {
     try {
       this.updateStatus('⚙️ Generating part...', '#666');
       
-      // Get measurements
+      // Get measurements, and how far to trust them
       const measurements = this.arManager.getMeasurementsForAI();
+      const uncertainty = this.arManager.getMeasurementUncertainty();
       
       // If no part type selected, try AI suggestion
       if (!this.selectedPartType) {
         if (this.aiAssistant.isConfigured()) {
           const description = prompt('Describe what you need:') || 'basic spacer';
-          this.currentSpec = await this.aiAssistant.suggestPart(description, measurements);
+          this.currentSpec = await this.aiAssistant.suggestPart(description, measurements, CONSTRAINTS, uncertainty);
           this.selectedPartType = this.currentSpec.part_type;
         } else {
           alert('Please select a part type first');
@@ -292,13 +796,14 @@ class RepairPartGenerator {
         // Use AI to suggest parameters if available
         if (this.aiAssistant.isConfigured() && Object.keys(measurements).length > 0) {
           const description = `${PART_TYPES[this.selectedPartType].name} based on measurements`;
-          this.currentSpec = await this.aiAssistant.suggestPart(description, measurements);
+          this.currentSpec = await this.aiAssistant.suggestPart(description, measurements, CONSTRAINTS, uncertainty);
         } else {
           // Use fallback
           this.currentSpec = this.aiAssistant.fallbackSuggestion(
             PART_TYPES[this.selectedPartType].name,
             measurements,
-            CONSTRAINTS
+            CONSTRAINTS,
+            uncertainty
           );
         }
       }
@@ -314,26 +819,32 @@ class RepairPartGenerator {
         throw new Error('Invalid parameters: ' + validation.errors.join(', '));
       }
 
-      // Generate 3D model
-      this.currentPart = generatePart(
+      // Generate 3D model (replaces any custom recipe)
+      this.currentRecipe = null;
+      this.elements.recipeViewer.style.display = 'none';
+      this.showPart(generatePart(
         this.currentSpec.part_type,
         this.currentSpec.parameters
-      );
-
-      // Add to scene
-      this.arManager.addPartToScene(this.currentPart);
-
-      // Show export button
-      this.elements.exportBtn.style.display = 'block';
+      ));
+      this.parameterEditor.show(this.currentSpec.part_type, this.currentSpec.parameters);
+      this.commitHistory(`Generate ${PART_TYPES[this.currentSpec.part_type].name}`);
 
       // Update status
       this.updateStatus('✅ Part generated! Rotate to view', '#000');
       
-      // Show AI notes if available
-      if (this.currentSpec.notes) {
+      // Show AI notes if available, after any tolerance change
+      const { tolerance } = this.currentSpec;
+      if (tolerance && tolerance.widened_for_mm) {
+        this.updateInstructions(`⚠️ Measurements are ±${tolerance.widened_for_mm}mm - ${tolerance.fit} fit widened to ${tolerance.delta_mm}mm. Repeat measurements (+) to tighten it`);
+      } else if (this.currentSpec.notes) {
         this.updateInstructions(`💡 ${this.currentSpec.notes}`);
       }
 
+      // An open project keeps its latest part
+      if (this.currentProject) {
+        await this.saveProject();
+      }
+
     } catch (error) {
       console.error('Failed to generate part:', error);
       this.updateStatus('❌ Failed: ' + error.message, '#000');
@@ -352,34 +863,20 @@ class RepairPartGenerator {
     try {
       this.updateStatus('📦 Exporting STL...', '#666');
 
-      // Prepare mesh for export
-      const meshToExport = this.currentPart.clone();
-      
-      // Reset scale (we scaled it down for viewing)
-      meshToExport.scale.set(1, 1, 1);
-      
-      prepareMeshForExport(meshToExport);
-
-      // Generate filename - handle both traditional parts and custom shapes
-      let partName = 'part';
-      if (this.currentSpec && this.currentSpec.part_type) {
-        // Traditional part (shim, washer, etc.)
-        partName = this.currentSpec.part_type;
-      } else if (this.currentRecipe && this.currentRecipe.description) {
-        // Custom shape from recipe
-        partName = this.currentRecipe.description
-          .toLowerCase()
-          .replace(/[^a-z0-9]+/g, '_')
-          .replace(/^_+|_+$/g, '');
-      }
-      
-      const timestamp = new Date().toISOString().split('T')[0];
-      const filename = `${partName}_${timestamp}.stl`;
+      const meshToExport = this.getExportMesh();
+      const filename = `${this.getExportBaseName()}.stl`;
+      const health = this.checkExportMesh(meshToExport);
+      if (!health) return;
 
       // Download
       this.stlExporter.download(meshToExport, filename, true);
 
-      this.updateStatus('✅ STL exported successfully!', '#000');
+      this.updateStatus(
+        health.printable
+          ? (health.repaired ? '✅ STL repaired and exported!' : '✅ STL exported successfully!')
+          : '⚠️ STL exported with mesh problems',
+        '#000'
+      );
 
       setTimeout(() => {
         this.updateInstructions('🎉 Ready to print! Load the STL file in your slicer.');
@@ -391,6 +888,260 @@ class RepairPartGenerator {
     }
   }
 
+  /**
+   * Check a mesh is watertight before handing it to a slicer, repairing it
+   * in place if needed
+   * @param {THREE.Mesh} mesh - From getExportMesh
+   * @returns {Object|null} - ensurePrintable's result, or null if the user
+   *   cancelled the export of a mesh that couldn't be repaired
+   */
+  checkExportMesh(mesh) {
+    const health = ensurePrintable(mesh);
+    health.actions.forEach(action => console.log('🔧 ' + action));
+
+    if (!health.printable) {
+      console.warn('Mesh problems after repair:', health.issues);
+      const proceed = confirm(
+        'This part could not be fully repaired and may not slice correctly:\n- ' +
+        health.issues.join('\n- ') +
+        '\n\nDownload anyway?'
+      );
+      if (!proceed) {
+        this.updateStatus('⚠️ Export cancelled - mesh is not watertight', '#000');
+        return null;
+      }
+    }
+    return health;
+  }
+
+  /**
+   * Export current part as 3MF with the suggested print settings
+   */
+  export3MF() {
+    if (!this.currentPart) {
+      alert('No part to export');
+      return;
+    }
+
+    try {
+      this.updateStatus('📦 Exporting 3MF...', '#666');
+
+      const meshToExport = this.getExportMesh();
+      const baseName = this.getExportBaseName();
+      const settings = printSettingsFromSpec(this.currentSpec, baseName);
+      const health = this.checkExportMesh(meshToExport);
+      if (!health) return;
+
+      this.threeMFExporter.download(meshToExport, `${baseName}.3mf`, settings);
+
+      this.updateStatus(
+        health.printable
+          ? (health.repaired ? '✅ 3MF repaired and exported!' : '✅ 3MF exported successfully!')
+          : '⚠️ 3MF exported with mesh problems',
+        '#000'
+      );
+
+      setTimeout(() => {
+        this.updateInstructions('🎉 Ready to print! Open the 3MF in PrusaSlicer or Cura - settings included.');
+      }, 500);
+
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.updateStatus('❌ Export failed: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * Export current part or recipe as editable OpenSCAD source
+   */
+  exportSCAD() {
+    if (!this.currentSpec && !this.currentRecipe) {
+      alert('No part to export');
+      return;
+    }
+
+    try {
+      this.updateStatus('📦 Exporting OpenSCAD...', '#666');
+
+      const material = this.currentSpec && this.currentSpec.material
+        ? this.currentSpec.material.suggested
+        : undefined;
+
+      const source = this.currentSpec
+        ? this.scadExporter.exportPart(this.currentSpec.part_type, this.currentSpec.parameters, { material })
+        : this.scadExporter.exportRecipe(this.currentRecipe);
+
+      this.scadExporter.download(source, `${this.getExportBaseName()}.scad`);
+
+      this.updateStatus('✅ OpenSCAD file exported!', '#000');
+      this.updateInstructions('🛠️ Open the .scad file in OpenSCAD to tweak the parameters');
+
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.updateStatus('❌ Export failed: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * A value changed in the parameter editor - flag problems, or regenerate
+   * the part with the new values
+   */
+  onParametersEdited(parameters) {
+    const validation = validateParameters(this.currentSpec.part_type, parameters, CONSTRAINTS);
+    this.parameterEditor.setIssues(validation.issues);
+    if (!validation.valid) {
+      this.updateStatus(`⚠️ ${validation.errors[0]}`, '#000');
+      return;
+    }
+
+    this.currentSpec = { ...this.currentSpec, parameters };
+    this.commitHistory('Edit parameters', 'parameters');
+    if (this.regenerateFrame) return;
+
+    // Sliders fire faster than parts generate - build only the latest values
+    this.regenerateFrame = requestAnimationFrame(() => {
+      this.regenerateFrame = null;
+      try {
+        this.showPart(generatePart(this.currentSpec.part_type, this.currentSpec.parameters));
+        this.updateStatus('✅ Part updated', '#000');
+      } catch (error) {
+        console.error('Failed to regenerate part:', error);
+        this.updateStatus('❌ Failed: ' + error.message, '#000');
+      }
+    });
+  }
+
+  /**
+   * Make a generated mesh the current part: preview it, check it and offer exports
+   */
+  showPart(mesh) {
+    this.currentPart = mesh;
+    const dimensions = this.currentSpec
+      ? partDimensions(this.currentSpec.part_type, this.currentSpec.parameters)
+      : null;
+    this.arManager.addPartToScene(mesh, dimensions);
+    this.showPrintability();
+    this.elements.previewTools.style.display = 'flex';
+
+    this.elements.exportBtn.style.display = 'block';
+    this.elements.export3mfBtn.style.display = 'block';
+    this.elements.exportScadBtn.style.display = 'block';
+  }
+
+  /**
+   * Open the orbit preview of the current part, or go back to the live view
+   */
+  togglePreview() {
+    if (this.arManager.isPreviewMode()) {
+      this.closePreview();
+      return;
+    }
+    if (!this.arManager.openPreview()) return;
+    this.setPlacing(false);
+
+    this.arManager.setPreviewDimensionsVisible(this.elements.dimensionsBtn.classList.contains('active'));
+    this.updateSection();
+    this.elements.previewBtn.textContent = '✕ Preview';
+    this.elements.previewBtn.classList.add('active');
+    this.elements.previewOptions.style.display = 'flex';
+    this.updateInstructions('🔍 Drag to orbit, right-drag or two fingers to pan, scroll or pinch to zoom');
+  }
+
+  closePreview() {
+    this.arManager.closePreview();
+    this.elements.previewBtn.textContent = '🔍 Preview';
+    this.elements.previewBtn.classList.remove('active');
+    this.elements.previewOptions.style.display = 'none';
+  }
+
+  setAutoRotate(on) {
+    this.arManager.setAutoRotate(on);
+    this.elements.autoRotateBtn.classList.toggle('active', on);
+  }
+
+  /**
+   * Start or stop moving the part by hand. It stops spinning, so it stays
+   * where it's put.
+   */
+  setPlacing(on) {
+    if (on && this.arManager.isPreviewMode()) {
+      this.closePreview();
+    }
+    this.arManager.setPlacing(on);
+    this.elements.placeBtn.classList.toggle('active', on);
+    this.elements.placeOptions.style.display = on ? 'flex' : 'none';
+    if (on) {
+      this.setAutoRotate(false);
+      this.updateInstructions('✋ Drag the part over the broken object, turn and nudge it to check the fit');
+    }
+  }
+
+  /**
+   * Cut the preview where the section controls say
+   */
+  updateSection() {
+    const axis = this.elements.sectionAxis.value || null;
+    this.elements.sectionOffset.disabled = !axis;
+    this.arManager.setPreviewSection(axis, Number(this.elements.sectionOffset.value));
+  }
+
+  /**
+   * Check the current part for overhangs, thin walls and bed fit as it will
+   * be exported (laid flat), list the problems and highlight the affected
+   * faces on the preview
+   */
+  showPrintability() {
+    const report = analyzeAsPrinted(this.currentPart.geometry, CONSTRAINTS);
+    const highlight = createPrintabilityHighlight(this.currentPart.geometry, report);
+    if (highlight) {
+      this.currentPart.add(highlight);
+    }
+
+    this.elements.printability.style.display = 'block';
+    this.elements.printabilityList.innerHTML = report.warnings.length > 0
+      ? report.warnings.map(warning => `<div>⚠️ ${warning}</div>`).join('')
+      : '<div>✅ No overhangs or thin walls, fits the bed</div>';
+
+    return report;
+  }
+
+  /**
+   * Copy of the current part at true (mm) scale, laid flat on the bed, ready for export
+   */
+  getExportMesh() {
+    // Leave the printability highlight behind
+    const meshToExport = this.currentPart.clone(false);
+
+    // Reset transform (we scaled and moved it for viewing)
+    meshToExport.position.set(0, 0, 0);
+    meshToExport.rotation.set(0, 0, 0);
+    meshToExport.scale.set(1, 1, 1);
+
+    orientForPrinting(meshToExport, CONSTRAINTS);
+
+    return prepareMeshForExport(meshToExport);
+  }
+
+  /**
+   * Filename (without extension) for exports - handles both traditional parts and custom shapes
+   */
+  getExportBaseName() {
+    let partName = 'part';
+    if (this.currentSpec && this.currentSpec.part_type) {
+      // Traditional part (shim, washer, etc.)
+      partName = this.currentSpec.part_type;
+    } else if (this.currentRecipe && this.currentRecipe.description) {
+      // Custom shape from recipe
+      partName = this.currentRecipe.description
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    }
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    return `${partName}_${timestamp}`;
+  }
+
   /**
    * Generate custom shape using AI recipe
    */
@@ -416,22 +1167,23 @@ class RepairPartGenerator {
       }
       
       this.currentRecipe = recipe;
+      this.currentSpec = null;
+      this.parameterEditor.hide();
       
       // Display recipe
       this.displayRecipe(recipe);
       
       // Execute recipe to generate mesh
       this.updateStatus('⚙️ Building 3D model from recipe...', '#666');
-      this.currentPart = await this.recipeEngine.executeRecipe(recipe);
-      
-      // Add to scene
-      this.arManager.addPartToScene(this.currentPart);
-      
-      // Show export button
-      this.elements.exportBtn.style.display = 'block';
+      this.showPart(await this.recipeEngine.executeRecipe(recipe));
+      this.commitHistory(`Create ${recipe.description}`);
       
       this.updateStatus('✨ Custom shape generated!', '#000');
       this.updateInstructions(`🎉 ${recipe.description} - Ready to export!`);
+
+      if (this.currentProject) {
+        await this.saveProject();
+      }
       
     } catch (error) {
       console.error('Failed to generate custom shape:', error);
@@ -457,18 +1209,18 @@ class RepairPartGenerator {
         color: #000;
       ">
         <div style="font-weight: 600; margin-bottom: 4px;">
-          ${step.id}. [${step.operation.toUpperCase()}] ${step.shape}
+          ${escapeHTML(step.id)}. [${escapeHTML(String(step.operation).toUpperCase())}] ${escapeHTML(step.shape)}
         </div>
         <div style="color: #666; margin-top: 4px; font-size: 11px;">
-          ${JSON.stringify(step.params)}
+          ${escapeHTML(JSON.stringify(step.params))}
         </div>
-        ${step.note ? `<div style="color: #999; font-size: 11px; margin-top: 4px;">${step.note}</div>` : ''}
+        ${step.note ? `<div style="color: #999; font-size: 11px; margin-top: 4px;">${escapeHTML(step.note)}</div>` : ''}
       </div>
     `).join('');
     
     this.elements.recipeSteps.innerHTML = `
       <div style="font-size: 13px; margin-bottom: 10px; color: #000; font-weight: 500;">
-        ${recipe.description}
+        ${escapeHTML(recipe.description)}
       </div>
       ${stepsHTML}
     `;
@@ -486,33 +1238,493 @@ class RepairPartGenerator {
     
     // Show loading
     this.updateStatus('⚙️ Switching modes...', '#666');
+
+    // Keep the work in progress - it's reopened after the reload
+    if (this.hasProjectContent()) {
+      try {
+        await this.saveProject();
+      } catch (error) {
+        console.error('Failed to save project before switching modes:', error);
+      }
+    }
     
     // Reload the page to reinitialize
     window.location.reload();
   }
 
+  /**
+   * Measure on a photo - true scale if the marker is in it, else calibrate
+   * against a reference object in the photo
+   */
+  async openPhoto(file) {
+    this.closePreview();
+    this.updateStatus('🖼️ Loading photo...', '#666');
+
+    try {
+      const photo = await this.arManager.loadPhoto(file);
+      this.elements.photoBtn.textContent = '✕ Photo';
+      this.elements.debugMode.textContent = `Mode: Photo (${photo.width}×${photo.height})`;
+
+      if (photo.marker) {
+        this.updateStatus('✅ Marker found in photo - tap to measure!', '#000');
+        this.updateInstructions('🎯 Tap points on the marker\'s surface - distances are true scale');
+      } else {
+        this.updateStatus('🖼️ Photo loaded - no marker found', '#000');
+        this.updateInstructions('📐 Calibrate on a reference object in the photo, then tap to measure');
+      }
+    } catch (error) {
+      console.error('Failed to load photo:', error);
+      this.updateStatus('❌ Could not open that image', '#000');
+    }
+  }
+
+  /**
+   * Back to the live view
+   */
+  closePhoto() {
+    this.arManager.closePhoto();
+    this.selectScaleMode(this.arManager.scaleMode); // The photo's calibration is dropped
+    this.elements.photoBtn.textContent = '🖼️ Photo';
+    this.elements.debugMode.textContent = this.arManager.demoMode ? 'Mode: Demo (Grid)' : 'Mode: Camera (AR)';
+    this.updateStatus('Back to live measuring', '#000');
+  }
+
+  /**
+   * Whether there's anything worth saving yet
+   */
+  hasProjectContent() {
+    return Boolean(
+      this.selectedPartType || this.currentSpec || this.currentRecipe ||
+      this.arManager.session.measurements.length > 0
+    );
+  }
+
+  /**
+   * Save the current design - measurements, part type, spec or recipe, AI
+   * notes and a thumbnail - as the open project, or a new one
+   * @param {{askName?: boolean}} options - askName prompts for a new project's name
+   */
+  async saveProject({ askName = false } = {}) {
+    let name = this.currentProject ? this.currentProject.name : this.defaultProjectName();
+    if (askName && !this.currentProject) {
+      name = prompt('Project name:', name);
+      if (!name) return;
+    }
+
+    try {
+      const project = await this.projectStore.save({
+        ...this.currentProject,
+        ...this.getProjectFields(),
+        name
+      });
+
+      this.currentProject = { id: project.id, name: project.name, created: project.created };
+      saveCurrentProjectId(project.id);
+      this.elements.projectSaveBtn.textContent = `💾 Save "${project.name}"`;
+      this.updateStatus(`💾 Saved ${project.name}`, '#000');
+      if (this.elements.projects.style.display !== 'none') {
+        await this.renderProjects();
+      }
+    } catch (error) {
+      console.error('Failed to save project:', error);
+      this.updateStatus('❌ Could not save project: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * The current design as project fields - what's saved and exported
+   */
+  getProjectFields() {
+    const { session, scale } = this.arManager.getMeasurementState();
+    return {
+      name: this.currentProject ? this.currentProject.name : this.defaultProjectName(),
+      partType: this.selectedPartType,
+      session,
+      scale,
+      spec: this.currentSpec,
+      recipe: this.currentRecipe,
+      notes: (this.currentSpec && this.currentSpec.notes) || (this.currentRecipe && this.currentRecipe.description) || null,
+      thumbnail: this.arManager.captureThumbnail()
+    };
+  }
+
+  /**
+   * Download the current design as a project file for another device
+   */
+  exportProject() {
+    if (!this.hasProjectContent()) {
+      alert('Nothing to export yet - take measurements or generate a part first');
+      return;
+    }
+
+    try {
+      const bundle = createBundle(this.getProjectFields());
+      const filename = bundle.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'project';
+      downloadBundle(bundle, `${filename}.json`);
+      this.updateStatus('✅ Project file exported!', '#000');
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.updateStatus('❌ Export failed: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * Add a project file (or a bare part spec or recipe) to the saved projects
+   * and open it
+   * @param {File} file - .json file
+   */
+  async importProject(file) {
+    try {
+      const project = parseBundle(await file.text());
+      const saved = await this.projectStore.save(project);
+      if (!await this.openProject(saved.id)) {
+        // Don't leave a project in the list that won't open
+        await this.projectStore.delete(saved.id);
+        await this.renderProjects();
+        return;
+      }
+
+      // Older files have no thumbnail - take one of the opened design
+      if (!saved.thumbnail) {
+        await this.saveProject();
+      }
+      this.updateStatus(`📥 Imported ${saved.name}`, '#000');
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.updateStatus('❌ Import failed: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * Name for a new project: its part or custom shape and today's date
+   */
+  defaultProjectName() {
+    const date = new Date().toLocaleDateString();
+    if (this.currentRecipe) return `${this.currentRecipe.description} ${date}`;
+    if (this.selectedPartType) return `${PART_TYPES[this.selectedPartType].name} ${date}`;
+    return `Project ${date}`;
+  }
+
+  /**
+   * Reopen a saved project: its measurements, part type and generated part
+   * @param {string} id - Project id
+   * @returns {Promise<boolean>} - Whether it opened
+   */
+  async openProject(id) {
+    let held = false; // History is paused while the project loads
+    try {
+      const project = await this.projectStore.get(id);
+      if (!project) {
+        // Deleted, or saved in another browser
+        saveCurrentProjectId(null);
+        return false;
+      }
+
+      this.historyHold++;
+      held = true;
+      this.clearAll();
+      this.arManager.restoreMeasurementState(project);
+      this.selectScaleMode(this.arManager.scaleMode);
+      if (project.partType) {
+        this.selectPartType(project.partType);
+      }
+
+      this.currentSpec = project.spec;
+      this.currentRecipe = project.recipe;
+      if (project.spec) {
+        const validation = validateParameters(project.spec.part_type, project.spec.parameters, CONSTRAINTS);
+        if (!validation.valid) {
+          throw new Error('Invalid parameters: ' + validation.errors.join(', '));
+        }
+        this.showPart(generatePart(project.spec.part_type, project.spec.parameters));
+        this.parameterEditor.show(project.spec.part_type, project.spec.parameters);
+      } else if (project.recipe) {
+        this.displayRecipe(project.recipe);
+        this.showPart(await this.recipeEngine.executeRecipe(project.recipe));
+      }
+
+      this.currentProject = { id: project.id, name: project.name, created: project.created };
+      saveCurrentProjectId(project.id);
+      this.elements.projectSaveBtn.textContent = `💾 Save "${project.name}"`;
+      this.updateStatus(`📂 Opened ${project.name}`, '#000');
+      if (project.notes) {
+        this.updateInstructions(`💡 ${project.notes}`);
+      }
+      this.updateGenerateButton();
+      return true;
+    } catch (error) {
+      console.error('Failed to open project:', error);
+      this.updateStatus('❌ Could not open project: ' + error.message, '#000');
+      return false;
+    } finally {
+      // Another project's steps can't be undone into this one
+      if (held) {
+        this.historyHold--;
+        this.resetHistory();
+      }
+    }
+  }
+
+  /**
+   * Save a copy of a project (it's not opened)
+   */
+  async duplicateProject(id) {
+    try {
+      const copy = await this.projectStore.duplicate(id);
+      this.updateStatus(`⧉ Saved ${copy.name}`, '#000');
+      await this.renderProjects();
+    } catch (error) {
+      console.error('Failed to duplicate project:', error);
+      this.updateStatus('❌ Could not duplicate project: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * Delete a project after confirming - the open design stays on screen, unsaved
+   */
+  async deleteProject(id) {
+    try {
+      const project = await this.projectStore.get(id);
+      if (!project || !confirm(`Delete "${project.name}"?`)) return;
+
+      await this.projectStore.delete(id);
+      if (this.currentProject && this.currentProject.id === id) {
+        this.currentProject = null;
+        saveCurrentProjectId(null);
+        this.elements.projectSaveBtn.textContent = '💾 Save project';
+      }
+      await this.renderProjects();
+    } catch (error) {
+      console.error('Failed to delete project:', error);
+      this.updateStatus('❌ Could not delete project: ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * Show or hide the project list
+   */
+  async toggleProjects() {
+    const open = this.elements.projects.style.display === 'none';
+    this.elements.projects.style.display = open ? 'block' : 'none';
+    if (!open) return;
+
+    if (this.elements.controls.classList.contains('collapsed')) {
+      this.toggleControls();
+    }
+    try {
+      await this.renderProjects();
+    } catch (error) {
+      console.error('Failed to list projects:', error);
+      this.elements.projectList.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  /**
+   * Fill the project list, newest first
+   */
+  async renderProjects() {
+    const projects = await this.projectStore.list();
+    if (projects.length === 0) {
+      this.elements.projectList.innerHTML = '<div class="project-empty">No saved projects yet</div>';
+      return;
+    }
+
+    this.elements.projectList.innerHTML = projects.map(project => {
+      const part = project.partType ? PART_TYPES[project.partType].name : 'No part type';
+      const current = this.currentProject && this.currentProject.id === project.id;
+      return `
+        <div class="project-item${current ? ' selected' : ''}" data-project="${project.id}">
+          <span class="project-info">
+            <strong>${escapeHTML(project.name)}</strong>
+            <span>${part} · ${project.measurementCount} measurement(s) · ${new Date(project.updated).toLocaleString()}</span>
+          </span>
+          <span class="project-actions">
+            <button class="project-duplicate" title="Duplicate project">⧉</button>
+            <button class="project-delete" title="Delete project">✕</button>
+          </span>
+        </div>
+      `;
+    }).join('');
+
+    // Thumbnails go in as elements, not markup - imported files set them
+    projects.forEach((project, i) => {
+      if (!project.thumbnail) return;
+      const img = document.createElement('img');
+      img.src = project.thumbnail;
+      img.alt = '';
+      this.elements.projectList.children[i].prepend(img);
+    });
+  }
+
   /**
    * Clear all measurements and generated parts
    */
   clearAll() {
-    this.arManager.clearPoints();
-    this.selectedPartType = null;
-    this.currentPart = null;
-    this.currentSpec = null;
+    this.recordStep('Clear all', () => {
+      this.arManager.resetPlacement();
+      this.arManager.clearPoints();
+      this.arManager.setMeasurementSlots([]);
+      this.hidePart();
+      this.selectedPartType = null;
+      this.currentSpec = null;
+      this.currentRecipe = null;
 
-    // Reset UI
-    document.querySelectorAll('.part-btn').forEach(btn => {
-      btn.classList.remove('active');
+      // Start a new design - the saved project is left as it was
+      this.currentProject = null;
+      saveCurrentProjectId(null);
+      this.elements.projectSaveBtn.textContent = '💾 Save project';
+
+      // Reset UI
+      this.highlightPartType(null);
+      this.elements.measurements.style.display = 'none';
+      this.updateGenerateButton();
     });
     
-    this.elements.exportBtn.style.display = 'none';
-    this.elements.measurements.style.display = 'none';
-    this.updateGenerateButton();
-    
     this.updateStatus('Ready to measure', '#000');
     this.updateInstructions('Select a part type and take measurements');
   }
 
+  /**
+   * Take the generated part away, with everything shown for it
+   */
+  hidePart() {
+    this.closePreview();
+    this.setPlacing(false);
+    this.arManager.removePart();
+    this.currentPart = null;
+
+    this.elements.exportBtn.style.display = 'none';
+    this.elements.export3mfBtn.style.display = 'none';
+    this.elements.exportScadBtn.style.display = 'none';
+    this.elements.printability.style.display = 'none';
+    this.elements.previewTools.style.display = 'none';
+    this.elements.recipeViewer.style.display = 'none';
+    this.parameterEditor.hide();
+  }
+
+  /**
+   * Everything undo and redo restore: the measurements, the part type and
+   * the spec or recipe the part was generated from
+   */
+  captureState() {
+    return {
+      partType: this.selectedPartType,
+      spec: this.currentSpec,
+      recipe: this.currentRecipe,
+      session: this.arManager.session.toJSON()
+    };
+  }
+
+  /**
+   * Record what changed since the last recorded state as one undo step.
+   * Nothing is recorded while a step is being built or restored.
+   * @param {string|function(Object, Object): string} label - Step name, or a function of
+   *   the states before and after that names it
+   * @param {string|null} mergeKey - Steps with the same key in quick succession become one
+   */
+  commitHistory(label, mergeKey = null) {
+    if (this.historyHold > 0) return;
+
+    const before = this.historyState;
+    const after = this.captureState();
+    this.historyState = after;
+    if (!before || stateKey(before) === stateKey(after)) return;
+
+    this.history.record({
+      label: typeof label === 'function' ? label(before, after) : label,
+      mergeKey,
+      undo: () => this.restoreState(before),
+      redo: () => this.restoreState(after)
+    });
+  }
+
+  /**
+   * Make a change that triggers several updates on the way, as one undo step
+   * @param {string} label - Step name
+   * @param {function(): void} change - Makes the change
+   */
+  recordStep(label, change) {
+    this.historyHold++;
+    try {
+      change();
+    } finally {
+      this.historyHold--;
+    }
+    this.commitHistory(label);
+  }
+
+  /**
+   * Start the history afresh from the current state (nothing to undo)
+   */
+  resetHistory() {
+    this.history.clear();
+    this.historyState = this.captureState();
+  }
+
+  /**
+   * Put the measurements and design back as they were in a recorded state,
+   * rebuilding the part from its spec or recipe
+   */
+  async restoreState(state) {
+    this.historyHold++;
+    try {
+      this.arManager.restoreSession(state.session);
+      this.selectedPartType = state.partType;
+      this.highlightPartType(state.partType);
+      this.currentSpec = state.spec;
+      this.currentRecipe = state.recipe;
+
+      if (state.spec) {
+        this.elements.recipeViewer.style.display = 'none';
+        this.showPart(generatePart(state.spec.part_type, state.spec.parameters));
+        this.parameterEditor.show(state.spec.part_type, state.spec.parameters);
+      } else if (state.recipe) {
+        this.parameterEditor.hide();
+        this.displayRecipe(state.recipe);
+        this.showPart(await this.recipeEngine.executeRecipe(state.recipe));
+      } else {
+        this.hidePart();
+      }
+      this.updateGenerateButton();
+    } finally {
+      this.historyHold--;
+      this.historyState = state;
+    }
+  }
+
+  async undo() {
+    // Half-made measurements are taken back a tap at a time first
+    if (this.arManager.undoPendingPoint()) return;
+    await this.stepHistory(() => this.history.undo(), '↶ Undid');
+  }
+
+  async redo() {
+    await this.stepHistory(() => this.history.redo(), '↷ Redid');
+  }
+
+  async stepHistory(step, verb) {
+    try {
+      const label = await step();
+      if (label) {
+        this.updateStatus(`${verb} ${label}`, '#000');
+      }
+    } catch (error) {
+      console.error('Undo/redo failed:', error);
+      this.updateStatus('❌ ' + error.message, '#000');
+    }
+  }
+
+  /**
+   * Enable the undo/redo buttons and name the step each would take
+   */
+  updateHistoryButtons() {
+    const { undo, redo } = this.history.nextLabels();
+    this.elements.undoBtn.disabled = !this.history.canUndo();
+    this.elements.redoBtn.disabled = !this.history.canRedo();
+    this.elements.undoBtn.title = undo ? `Undo ${undo} (Ctrl+Z)` : 'Nothing to undo';
+    this.elements.redoBtn.title = redo ? `Redo ${redo} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
   /**
    * Update status message
    */
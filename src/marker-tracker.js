@@ -0,0 +1,508 @@
+// Marker tracking - finds the printed fiducial marker in camera frames for true-scale measurements
+import * as THREE from 'three';
+import { MARKER_CONFIG } from './config.js';
+
+const PATTERN_GRID = 16; // samples per side of the marker's inner pattern
+const INNER_START = 0.25; // the pattern fills the middle half of the marker
+const INNER_SIZE = 0.5;
+
+/**
+ * Detects a square black-bordered marker (ARToolKit style) in an image,
+ * identifies it against a reference pattern and estimates the homography
+ * between the marker plane (mm) and the image. Points tapped on the marker
+ * plane can then be measured in real millimetres regardless of distance.
+ *
+ * Images are ImageData-like: {width, height, data: RGBA bytes}.
+ */
+export class MarkerTracker {
+  /**
+   * @param {Object} options - {size_mm?, camera_hfov?, min_confidence?}
+   */
+  constructor(options = {}) {
+    const settings = { ...MARKER_CONFIG, ...options };
+    this.markerSize = settings.size_mm;
+    this.cameraFov = settings.camera_hfov;
+    this.minConfidence = settings.min_confidence;
+    this.templates = null;
+  }
+
+  /**
+   * Set the reference marker image (the whole marker, border included)
+   * @param {ImageData} image - Marker image, e.g. public/markers/marker-0.png
+   */
+  setPattern(image) {
+    const gray = toGray(image);
+    const { width, height } = image;
+
+    // Sample the inner pattern straight from the image; marker unit coords → pixels
+    const scale = [width, 0, 0, 0, height, 0, 0, 0, 1];
+    const pattern = samplePattern(gray, width, height, scale);
+    if (!pattern) {
+      throw new Error('Marker pattern has no contrast');
+    }
+
+    // Pre-rotate so detections can be matched in any of the 4 orientations
+    this.templates = [pattern];
+    for (let r = 1; r < 4; r++) {
+      this.templates.push(rotateGrid(this.templates[r - 1]));
+    }
+  }
+
+  /**
+   * Find the marker in a camera frame
+   * @param {ImageData} image - Camera frame
+   * @returns {Object|null} - {corners, homography, inverse, confidence, pose} or null if not found
+   */
+  detect(image) {
+    if (!this.templates) {
+      throw new Error('Marker pattern not set');
+    }
+
+    const { width, height } = image;
+    const gray = toGray(image);
+    const dark = threshold(gray);
+    let best = null;
+
+    findQuads(dark, width, height).forEach(quad => {
+      const unitToImage = computeHomography(UNIT_SQUARE, quad);
+      const sample = samplePattern(gray, width, height, unitToImage);
+      if (!sample) return;
+
+      // Which rotation of the template matches best decides which corner is which
+      this.templates.forEach((template, rotation) => {
+        const confidence = correlate(sample, template);
+        if (confidence >= this.minConfidence && (!best || confidence > best.confidence)) {
+          best = { quad, rotation, confidence };
+        }
+      });
+    });
+
+    if (!best) return null;
+
+    // Corners in marker order: top-left, top-right, bottom-right, bottom-left
+    const corners = [0, 1, 2, 3].map(k => best.quad[(k + 4 - best.rotation) % 4]);
+    const half = this.markerSize / 2;
+    const markerCorners = [
+      { x: -half, y: -half },
+      { x: half, y: -half },
+      { x: half, y: half },
+      { x: -half, y: half }
+    ];
+    const homography = computeHomography(markerCorners, corners);
+
+    return {
+      corners,
+      homography,
+      inverse: invert3(homography),
+      confidence: best.confidence,
+      pose: this.estimatePose(homography, width, height)
+    };
+  }
+
+  /**
+   * Map an image point onto the marker plane
+   * @param {Object} detection - From detect()
+   * @param {number} x - Image x (px)
+   * @param {number} y - Image y (px)
+   * @returns {{x: number, y: number}} - Marker plane coordinates in mm, origin at the marker centre
+   */
+  imageToMarker(detection, x, y) {
+    return applyHomography(detection.inverse, x, y);
+  }
+
+  /**
+   * Camera pose relative to the marker from the homography, assuming a
+   * pinhole camera with the configured field of view. Camera axes follow
+   * image conventions: x right, y down, z forwards.
+   * @returns {{position: THREE.Vector3, rotation: THREE.Matrix4, distance: number}} - position in mm
+   */
+  estimatePose(homography, width, height) {
+    const focal = (width / 2) / Math.tan((this.cameraFov * Math.PI) / 360);
+    const cx = width / 2;
+    const cy = height / 2;
+    const h = homography;
+
+    // Columns of K⁻¹H are λ·[r1 r2 t]
+    const column = c => new THREE.Vector3(
+      (h[c] - cx * h[6 + c]) / focal,
+      (h[3 + c] - cy * h[6 + c]) / focal,
+      h[6 + c]
+    );
+    const h1 = column(0);
+    const h2 = column(1);
+    const h3 = column(2);
+
+    let lambda = 2 / (h1.length() + h2.length());
+    if (h3.z < 0) lambda = -lambda; // marker must be in front of the camera
+
+    const r1 = h1.multiplyScalar(lambda);
+    const r2 = h2.multiplyScalar(lambda);
+    const position = h3.multiplyScalar(lambda);
+
+    // Re-orthogonalise - noise in the corners leaves r1, r2 slightly skewed
+    r1.normalize();
+    r2.addScaledVector(r1, -r1.dot(r2)).normalize();
+    const r3 = new THREE.Vector3().crossVectors(r1, r2);
+
+    return {
+      position,
+      rotation: new THREE.Matrix4().makeBasis(r1, r2, r3),
+      distance: position.length()
+    };
+  }
+}
+
+const UNIT_SQUARE = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 }
+];
+
+// ---------------------------------------------------------------------------
+// Image processing
+
+function toGray(image) {
+  const { width, height, data } = image;
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Otsu threshold - 1 marks dark pixels
+ */
+function threshold(gray) {
+  const histogram = new Uint32Array(256);
+  gray.forEach(v => histogram[Math.min(255, Math.round(v))]++);
+
+  const total = gray.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = -1;
+  let level = 128;
+
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      level = i;
+    }
+  }
+
+  const dark = new Uint8Array(total);
+  for (let i = 0; i < total; i++) {
+    dark[i] = gray[i] <= level ? 1 : 0;
+  }
+  return dark;
+}
+
+/**
+ * Dark connected regions that look like a filled square: returns each one's
+ * four corners in clockwise (image) order
+ */
+function findQuads(dark, width, height) {
+  const labels = new Int32Array(width * height);
+  const minArea = Math.max(64, (width * height) / 1000);
+  const stack = [];
+  const quads = [];
+  let label = 0;
+
+  for (let start = 0; start < dark.length; start++) {
+    if (!dark[start] || labels[start]) continue;
+
+    label++;
+    labels[start] = label;
+    stack.push(start);
+    const boundary = [];
+    let area = 0;
+    let touchesEdge = false;
+
+    while (stack.length > 0) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      area++;
+
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        touchesEdge = true;
+      }
+
+      let isBoundary = false;
+      const neighbours = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        y > 0 ? p - width : -1,
+        y < height - 1 ? p + width : -1
+      ];
+      neighbours.forEach(n => {
+        if (n < 0 || !dark[n]) {
+          isBoundary = true;
+        } else if (!labels[n]) {
+          labels[n] = label;
+          stack.push(n);
+        }
+      });
+
+      if (isBoundary) {
+        boundary.push({ x, y });
+      }
+    }
+
+    // A marker cut off by the frame edge can't be measured from
+    if (touchesEdge || area < minArea) continue;
+
+    const hull = convexHull(boundary);
+    const quad = quadFromHull(hull);
+    if (!quad) continue;
+
+    // The hull must hug the quad (a square, not a blob) and the dark
+    // border must make up most of it
+    const quadArea = polygonArea(quad);
+    const hullArea = polygonArea(hull);
+    if (quadArea < minArea || hullArea / quadArea > 1.1 || hullArea / quadArea < 0.9) continue;
+    if (area / quadArea < 0.5) continue;
+
+    quads.push(quad);
+  }
+
+  return quads;
+}
+
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  const upper = [];
+
+  sorted.forEach(p => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  });
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+}
+
+/**
+ * Four hull points spanning the largest quadrilateral: the farthest pair is
+ * one diagonal, the points farthest either side of it are the other corners.
+ * Corners are pushed out half a pixel, since the hull runs through pixel centres.
+ */
+function quadFromHull(hull) {
+  if (hull.length < 4) return null;
+
+  let a = null;
+  let c = null;
+  let longest = 0;
+  for (let i = 0; i < hull.length; i++) {
+    for (let j = i + 1; j < hull.length; j++) {
+      const d = (hull[i].x - hull[j].x) ** 2 + (hull[i].y - hull[j].y) ** 2;
+      if (d > longest) {
+        longest = d;
+        a = hull[i];
+        c = hull[j];
+      }
+    }
+  }
+
+  let b = null;
+  let d = null;
+  let most = 0;
+  let least = 0;
+  hull.forEach(p => {
+    const side = (c.x - a.x) * (p.y - a.y) - (c.y - a.y) * (p.x - a.x);
+    if (side > most) {
+      most = side;
+      b = p;
+    }
+    if (side < least) {
+      least = side;
+      d = p;
+    }
+  });
+
+  if (!b || !d) return null;
+
+  // Clockwise in image coordinates (y down)
+  const quad = [a, b, c, d];
+  const center = {
+    x: quad.reduce((s, p) => s + p.x, 0) / 4,
+    y: quad.reduce((s, p) => s + p.y, 0) / 4
+  };
+  quad.sort((p, q) => Math.atan2(p.y - center.y, p.x - center.x) - Math.atan2(q.y - center.y, q.x - center.x));
+
+  return quad.map(p => {
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return {
+      x: p.x + 0.5 + (dx / length) * 0.5 * Math.SQRT2,
+      y: p.y + 0.5 + (dy / length) * 0.5 * Math.SQRT2
+    };
+  });
+}
+
+function polygonArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Sample the marker's inner pattern on a grid, normalised to zero mean and
+ * unit length so lighting doesn't matter
+ * @param {number[]} unitToImage - Homography from marker unit square to image
+ * @returns {Float32Array|null} - null for a featureless patch
+ */
+function samplePattern(gray, width, height, unitToImage) {
+  const grid = new Float32Array(PATTERN_GRID * PATTERN_GRID);
+
+  for (let row = 0; row < PATTERN_GRID; row++) {
+    for (let col = 0; col < PATTERN_GRID; col++) {
+      const u = INNER_START + ((col + 0.5) / PATTERN_GRID) * INNER_SIZE;
+      const v = INNER_START + ((row + 0.5) / PATTERN_GRID) * INNER_SIZE;
+      const { x, y } = applyHomography(unitToImage, u, v);
+      grid[row * PATTERN_GRID + col] = sampleBilinear(gray, width, height, x - 0.5, y - 0.5);
+    }
+  }
+
+  const mean = grid.reduce((s, v) => s + v, 0) / grid.length;
+  let norm = 0;
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] -= mean;
+    norm += grid[i] * grid[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm < 1e-3 * grid.length) return null;
+
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] /= norm;
+  }
+  return grid;
+}
+
+function sampleBilinear(gray, width, height, x, y) {
+  const x0 = Math.max(0, Math.min(width - 1, Math.floor(x)));
+  const y0 = Math.max(0, Math.min(height - 1, Math.floor(y)));
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = Math.max(0, Math.min(1, x - x0));
+  const fy = Math.max(0, Math.min(1, y - y0));
+
+  const top = gray[y0 * width + x0] * (1 - fx) + gray[y0 * width + x1] * fx;
+  const bottom = gray[y1 * width + x0] * (1 - fx) + gray[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Turn a pattern grid a quarter turn, matching a marker seen with its
+ * corners shifted one place
+ */
+function rotateGrid(grid) {
+  const rotated = new Float32Array(grid.length);
+  for (let row = 0; row < PATTERN_GRID; row++) {
+    for (let col = 0; col < PATTERN_GRID; col++) {
+      rotated[row * PATTERN_GRID + col] = grid[col * PATTERN_GRID + (PATTERN_GRID - 1 - row)];
+    }
+  }
+  return rotated;
+}
+
+function correlate(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// ---------------------------------------------------------------------------
+// Homographies - row-major 3×3 arrays
+
+/**
+ * Homography mapping four source points onto four destination points
+ */
+function computeHomography(src, dst) {
+  const A = [];
+  const b = [];
+
+  src.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  });
+
+  return [...solve(A, b), 1];
+}
+
+/**
+ * Gaussian elimination with partial pivoting
+ */
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= M[row][k] * x[k];
+    }
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w
+  };
+}
+
+function invert3(m) {
+  const matrix = new THREE.Matrix3().set(...m).invert();
+  // Matrix3.elements is column-major
+  return new THREE.Matrix3().copy(matrix).transpose().elements.slice();
+}
@@ -0,0 +1,95 @@
+// Measurement geometry - angles, arcs and polygon areas from tapped points in a plane
+
+/**
+ * Angle at a vertex between the arms to two other points
+ * @param {{x: number, y: number}} a - Point on the first arm
+ * @param {{x: number, y: number}} vertex - Corner point
+ * @param {{x: number, y: number}} b - Point on the second arm
+ * @returns {number} - Degrees, 0-180
+ */
+export function angleAt(a, vertex, b) {
+  const ax = a.x - vertex.x;
+  const ay = a.y - vertex.y;
+  const bx = b.x - vertex.x;
+  const by = b.y - vertex.y;
+  if ((ax === 0 && ay === 0) || (bx === 0 && by === 0)) {
+    throw new Error('An angle needs arms of some length');
+  }
+
+  return Math.atan2(Math.abs(ax * by - ay * bx), ax * bx + ay * by) * 180 / Math.PI;
+}
+
+/**
+ * Area enclosed by a polygon (shoelace formula), whichever way it winds.
+ * Self-crossing outlines give the difference of their loops, so tap corners
+ * in order around the shape.
+ * @param {Array<{x: number, y: number}>} points - Corners in order
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  if (points.length < 3) {
+    throw new Error('An area needs at least 3 corners');
+  }
+  return Math.abs(signedArea(points));
+}
+
+/**
+ * Centre of mass of a polygon's area (the mean of its corners when it has none)
+ * @param {Array<{x: number, y: number}>} points - Corners in order
+ * @returns {{x: number, y: number}}
+ */
+export function polygonCentroid(points) {
+  const area = signedArea(points);
+  if (Math.abs(area) < 1e-12) {
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+  }
+
+  let cx = 0, cy = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    const cross = p.x * q.y - q.x * p.y;
+    cx += (p.x + q.x) * cross;
+    cy += (p.y + q.y) * cross;
+  });
+  return { x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+/**
+ * The arc of a circle that runs from the first point to the last through the
+ * ones between, as angles around the centre
+ * @param {{x: number, y: number}} center - Circle centre
+ * @param {Array<{x: number, y: number}>} points - Points along the arc, in order
+ * @returns {{start: number, sweep: number}} - Radians; sweep is signed, at most a full turn
+ */
+export function arcThrough(center, points) {
+  const angles = points.map(p => Math.atan2(p.y - center.y, p.x - center.x));
+  const turn = Math.PI * 2;
+  const wrap = angle => ((angle % turn) + turn) % turn;
+
+  // Counter-clockwise span from the first point to each of the others
+  const spans = angles.map(angle => wrap(angle - angles[0]));
+  const end = spans[spans.length - 1];
+  const between = spans.slice(1, -1);
+
+  // Go whichever way passes the middle points
+  const counterClockwise = between.filter(span => span <= end).length >= between.length / 2;
+  return {
+    start: angles[0],
+    sweep: counterClockwise ? end : end - turn
+  };
+}
+
+/**
+ * Signed area - positive when the corners run counter-clockwise
+ */
+function signedArea(points) {
+  let sum = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    sum += p.x * q.y - q.x * p.y;
+  });
+  return sum / 2;
+}
@@ -0,0 +1,492 @@
+// Measurement session - any number of labelled distances, angles, radii and areas
+import * as THREE from 'three';
+import { MEASUREMENT_UNCERTAINTY } from './config.js';
+
+/**
+ * What each kind of measurement is in. Samples hold `value` in scene units
+ * raised to `scalePower` (so converting to real units multiplies by the
+ * scale factor that many times), or `trueValue` in real units when taken on
+ * the tracked marker plane.
+ */
+export const MEASUREMENT_TYPES = {
+  distance: { unit: 'mm', scalePower: 1, prefix: 'dist' },
+  diameter: { unit: 'mm', scalePower: 1, prefix: 'dia' },
+  radius: { unit: 'mm', scalePower: 1, prefix: 'radius' },
+  angle: { unit: '°', scalePower: 0, prefix: 'angle' },
+  area: { unit: 'mm²', scalePower: 2, prefix: 'area' }
+};
+
+/**
+ * Holds the measurements taken in one AR session. Each measurement has its
+ * own id, label and type; for distances a tap either starts a new pair or
+ * completes the pending one, other types arrive as finished samples from
+ * ARManager's tools. Values are in scene units - ARManager converts them.
+ *
+ * Named slots (a part's parameters) guide the session: each new measurement
+ * is labelled with the next unmeasured slot, so values map to parameters by
+ * name rather than by the order they were taken in.
+ *
+ * A measurement can be repeated: each repeat adds a sample, and the
+ * measurement's value is the mean of its samples.
+ */
+export class MeasurementSession {
+  constructor() {
+    this.measurements = [];
+    this.pendingPoint = null;
+    this.pendingPlanePoint = null;
+    this.selectedId = null;
+    this.nextId = 1;
+    this.slots = [];
+    this.activeSlot = null;
+    this.repeatId = null;
+    this.history = []; // Ids in the order samples were taken, for undo
+  }
+
+  /**
+   * Set the named slots to measure, e.g. a part type's required parameters
+   * @param {string[]} names - Slot names, in the order to prompt for them
+   */
+  setSlots(names) {
+    this.slots = [...names];
+    this.activeSlot = null;
+  }
+
+  /**
+   * Slots that don't have a measurement yet
+   * @returns {string[]}
+   */
+  getOpenSlots() {
+    const labels = new Set(this.measurements.map(m => m.label));
+    return this.slots.filter(name => !labels.has(name));
+  }
+
+  /**
+   * Kind of measurement a slot takes: `*_angle` slots take angles, `*_area`
+   * slots areas, and everything else a length (distance, diameter or radius)
+   * @param {string} name - Slot name
+   * @returns {'angle'|'area'|'length'}
+   */
+  slotKind(name) {
+    if (name.endsWith('_angle')) return 'angle';
+    if (name.endsWith('_area')) return 'area';
+    return 'length';
+  }
+
+  /**
+   * Measure a particular open slot next instead of following the slot order
+   * @param {string} name - Slot name
+   */
+  chooseSlot(name) {
+    if (!this.getOpenSlots().includes(name)) {
+      throw new Error(`No open measurement slot: ${name}`);
+    }
+    this.activeSlot = name;
+  }
+
+  /**
+   * Slot the next completed measurement will fill
+   * @param {string|null} type - Measurement type, to skip slots that take another kind
+   * @returns {string|null} - null once every (matching) slot is measured
+   */
+  getNextSlot(type = null) {
+    const kind = type && (MEASUREMENT_TYPES[type].scalePower === 1 ? 'length' : type);
+    const open = this.getOpenSlots().filter(name => !kind || this.slotKind(name) === kind);
+    if (open.includes(this.activeSlot)) {
+      return this.activeSlot;
+    }
+    return open[0] || null;
+  }
+
+  /**
+   * Make the next completed measurement another sample of an existing one
+   * @param {string|null} id - Measurement id (null stops repeating)
+   */
+  repeat(id) {
+    if (id !== null && !this.get(id)) {
+      throw new Error(`Unknown measurement: ${id}`);
+    }
+    this.repeatId = id;
+  }
+
+  /**
+   * Measurement the next completed measurement will add a sample to
+   * @returns {Object|null}
+   */
+  getRepeating() {
+    return this.repeatId ? this.get(this.repeatId) : null;
+  }
+
+  /**
+   * Add a tapped distance point
+   * @param {THREE.Vector3} position - Point on the reference plane
+   * @param {{x: number, y: number}|null} planePoint - Same point on the tracked marker plane in mm, if known
+   * @returns {Object|null} - The completed (or repeated) measurement, or null if this point starts a new one
+   */
+  addPoint(position, planePoint = null) {
+    if (!this.pendingPoint) {
+      this.pendingPoint = position.clone();
+      this.pendingPlanePoint = planePoint;
+      return null;
+    }
+
+    // True-scale distance when both ends were tapped on the tracked marker plane
+    const start = this.pendingPlanePoint;
+    const trueValue = start && planePoint
+      ? Math.hypot(planePoint.x - start.x, planePoint.y - start.y)
+      : null;
+
+    const sample = {
+      type: 'distance',
+      start: this.pendingPoint,
+      end: position.clone(),
+      value: this.pendingPoint.distanceTo(position),
+      trueValue
+    };
+    this.pendingPoint = null;
+    this.pendingPlanePoint = null;
+
+    return this.addSample(sample);
+  }
+
+  /**
+   * Add a finished sample taken some other way than a pair of taps, e.g. a
+   * diameter fitted to points around a hole
+   * @param {Object} sample - {type, start, end, value, trueValue} - start/end span the label's
+   *   position; extra fields (like `overlay`) are kept
+   * @returns {Object} - The new (or repeated) measurement
+   */
+  addSample(sample) {
+    if (!MEASUREMENT_TYPES[sample.type]) {
+      throw new Error(`Unknown measurement type: ${sample.type}`);
+    }
+
+    let measurement = this.getRepeating();
+    if (measurement && measurement.type !== sample.type) {
+      throw new Error(`Can't repeat a ${measurement.type} measurement with a ${sample.type}`);
+    }
+
+    if (measurement) {
+      measurement.samples.push(sample);
+      summarize(measurement);
+    } else {
+      const id = `${MEASUREMENT_TYPES[sample.type].prefix}_${this.nextId++}`;
+      const label = this.getNextSlot(sample.type) || id;
+      measurement = { id, label, type: sample.type, samples: [sample] };
+      summarize(measurement);
+      this.measurements.push(measurement);
+      this.activeSlot = null;
+    }
+
+    this.repeatId = null;
+    this.history.push(measurement.id);
+    this.selectedId = measurement.id;
+    return measurement;
+  }
+
+  /**
+   * Undo the last tap - drops the pending point, or else the last sample
+   * (removing its measurement when it was the only one)
+   * @returns {{point?: THREE.Vector3, sample?: Object, measurement?: Object}|null} - What was
+   *   removed; with `sample`, `measurement` is the one it was taken from and still exists
+   */
+  undo() {
+    if (this.pendingPoint) {
+      const point = this.pendingPoint;
+      this.pendingPoint = null;
+      this.pendingPlanePoint = null;
+      return { point };
+    }
+
+    const id = this.history[this.history.length - 1];
+    const measurement = id && this.get(id);
+    if (!measurement) return null;
+
+    if (measurement.samples.length > 1) {
+      this.history.pop();
+      const sample = measurement.samples.pop();
+      summarize(measurement);
+      return { sample, measurement };
+    }
+
+    this.remove(measurement.id);
+    return { measurement };
+  }
+
+  /**
+   * Delete one measurement
+   * @param {string} id - Measurement id
+   * @returns {Object|null} - The removed measurement
+   */
+  remove(id) {
+    const index = this.measurements.findIndex(m => m.id === id);
+    if (index < 0) return null;
+
+    const [measurement] = this.measurements.splice(index, 1);
+    this.history = this.history.filter(taken => taken !== id);
+    if (this.repeatId === id) {
+      this.repeatId = null;
+    }
+    if (this.selectedId === id) {
+      const last = this.measurements[this.measurements.length - 1];
+      this.selectedId = last ? last.id : null;
+    }
+    return measurement;
+  }
+
+  /**
+   * Select a measurement (null clears the selection)
+   * @param {string|null} id - Measurement id
+   */
+  select(id) {
+    if (id !== null && !this.get(id)) {
+      throw new Error(`Unknown measurement: ${id}`);
+    }
+    this.selectedId = id;
+  }
+
+  /**
+   * Rename a measurement
+   * @param {string} id - Measurement id
+   * @param {string} label - New label, must be unique in the session
+   */
+  setLabel(id, label) {
+    const measurement = this.get(id);
+    if (!measurement) {
+      throw new Error(`Unknown measurement: ${id}`);
+    }
+    if (this.measurements.some(m => m !== measurement && m.label === label)) {
+      throw new Error(`Label already in use: ${label}`);
+    }
+    measurement.label = label;
+  }
+
+  get(id) {
+    return this.measurements.find(m => m.id === id) || null;
+  }
+
+  getSelected() {
+    return this.selectedId ? this.get(this.selectedId) : null;
+  }
+
+  /**
+   * Midpoint of the selected measurement, where a generated part is placed
+   * @returns {THREE.Vector3|null}
+   */
+  getCenter() {
+    const measurement = this.getSelected();
+    if (!measurement) return null;
+    return new THREE.Vector3().lerpVectors(measurement.start, measurement.end, 0.5);
+  }
+
+  /**
+   * One measurement in its unit (mm, ° or mm²) - the mean of its samples.
+   * Marker-tracked samples are already true scale, the rest are converted
+   * from scene units with the scale factor.
+   * @param {Object} measurement - Measurement from this session
+   * @param {number} scaleFactor - mm per scene unit
+   * @returns {number}
+   */
+  millimetresOf(measurement, scaleFactor) {
+    return this.statsOf(measurement, scaleFactor).mean;
+  }
+
+  /**
+   * Mean, spread and estimated error of a measurement's samples in its unit.
+   * The error combines the standard error of the mean with the per-sample
+   * error of how it was taken (MEASUREMENT_UNCERTAINTY), which repeats
+   * can't average away.
+   * @param {Object} measurement - Measurement from this session
+   * @param {number} scaleFactor - mm per scene unit
+   * @param {number} relativeError - Per-sample error of the scale, as a fraction of the distance
+   * @returns {{count: number, mean: number, spread: number, uncertainty: number}} - spread is
+   *   the sample standard deviation, uncertainty the ± error of the mean
+   */
+  statsOf(measurement, scaleFactor, relativeError = 0) {
+    const { scalePower } = MEASUREMENT_TYPES[measurement.type];
+    const values = measurement.samples.map(s => (
+      s.trueValue !== null ? s.trueValue : s.value * scaleFactor ** scalePower
+    ));
+    const count = values.length;
+    const mean = values.reduce((sum, v) => sum + v, 0) / count;
+    const spread = count > 1
+      ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1))
+      : 0;
+
+    const sampleError = measurement.samples.reduce((sum, s, i) => (
+      sum + sampleUncertainty(s, values[i], scalePower, relativeError)
+    ), 0) / count;
+    const uncertainty = Math.hypot(spread / Math.sqrt(count), sampleError);
+
+    return {
+      count,
+      mean: Math.round(mean * 10) / 10,
+      spread: Math.round(spread * 10) / 10,
+      // Round up - an error estimate shouldn't be optimistic
+      uncertainty: Math.ceil(uncertainty * 10 - 1e-9) / 10
+    };
+  }
+
+  /**
+   * Millimetres per scene unit the lengths were measured at: the marker-
+   * tracked samples' true lengths against their scene lengths, or the scale
+   * factor when none were taken on the marker
+   * @param {number} scaleFactor - mm per scene unit of the current scale mode
+   * @returns {number}
+   */
+  millimetresPerUnit(scaleFactor) {
+    const tracked = this.measurements
+      .filter(m => MEASUREMENT_TYPES[m.type].scalePower === 1)
+      .flatMap(m => m.samples)
+      .filter(s => s.trueValue !== null && s.value > 0);
+    if (tracked.length === 0) return scaleFactor;
+
+    const trueLength = tracked.reduce((sum, s) => sum + s.trueValue, 0);
+    const sceneLength = tracked.reduce((sum, s) => sum + s.value, 0);
+    return trueLength / sceneLength;
+  }
+
+  /**
+   * Labelled values (mm, ° or mm²), in the order they were taken
+   * @param {number} scaleFactor - mm per scene unit
+   * @returns {Object} - {label: value}
+   */
+  toMillimetres(scaleFactor) {
+    const result = {};
+    this.measurements.forEach(m => {
+      result[m.label] = this.millimetresOf(m, scaleFactor);
+    });
+    return result;
+  }
+
+  /**
+   * Estimated ± error of each length measurement in mm (angles and areas
+   * aren't lengths, so they're left out)
+   * @param {number} scaleFactor - mm per scene unit
+   * @param {number} relativeError - Per-sample error of the scale, as a fraction of the distance
+   * @returns {Object} - {label: uncertaintyMM}
+   */
+  toUncertainties(scaleFactor, relativeError = 0) {
+    const result = {};
+    this.measurements
+      .filter(m => MEASUREMENT_TYPES[m.type].unit === 'mm')
+      .forEach(m => {
+        result[m.label] = this.statsOf(m, scaleFactor, relativeError).uncertainty;
+      });
+    return result;
+  }
+
+  /**
+   * Drop every measurement; slots stay set so they can be measured again
+   */
+  clear() {
+    this.measurements = [];
+    this.pendingPoint = null;
+    this.pendingPlanePoint = null;
+    this.selectedId = null;
+    this.nextId = 1;
+    this.activeSlot = null;
+    this.repeatId = null;
+    this.history = [];
+  }
+
+  /**
+   * Plain-data copy of the session for saving: measurements with their
+   * samples (vectors as [x, y, z]), slots, selection and undo history.
+   * A pending point or repeat isn't kept.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      measurements: this.measurements.map(({ id, label, type, samples }) => ({
+        id,
+        label,
+        type,
+        samples: samples.map(sample => mapVectors(sample, v => v.toArray()))
+      })),
+      selectedId: this.selectedId,
+      nextId: this.nextId,
+      slots: [...this.slots],
+      activeSlot: this.activeSlot,
+      history: [...this.history]
+    };
+  }
+
+  /**
+   * Rebuild a session saved with toJSON
+   * @param {Object} data - From toJSON
+   * @returns {MeasurementSession}
+   */
+  static fromJSON(data) {
+    const session = new MeasurementSession();
+    session.measurements = data.measurements.map(({ id, label, type, samples }) => {
+      if (!MEASUREMENT_TYPES[type]) {
+        throw new Error(`Unknown measurement type: ${type}`);
+      }
+      const measurement = {
+        id,
+        label,
+        type,
+        samples: samples.map(sample => ({
+          ...mapVectors(sample, array => new THREE.Vector3().fromArray(array)),
+          trueValue: sample.trueValue ?? null // Missing would count as true scale
+        }))
+      };
+      summarize(measurement);
+      return measurement;
+    });
+    session.selectedId = data.selectedId;
+    session.nextId = data.nextId;
+    session.slots = [...data.slots];
+    session.activeSlot = data.activeSlot;
+    session.history = [...data.history];
+    return session;
+  }
+}
+
+/**
+ * Copy a sample, converting the points in it (its ends and overlay) one way
+ * or the other between THREE.Vector3 and [x, y, z]
+ */
+function mapVectors(sample, convert) {
+  const copy = { ...sample, start: convert(sample.start), end: convert(sample.end) };
+  if (sample.overlay) {
+    const { points, segments, path, closed } = sample.overlay;
+    copy.overlay = {
+      points: points.map(convert),
+      segments: segments.map(segment => segment.map(convert)),
+      path: path.map(convert),
+      closed
+    };
+  }
+  return copy;
+}
+
+/**
+ * Refresh a measurement's summary fields from its samples: the first sample's
+ * span (where its label goes), the mean scene value, and whether every
+ * sample was true scale
+ */
+function summarize(measurement) {
+  const { samples } = measurement;
+
+  measurement.start = samples[0].start;
+  measurement.end = samples[0].end;
+  measurement.value = samples.reduce((sum, s) => sum + s.value, 0) / samples.length;
+  measurement.trueScale = samples.every(s => s.trueValue !== null);
+}
+
+/**
+ * Error of one sample in real units, before averaging. Angles don't depend
+ * on scale; an area's error grows with its side length (about 2√A per mm
+ * of error along the sides) or twice its relative scale error.
+ */
+function sampleUncertainty(sample, value, scalePower, relativeError) {
+  if (scalePower === 0) {
+    return MEASUREMENT_UNCERTAINTY.angle_deg;
+  }
+  if (sample.trueValue !== null) {
+    const tap = MEASUREMENT_UNCERTAINTY.marker_mm;
+    return scalePower === 2 ? 2 * Math.sqrt(value) * tap : tap;
+  }
+  return value * relativeError * scalePower;
+}
@@ -0,0 +1,726 @@
+// Mesh health - manifold/watertightness analysis and automatic repair before export
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+const DEFAULTS = {
+  weldTolerance: 5e-3, // mm - vertices closer than this are merged (well below print resolution)
+  collapseTolerance: 0.05, // mm - shorter edges on a broken seam are collapsed during repair
+  areaTolerance: 1e-8, // mm² - smaller triangles count as degenerate
+  checkSelfIntersections: true,
+  maxSelfIntersectionTriangles: 50000 // skip the (slow) intersection test above this
+};
+
+/**
+ * Analyse a geometry for printability problems.
+ * Vertices are welded first, so split normals/UV seams don't count as open edges.
+ * @param {THREE.BufferGeometry} geometry - Geometry to check (indexed or not)
+ * @param {Object} options - {weldTolerance?, areaTolerance?, checkSelfIntersections?}
+ * @returns {Object} - Health report
+ */
+export function analyzeMesh(geometry, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const mesh = weldGeometry(geometry, settings.weldTolerance);
+  return buildReport(mesh, settings);
+}
+
+/**
+ * Attempt to make a geometry watertight and consistently oriented.
+ * Steps: weld vertices, drop degenerate and duplicate triangles, stitch
+ * T-junctions left by CSG, fill remaining holes, unify winding and make
+ * normals point outwards.
+ * @param {THREE.BufferGeometry} geometry - Geometry to repair
+ * @param {Object} options - Same as analyzeMesh
+ * @returns {{geometry: THREE.BufferGeometry, actions: string[], report: Object}}
+ */
+export function repairMesh(geometry, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const mesh = weldGeometry(geometry, settings.weldTolerance);
+  const actions = [];
+
+  // Each fix can expose work for the others (stitching leaves slivers,
+  // hole patches can double up faces), so repeat until nothing changes
+  const totals = { degenerate: 0, duplicates: 0, stitched: 0, collapsed: 0, flipped: 0, filled: 0 };
+
+  for (let round = 0; round < 5; round++) {
+    const degenerate = removeDegenerateTriangles(mesh, settings.areaTolerance);
+    const duplicates = removeDuplicateTriangles(mesh);
+    const stitched = stitchTJunctions(mesh, settings);
+    const collapsed = collapseSeamSlivers(mesh, settings.collapseTolerance);
+    const cleaned = removeDegenerateTriangles(mesh, settings.areaTolerance) +
+      removeDuplicateTriangles(mesh);
+    // Boundary loops only close up once the faces around them agree on winding
+    const flipped = unifyOrientation(mesh);
+    const filled = fillHoles(mesh);
+
+    totals.degenerate += degenerate;
+    totals.duplicates += duplicates;
+    totals.stitched += stitched;
+    totals.collapsed += collapsed;
+    totals.flipped += flipped;
+    totals.filled += filled;
+
+    if (degenerate + duplicates + stitched + collapsed + cleaned + flipped + filled === 0) break;
+  }
+
+  if (totals.degenerate > 0) {
+    actions.push(`Removed ${totals.degenerate} degenerate triangles`);
+  }
+  if (totals.duplicates > 0) {
+    actions.push(`Removed ${totals.duplicates} duplicate triangles`);
+  }
+  if (totals.stitched > 0) {
+    actions.push(`Stitched ${totals.stitched} T-junctions`);
+  }
+  if (totals.collapsed > 0) {
+    actions.push(`Collapsed ${totals.collapsed} sliver edges`);
+  }
+  if (totals.filled > 0) {
+    actions.push(`Filled ${totals.filled} holes`);
+  }
+
+  // Hole patches follow their loop's winding, but check the final piece too
+  totals.flipped += unifyOrientation(mesh);
+  if (totals.flipped > 0) {
+    actions.push(`Flipped ${totals.flipped} faces to match their neighbours`);
+  }
+
+  if (signedVolume(mesh) < 0) {
+    flipAll(mesh);
+    actions.push('Inverted normals turned outwards');
+  }
+
+  return {
+    geometry: toGeometry(mesh),
+    actions,
+    report: buildReport(mesh, settings)
+  };
+}
+
+/**
+ * Check a mesh before export and repair its geometry in place if needed
+ * @param {THREE.Mesh} mesh - Mesh about to be exported
+ * @param {Object} options - Same as analyzeMesh
+ * @returns {{printable: boolean, repaired: boolean, actions: string[], issues: string[], report: Object}}
+ */
+export function ensurePrintable(mesh, options = {}) {
+  const report = analyzeMesh(mesh.geometry, options);
+  if (report.printable) {
+    return { printable: true, repaired: false, actions: [], issues: [], report };
+  }
+
+  const result = repairMesh(mesh.geometry, options);
+  mesh.geometry = result.geometry;
+
+  return {
+    printable: result.report.printable,
+    repaired: true,
+    actions: result.actions,
+    issues: describeIssues(result.report),
+    report: result.report
+  };
+}
+
+/**
+ * Short human-readable summary of a report's problems
+ * @param {Object} report - From analyzeMesh/repairMesh
+ * @returns {string[]}
+ */
+export function describeIssues(report) {
+  const issues = [];
+
+  if (report.openEdges > 0) {
+    issues.push(`${report.openEdges} open edges (${report.holes} holes)`);
+  }
+  if (report.nonManifoldEdges > 0) {
+    issues.push(`${report.nonManifoldEdges} non-manifold edges`);
+  }
+  if (report.degenerateTriangles > 0) {
+    issues.push(`${report.degenerateTriangles} degenerate triangles`);
+  }
+  if (report.flippedFaces > 0) {
+    issues.push(`${report.flippedFaces} flipped faces`);
+  }
+  if (report.invertedNormals) {
+    issues.push('normals point inwards');
+  }
+  if (report.selfIntersections > 0) {
+    issues.push(`${report.selfIntersections} self-intersecting triangle pairs`);
+  }
+
+  return issues;
+}
+
+// ---------------------------------------------------------------------------
+// Internal mesh representation: { positions: Float32Array, triangles: number[] }
+
+function weldGeometry(geometry, tolerance) {
+  const source = new THREE.BufferGeometry();
+  source.setAttribute('position', geometry.attributes.position.clone());
+  if (geometry.index) {
+    source.setIndex(geometry.index.clone());
+  }
+
+  const welded = mergeVertices(source, tolerance);
+  const positions = Array.from(welded.attributes.position.array);
+  const triangles = Array.from(welded.index.array);
+
+  return { positions, triangles };
+}
+
+function toGeometry(mesh) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(mesh.positions, 3));
+  geometry.setIndex(mesh.triangles);
+
+  const flat = geometry.toNonIndexed();
+  flat.computeVertexNormals();
+  return flat;
+}
+
+function vertex(mesh, index, target = new THREE.Vector3()) {
+  return target.fromArray(mesh.positions, index * 3);
+}
+
+function triangleArea(mesh, a, b, c) {
+  const va = vertex(mesh, a);
+  const ab = vertex(mesh, b).sub(va);
+  const ac = vertex(mesh, c).sub(va);
+  return ab.cross(ac).length() / 2;
+}
+
+function edgeKey(a, b) {
+  return a < b ? `${a}_${b}` : `${b}_${a}`;
+}
+
+/**
+ * Map each undirected edge to the faces using it
+ */
+function buildEdgeMap(mesh) {
+  const edges = new Map();
+  const { triangles } = mesh;
+
+  for (let face = 0; face < triangles.length / 3; face++) {
+    for (let j = 0; j < 3; j++) {
+      const a = triangles[face * 3 + j];
+      const b = triangles[face * 3 + (j + 1) % 3];
+      const key = edgeKey(a, b);
+      if (!edges.has(key)) {
+        edges.set(key, []);
+      }
+      edges.get(key).push(face);
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Does the face traverse a→b (rather than b→a)?
+ */
+function hasDirectedEdge(mesh, face, a, b) {
+  const t = mesh.triangles;
+  for (let j = 0; j < 3; j++) {
+    if (t[face * 3 + j] === a && t[face * 3 + (j + 1) % 3] === b) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function signedVolume(mesh) {
+  const { positions: p, triangles: t } = mesh;
+  let volume = 0;
+
+  for (let i = 0; i < t.length; i += 3) {
+    const a = t[i] * 3;
+    const b = t[i + 1] * 3;
+    const c = t[i + 2] * 3;
+    volume += (
+      p[a] * (p[b + 1] * p[c + 2] - p[b + 2] * p[c + 1]) -
+      p[a + 1] * (p[b] * p[c + 2] - p[b + 2] * p[c]) +
+      p[a + 2] * (p[b] * p[c + 1] - p[b + 1] * p[c])
+    ) / 6;
+  }
+
+  return volume;
+}
+
+function buildReport(mesh, settings) {
+  const { triangles } = mesh;
+  const faceCount = triangles.length / 3;
+  const edges = buildEdgeMap(mesh);
+
+  let degenerateTriangles = 0;
+  for (let face = 0; face < faceCount; face++) {
+    const [a, b, c] = triangles.slice(face * 3, face * 3 + 3);
+    if (a === b || b === c || a === c || triangleArea(mesh, a, b, c) < settings.areaTolerance) {
+      degenerateTriangles++;
+    }
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  edges.forEach(faces => {
+    if (faces.length === 1) openEdges++;
+    if (faces.length > 2) nonManifoldEdges++;
+  });
+
+  const holes = findBoundaryLoops(mesh, edges).length;
+  const flippedFaces = countInconsistentFaces(mesh, edges);
+  const volume = signedVolume(mesh);
+
+  let selfIntersections = null;
+  if (settings.checkSelfIntersections && faceCount <= settings.maxSelfIntersectionTriangles) {
+    selfIntersections = countSelfIntersections(mesh, settings.weldTolerance);
+  }
+
+  const watertight = openEdges === 0 && nonManifoldEdges === 0;
+
+  return {
+    triangleCount: faceCount,
+    vertexCount: mesh.positions.length / 3,
+    degenerateTriangles,
+    openEdges,
+    holes,
+    nonManifoldEdges,
+    flippedFaces,
+    invertedNormals: volume < 0,
+    selfIntersections,
+    volume: Math.abs(volume),
+    watertight,
+    printable: watertight &&
+      degenerateTriangles === 0 &&
+      flippedFaces === 0 &&
+      volume > 0 &&
+      !selfIntersections
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Repair steps - each mutates the mesh and returns how many fixes it made
+
+function removeDegenerateTriangles(mesh, areaTolerance) {
+  const kept = [];
+  const t = mesh.triangles;
+
+  for (let i = 0; i < t.length; i += 3) {
+    const [a, b, c] = [t[i], t[i + 1], t[i + 2]];
+    if (a !== b && b !== c && a !== c && triangleArea(mesh, a, b, c) >= areaTolerance) {
+      kept.push(a, b, c);
+    }
+  }
+
+  const removed = (t.length - kept.length) / 3;
+  mesh.triangles = kept;
+  return removed;
+}
+
+function removeDuplicateTriangles(mesh) {
+  const t = mesh.triangles;
+  const seen = new Map();
+
+  for (let face = 0; face < t.length / 3; face++) {
+    const key = t.slice(face * 3, face * 3 + 3).sort((x, y) => x - y).join('_');
+    if (!seen.has(key)) {
+      seen.set(key, []);
+    }
+    seen.get(key).push(face);
+  }
+
+  const drop = new Set();
+  seen.forEach(faces => {
+    if (faces.length < 2) return;
+    const [first, second] = faces;
+    const [a, b] = t.slice(first * 3, first * 3 + 2);
+    if (faces.length === 2 && hasDirectedEdge(mesh, second, b, a)) {
+      // Back-to-back pair is an internal wall - remove both
+      faces.forEach(face => drop.add(face));
+    } else {
+      faces.slice(1).forEach(face => drop.add(face));
+    }
+  });
+
+  if (drop.size === 0) return 0;
+
+  const kept = [];
+  for (let face = 0; face < t.length / 3; face++) {
+    if (!drop.has(face)) {
+      kept.push(t[face * 3], t[face * 3 + 1], t[face * 3 + 2]);
+    }
+  }
+  mesh.triangles = kept;
+  return drop.size;
+}
+
+/**
+ * CSG leaves vertices lying on the middle of a neighbour's edge. Split the
+ * neighbour at that vertex so both sides share the same edges.
+ */
+function stitchTJunctions(mesh, settings) {
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const p = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const closest = new THREE.Vector3();
+  let stitched = 0;
+
+  for (let pass = 0; pass < 50; pass++) {
+    const edges = buildEdgeMap(mesh);
+    const boundary = [];
+    const boundaryVertices = new Set();
+
+    edges.forEach((faces, key) => {
+      if (faces.length !== 1) return;
+      const [v1, v2] = key.split('_').map(Number);
+      boundary.push([v1, v2, faces[0]]);
+      boundaryVertices.add(v1);
+      boundaryVertices.add(v2);
+    });
+
+    if (boundary.length === 0) break;
+
+    const candidates = Array.from(boundaryVertices);
+    const splitFaces = new Set();
+    let splits = 0;
+
+    boundary.forEach(([v1, v2, face]) => {
+      if (splitFaces.has(face)) return;
+
+      vertex(mesh, v1, a);
+      vertex(mesh, v2, b);
+      ab.subVectors(b, a);
+      const lengthSq = ab.lengthSq();
+
+      // Nearest boundary vertex lying strictly inside this edge
+      let best = -1;
+      let bestT = 1;
+      candidates.forEach(v => {
+        if (v === v1 || v === v2) return;
+        vertex(mesh, v, p);
+        const t = p.clone().sub(a).dot(ab) / lengthSq;
+        if (t <= 1e-6 || t >= bestT) return;
+        closest.copy(a).addScaledVector(ab, t);
+        if (closest.distanceTo(p) < settings.weldTolerance) {
+          best = v;
+          bestT = t;
+        }
+      });
+
+      if (best < 0) return;
+
+      // Split face (v1, v2, opposite) into two, keeping its winding
+      const t = mesh.triangles;
+      const base = face * 3;
+      const corners = [t[base], t[base + 1], t[base + 2]];
+      const j = corners.findIndex((v, k) => {
+        const next = corners[(k + 1) % 3];
+        return (v === v1 && next === v2) || (v === v2 && next === v1);
+      });
+      const from = corners[j];
+      const to = corners[(j + 1) % 3];
+      const opposite = corners[(j + 2) % 3];
+
+      t[base] = from;
+      t[base + 1] = best;
+      t[base + 2] = opposite;
+      t.push(best, to, opposite);
+
+      splitFaces.add(face);
+      splits++;
+    });
+
+    stitched += splits;
+    if (splits === 0) break;
+  }
+
+  return stitched;
+}
+
+/**
+ * Where CSG cuts meet at a shallow angle it leaves clusters of near-coincident
+ * vertices just outside the weld tolerance. Collapse short edges around open
+ * or non-manifold edges to their midpoint; the faces they thin out become
+ * degenerate and are removed by the next clean-up pass.
+ */
+function collapseSeamSlivers(mesh, tolerance) {
+  const edges = buildEdgeMap(mesh);
+  const remap = new Map();
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+
+  // Vertices on the broken seam; short edges touching them are slivers
+  const seam = new Set();
+  edges.forEach((faces, key) => {
+    if (faces.length === 2) return;
+    key.split('_').forEach(v => seam.add(Number(v)));
+  });
+  if (seam.size === 0) return 0;
+
+  edges.forEach((faces, key) => {
+    const [v1, v2] = key.split('_').map(Number);
+    if (!seam.has(v1) && !seam.has(v2)) return;
+    if (remap.has(v1) || remap.has(v2)) return;
+
+    vertex(mesh, v1, a);
+    vertex(mesh, v2, b);
+    if (a.distanceTo(b) >= tolerance) return;
+
+    a.add(b).multiplyScalar(0.5);
+    mesh.positions.splice(v1 * 3, 3, a.x, a.y, a.z);
+    remap.set(v2, v1);
+    remap.set(v1, v1);
+  });
+
+  let collapsed = 0;
+  remap.forEach((to, from) => {
+    if (to !== from) collapsed++;
+  });
+  if (collapsed === 0) return 0;
+
+  mesh.triangles = mesh.triangles.map(v => (remap.has(v) ? remap.get(v) : v));
+  return collapsed;
+}
+
+/**
+ * Walk open edges into closed loops. Each loop is a list of vertices in the
+ * direction its faces traverse them.
+ */
+function findBoundaryLoops(mesh, edges = buildEdgeMap(mesh)) {
+  const next = new Map();
+
+  edges.forEach((faces, key) => {
+    if (faces.length !== 1) return;
+    const [v1, v2] = key.split('_').map(Number);
+    const [from, to] = hasDirectedEdge(mesh, faces[0], v1, v2) ? [v1, v2] : [v2, v1];
+    if (!next.has(from)) {
+      next.set(from, []);
+    }
+    next.get(from).push(to);
+  });
+
+  const loops = [];
+  next.forEach((targets, start) => {
+    while (targets.length > 0) {
+      const loop = [start];
+      let current = targets.pop();
+
+      while (current !== start && next.has(current) && next.get(current).length > 0 && loop.length < 100000) {
+        loop.push(current);
+        current = next.get(current).pop();
+      }
+
+      if (current === start && loop.length >= 3) {
+        loops.push(loop);
+      }
+    }
+  });
+
+  return loops;
+}
+
+/**
+ * Close each boundary loop with a fan around its centroid
+ */
+function fillHoles(mesh) {
+  const loops = findBoundaryLoops(mesh);
+  const centroid = new THREE.Vector3();
+  const point = new THREE.Vector3();
+
+  loops.forEach(loop => {
+    // Boundary runs from→to in its face, so the patch uses to→from
+    if (loop.length === 3) {
+      mesh.triangles.push(loop[2], loop[1], loop[0]);
+      return;
+    }
+
+    centroid.set(0, 0, 0);
+    loop.forEach(v => centroid.add(vertex(mesh, v, point)));
+    centroid.divideScalar(loop.length);
+
+    const center = mesh.positions.length / 3;
+    mesh.positions.push(centroid.x, centroid.y, centroid.z);
+
+    loop.forEach((from, i) => {
+      const to = loop[(i + 1) % loop.length];
+      mesh.triangles.push(to, from, center);
+    });
+  });
+
+  return loops.length;
+}
+
+/**
+ * Flood-fill each connected piece, flipping faces whose shared edges run
+ * the same way as their neighbour's. Returns how many faces were flipped.
+ */
+function unifyOrientation(mesh, edges = buildEdgeMap(mesh), apply = true) {
+  const t = mesh.triangles;
+  const faceCount = t.length / 3;
+  const visited = new Uint8Array(faceCount);
+  const flip = new Uint8Array(faceCount);
+  let total = 0;
+
+  for (let seed = 0; seed < faceCount; seed++) {
+    if (visited[seed]) continue;
+
+    const component = [seed];
+    visited[seed] = 1;
+
+    for (let i = 0; i < component.length; i++) {
+      const face = component[i];
+
+      for (let j = 0; j < 3; j++) {
+        let a = t[face * 3 + j];
+        let b = t[face * 3 + (j + 1) % 3];
+        if (flip[face]) [a, b] = [b, a];
+
+        const neighbours = edges.get(edgeKey(a, b));
+        if (neighbours.length !== 2) continue;
+
+        const other = neighbours[0] === face ? neighbours[1] : neighbours[0];
+        if (visited[other]) continue;
+
+        // Consistent neighbours traverse the shared edge in opposite directions
+        visited[other] = 1;
+        flip[other] = hasDirectedEdge(mesh, other, a, b) ? 1 : 0;
+        component.push(other);
+      }
+    }
+
+    // Keep whichever orientation the majority of the piece already has
+    const flipped = component.filter(face => flip[face]).length;
+    if (flipped > component.length / 2) {
+      component.forEach(face => {
+        flip[face] = flip[face] ? 0 : 1;
+      });
+    }
+    total += Math.min(flipped, component.length - flipped);
+  }
+
+  if (apply) {
+    for (let face = 0; face < faceCount; face++) {
+      if (flip[face]) {
+        const tmp = t[face * 3 + 1];
+        t[face * 3 + 1] = t[face * 3 + 2];
+        t[face * 3 + 2] = tmp;
+      }
+    }
+  }
+
+  return total;
+}
+
+function countInconsistentFaces(mesh, edges) {
+  return unifyOrientation(mesh, edges, false);
+}
+
+function flipAll(mesh) {
+  const t = mesh.triangles;
+  for (let i = 0; i < t.length; i += 3) {
+    const tmp = t[i + 1];
+    t[i + 1] = t[i + 2];
+    t[i + 2] = tmp;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Self-intersection test
+
+/**
+ * Count pairs of non-adjacent triangles where an edge of one passes through
+ * the interior of the other. Touching, coplanar contact and folds shallower
+ * than the tolerance are ignored, so stitched CSG seams don't register.
+ */
+function countSelfIntersections(mesh, tolerance) {
+  const t = mesh.triangles;
+  if (t.length === 0) return 0;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(mesh.positions, 3));
+  geometry.setIndex(t.slice());
+  const bvh = new MeshBVH(geometry);
+
+  // MeshBVH reorders the index, so read triangles back from it
+  const index = geometry.index.array;
+  const box = new THREE.Box3();
+  const triA = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const triB = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  let count = 0;
+
+  for (let face = 0; face < index.length / 3; face++) {
+    const ia = [index[face * 3], index[face * 3 + 1], index[face * 3 + 2]];
+    ia.forEach((v, k) => vertex(mesh, v, triA[k]));
+    box.setFromPoints(triA);
+
+    bvh.shapecast({
+      intersectsBounds: bounds => bounds.intersectsBox(box),
+      intersectsTriangle: (tri, other) => {
+        if (other <= face) return false;
+
+        const ib = [index[other * 3], index[other * 3 + 1], index[other * 3 + 2]];
+        if (ib.some(v => ia.includes(v))) return false;
+
+        triB[0].copy(tri.a);
+        triB[1].copy(tri.b);
+        triB[2].copy(tri.c);
+
+        if (edgesPierce(triA, triB, tolerance) || edgesPierce(triB, triA, tolerance)) {
+          count++;
+        }
+        return false;
+      }
+    });
+  }
+
+  return count;
+}
+
+const _edge = new THREE.Vector3();
+const _e1 = new THREE.Vector3();
+const _e2 = new THREE.Vector3();
+const _h = new THREE.Vector3();
+const _s = new THREE.Vector3();
+const _q = new THREE.Vector3();
+const _plane = new THREE.Plane();
+
+/**
+ * Does any edge of `edgesOf` cross strictly through the interior of `tri`,
+ * with both ends more than `tolerance` from its plane?
+ */
+function edgesPierce(edgesOf, tri, tolerance) {
+  const eps = 1e-6;
+  _e1.subVectors(tri[1], tri[0]);
+  _e2.subVectors(tri[2], tri[0]);
+  _plane.setFromCoplanarPoints(tri[0], tri[1], tri[2]);
+
+  for (let k = 0; k < 3; k++) {
+    const start = edgesOf[k];
+    const end = edgesOf[(k + 1) % 3];
+    if (Math.min(Math.abs(_plane.distanceToPoint(start)), Math.abs(_plane.distanceToPoint(end))) <= tolerance) {
+      continue;
+    }
+    _edge.subVectors(end, start);
+
+    // Möller-Trumbore, restricted to the segment
+    _h.crossVectors(_edge, _e2);
+    const det = _e1.dot(_h);
+    if (Math.abs(det) < 1e-12) continue;
+
+    const inv = 1 / det;
+    _s.subVectors(start, tri[0]);
+    const u = _s.dot(_h) * inv;
+    if (u <= eps || u >= 1 - eps) continue;
+
+    _q.crossVectors(_s, _e1);
+    const v = _edge.dot(_q) * inv;
+    if (v <= eps || u + v >= 1 - eps) continue;
+
+    const along = _e2.dot(_q) * inv;
+    if (along > eps && along < 1 - eps) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,181 @@
+// Print orientation - lay parts flat on the bed before export
+import * as THREE from 'three';
+import { CONSTRAINTS } from './config.js';
+
+const DOWN = new THREE.Vector3(0, 0, -1);
+const PLANE_TOLERANCE = 0.01; // mm - faces this close to the bed count as touching it
+const NORMAL_TOLERANCE = 0.999; // cos of the angle within which faces count as flat
+const MAX_CANDIDATES = 30;
+
+/**
+ * Pick the rotation that puts the largest flat face on the bed with the least
+ * overhang. Each candidate turns one face group's outward normal to point
+ * straight down (-Z).
+ * @param {THREE.BufferGeometry} geometry - Part geometry in mm (indexed or not)
+ * @param {Object} constraints - CONSTRAINTS (max_overhang_angle)
+ * @returns {{quaternion: THREE.Quaternion, normal: THREE.Vector3, contactArea: number, overhangArea: number}}
+ */
+export function findPrintOrientation(geometry, constraints = CONSTRAINTS) {
+  const { max_overhang_angle: overhangAngle = CONSTRAINTS.max_overhang_angle } = constraints;
+  const overhangLimit = Math.sin((overhangAngle * Math.PI) / 180);
+  const faces = readFaces(geometry);
+
+  let best = null;
+  candidateNormals(faces).forEach(normal => {
+    const contactArea = measureContact(faces, normal);
+    if (contactArea === 0) return;
+
+    const overhangArea = measureOverhang(faces, normal, overhangLimit);
+    const score = contactArea - overhangArea;
+    if (!best || score > best.score + 1e-6) {
+      best = { normal, contactArea, overhangArea, score };
+    }
+  });
+
+  // Nothing flat (e.g. a sphere) - leave it as generated
+  if (!best) {
+    return {
+      quaternion: new THREE.Quaternion(),
+      normal: DOWN.clone(),
+      contactArea: 0,
+      overhangArea: measureOverhang(faces, DOWN, overhangLimit)
+    };
+  }
+
+  return {
+    quaternion: new THREE.Quaternion().setFromUnitVectors(best.normal, DOWN),
+    normal: best.normal,
+    contactArea: best.contactArea,
+    overhangArea: best.overhangArea
+  };
+}
+
+/**
+ * Rotate a mesh's geometry into its best print orientation, then drop it onto
+ * Z = 0 centred on the bed. Turns the part 90° if that's the only way it fits.
+ * The geometry is replaced with a transformed copy, so previews sharing the
+ * original are untouched.
+ * @param {THREE.Mesh} mesh - Mesh about to be exported (identity transform)
+ * @param {Object} constraints - CONSTRAINTS (max_overhang_angle, bed_size)
+ * @returns {THREE.Mesh} - The same mesh
+ */
+export function orientForPrinting(mesh, constraints = CONSTRAINTS) {
+  const { bed_size: bed = CONSTRAINTS.bed_size } = constraints;
+  const geometry = mesh.geometry.clone();
+
+  const { quaternion } = findPrintOrientation(geometry, constraints);
+  geometry.applyQuaternion(quaternion);
+
+  geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  if ((size.x > bed.x || size.y > bed.y) && size.y <= bed.x && size.x <= bed.y) {
+    geometry.rotateZ(Math.PI / 2);
+    geometry.computeBoundingBox();
+  }
+
+  const { min, max } = geometry.boundingBox;
+  geometry.translate(
+    bed.x / 2 - (min.x + max.x) / 2,
+    bed.y / 2 - (min.y + max.y) / 2,
+    -min.z
+  );
+
+  if (geometry.attributes.normal) {
+    geometry.computeVertexNormals();
+  }
+  geometry.computeBoundingBox();
+
+  mesh.geometry = geometry;
+  return mesh;
+}
+
+/**
+ * Normal, area and corners of every non-degenerate triangle
+ */
+function readFaces(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count / 3 : position.count / 3;
+  const triangle = new THREE.Triangle();
+  const faces = [];
+
+  for (let face = 0; face < count; face++) {
+    const vertices = [0, 1, 2].map(k => {
+      const i = index ? index.getX(face * 3 + k) : face * 3 + k;
+      return new THREE.Vector3().fromBufferAttribute(position, i);
+    });
+    triangle.set(...vertices);
+
+    const area = triangle.getArea();
+    if (area > 0) {
+      faces.push({ vertices, area, normal: triangle.getNormal(new THREE.Vector3()) });
+    }
+  }
+
+  return faces;
+}
+
+/**
+ * Distinct face normals, largest total area first
+ */
+function candidateNormals(faces) {
+  const groups = [];
+
+  faces.forEach(({ normal, area }) => {
+    const group = groups.find(g => g.normal.dot(normal) > NORMAL_TOLERANCE);
+    if (group) {
+      group.area += area;
+    } else {
+      groups.push({ normal, area });
+    }
+  });
+
+  return groups
+    .sort((a, b) => b.area - a.area)
+    .slice(0, MAX_CANDIDATES)
+    .map(group => group.normal);
+}
+
+/**
+ * Area of faces lying flat on the support plane when `normal` points down
+ */
+function measureContact(faces, normal) {
+  let support = -Infinity;
+  faces.forEach(({ vertices }) => {
+    vertices.forEach(v => {
+      support = Math.max(support, v.dot(normal));
+    });
+  });
+
+  let area = 0;
+  faces.forEach(face => {
+    if (face.normal.dot(normal) < NORMAL_TOLERANCE) return;
+    if (face.vertices.every(v => support - v.dot(normal) < PLANE_TOLERANCE)) {
+      area += face.area;
+    }
+  });
+
+  return area;
+}
+
+/**
+ * Area of faces that would need support when `normal` points down. Faces on
+ * the bed are held up by it.
+ */
+function measureOverhang(faces, normal, overhangLimit) {
+  let support = -Infinity;
+  faces.forEach(({ vertices }) => {
+    vertices.forEach(v => {
+      support = Math.max(support, v.dot(normal));
+    });
+  });
+
+  let area = 0;
+  faces.forEach(face => {
+    if (face.normal.dot(normal) <= overhangLimit) return;
+    if (face.vertices.every(v => support - v.dot(normal) < PLANE_TOLERANCE)) return;
+    area += face.area;
+  });
+
+  return area;
+}
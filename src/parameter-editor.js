@@ -0,0 +1,212 @@
+// Parameter editor - sliders and number inputs for a generated part's parameters
+import { PART_TYPES, PARAMETER_RANGES, HOLE_FIELDS } from './config.js';
+
+/**
+ * What the editor shows for a part type: its numeric parameters (required
+ * first) and, if it takes holes, the fields of each hole
+ * @param {string} partType - Key of PART_TYPES
+ * @returns {{params: Array<{name: string, required: boolean}>, holes: Object|null}} - `holes` is
+ *   the part's HOLE_FIELDS entry
+ */
+export function editorFields(partType) {
+  const { requiredParams, optionalParams } = PART_TYPES[partType];
+  const params = [
+    ...requiredParams.map(name => ({ name, required: true })),
+    ...optionalParams.filter(name => name !== 'holes').map(name => ({ name, required: false }))
+  ];
+  const holes = optionalParams.includes('holes') ? HOLE_FIELDS[partType] : null;
+  return { params, holes };
+}
+
+/**
+ * Copy of the parameters with one value changed. Paths reach into holes as
+ * `holes.<index>.<field>`; an undefined value removes the key, so the
+ * generator's default applies.
+ * @param {Object} parameters - Part parameters (not modified)
+ * @param {string} path - Parameter name or hole field path
+ * @param {*} value - New value
+ * @returns {Object}
+ */
+export function withParameter(parameters, path, value) {
+  const copy = structuredClone(parameters);
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => object[key], copy);
+
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+  return copy;
+}
+
+/**
+ * Editable parameter panel. Every edit calls `onChange` with a new copy of
+ * the parameters; whoever regenerates the part validates them and passes
+ * the problems back through setIssues.
+ */
+export class ParameterEditor {
+  /**
+   * @param {HTMLElement} container - Element to build the editor in
+   * @param {function(Object): void} onChange - Called with the parameters after each edit
+   */
+  constructor(container, onChange) {
+    this.container = container;
+    this.onChange = onChange;
+    this.partType = null;
+    this.parameters = null;
+
+    container.addEventListener('input', (event) => this.onInput(event));
+    container.addEventListener('click', (event) => {
+      if (event.target.closest('.hole-add')) {
+        this.addHole();
+      } else if (event.target.closest('.hole-remove')) {
+        this.removeHole(Number(event.target.closest('[data-hole]').dataset.hole));
+      }
+    });
+  }
+
+  /**
+   * Edit a part's parameters
+   * @param {string} partType - Key of PART_TYPES
+   * @param {Object} parameters - Current values
+   */
+  show(partType, parameters) {
+    this.partType = partType;
+    this.parameters = structuredClone(parameters);
+    this.render();
+    this.container.style.display = 'block';
+  }
+
+  hide() {
+    this.partType = null;
+    this.parameters = null;
+    this.container.style.display = 'none';
+  }
+
+  /**
+   * Flag invalid values next to their inputs
+   * @param {Array<{param: string, message: string}>} issues - From validateParameters
+   */
+  setIssues(issues) {
+    this.container.querySelectorAll('[data-param]').forEach(row => {
+      const messages = issues.filter(issue => issue.param === row.dataset.param).map(issue => issue.message);
+      row.classList.toggle('invalid', messages.length > 0);
+      row.querySelector('.param-error').textContent = messages.join('; ');
+    });
+  }
+
+  /**
+   * Build the inputs for the current part type and values
+   */
+  render() {
+    const { params, holes } = editorFields(this.partType);
+    const rows = params.map(({ name, required }) => (
+      numberRow(name, name, this.parameters[name], required)
+    ));
+
+    if (holes) {
+      const list = (this.parameters.holes || []).map((hole, index) => `
+        <div class="hole-item" data-hole="${index}">
+          <div class="hole-title">
+            <span>Hole ${index + 1}</span>
+            <button class="hole-remove" title="Remove hole">✕</button>
+          </div>
+          ${Object.entries(holes.choices).map(([field, choice]) => (
+            choiceRow(`holes.${index}.${field}`, field, hole[field], choice)
+          )).join('')}
+          ${holes.fields.map(field => (
+            numberRow(`holes.${index}.${field}`, field, hole[field], field === 'diameter')
+          )).join('')}
+        </div>
+      `);
+      rows.push(`
+        <div class="hole-list">
+          <strong>Holes</strong>
+          ${list.join('')}
+          <button class="hole-add">+ Add hole</button>
+        </div>
+      `);
+    }
+
+    this.container.innerHTML = `<strong>Parameters:</strong>${rows.join('')}`;
+  }
+
+  /**
+   * A slider, number box or choice changed - keep the pair in step and report it
+   */
+  onInput(event) {
+    const row = event.target.closest('[data-param]');
+    if (!row) return;
+    const path = row.dataset.param;
+
+    let value;
+    if (event.target.tagName === 'SELECT') {
+      value = event.target.value;
+    } else {
+      value = event.target.value === '' ? undefined : Number(event.target.value);
+      if (Number.isNaN(value)) return;
+      if (value === undefined && row.dataset.required) return;
+
+      // Mirror the edit in the other input
+      const other = row.querySelector(event.target.type === 'range' ? 'input[type="number"]' : 'input[type="range"]');
+      if (value !== undefined) {
+        other.value = value;
+      }
+    }
+
+    this.parameters = withParameter(this.parameters, path, value);
+    this.onChange(structuredClone(this.parameters));
+  }
+
+  addHole() {
+    const holes = [...(this.parameters.holes || []), { ...HOLE_FIELDS[this.partType].new }];
+    this.parameters = withParameter(this.parameters, 'holes', holes);
+    this.render();
+    this.onChange(structuredClone(this.parameters));
+  }
+
+  removeHole(index) {
+    const holes = this.parameters.holes.filter((_, i) => i !== index);
+    this.parameters = withParameter(this.parameters, 'holes', holes);
+    this.render();
+    this.onChange(structuredClone(this.parameters));
+  }
+}
+
+/**
+ * Slider + number box for one value. Left-out optional values show the
+ * generator's default, or 'auto' when it works one out itself.
+ */
+function numberRow(path, name, value, required) {
+  const range = PARAMETER_RANGES[name] || { min: 0, max: 100, step: 0.1 };
+  const shown = value !== undefined ? value : range.default;
+  const slider = shown !== undefined ? shown : (range.min + range.max) / 2;
+
+  return `
+    <div class="param-row" data-param="${path}"${required ? ' data-required="true"' : ''}>
+      <label>${name}</label>
+      <input type="range" min="${range.min}" max="${range.max}" step="${range.step}" value="${slider}">
+      <input type="number" step="${range.step}" value="${shown !== undefined ? shown : ''}" placeholder="auto">
+      <span class="param-unit">${range.unit || 'mm'}</span>
+      <div class="param-error"></div>
+    </div>
+  `;
+}
+
+/**
+ * Drop-down for a hole's placement (which leg or wall it goes through)
+ */
+function choiceRow(path, name, value, { options, default: fallback }) {
+  const selected = value !== undefined ? value : fallback;
+  return `
+    <div class="param-row" data-param="${path}">
+      <label>${name}</label>
+      <select>
+        ${options.map(option => `<option value="${option}"${option === selected ? ' selected' : ''}>${option}</option>`).join('')}
+      </select>
+      <div class="param-error"></div>
+    </div>
+  `;
+}
@@ -0,0 +1,91 @@
+// Part dimensions - callout lines for a generated part's parameters, in the part's own mm coordinates
+
+/**
+ * Where each part type's parameters lie on the mesh its generator builds
+ * (see part-generators.js for the orientations). Each entry is
+ * [param, start, end] along an outside edge or across a diameter.
+ */
+const CALLOUTS = {
+  shim: ({ length, width, thickness }) => [
+    ['length', [-length / 2, -width / 2, thickness / 2], [length / 2, -width / 2, thickness / 2]],
+    ['width', [length / 2, -width / 2, thickness / 2], [length / 2, width / 2, thickness / 2]],
+    ['thickness', [length / 2, -width / 2, -thickness / 2], [length / 2, -width / 2, thickness / 2]]
+  ],
+
+  // Disc in the XZ plane, centred at z = -thickness / 2, from y = -thickness up to 0
+  washer: ({ outer_d, inner_d, thickness }) => [
+    ['outer_d', [-outer_d / 2, 0, -thickness / 2], [outer_d / 2, 0, -thickness / 2]],
+    ['inner_d', [0, 0, -thickness / 2 - inner_d / 2], [0, 0, -thickness / 2 + inner_d / 2]],
+    ['thickness', [outer_d / 2, -thickness, -thickness / 2], [outer_d / 2, 0, -thickness / 2]]
+  ],
+
+  // Corner edge along X at y = -leg_b / 2, z = leg_a / 2; leg A runs to -Z, leg B to +Y
+  l_bracket: ({ leg_a, leg_b, thickness, width = 20 }) => [
+    ['leg_a', [width / 2, -leg_b / 2, leg_a / 2], [width / 2, -leg_b / 2, -leg_a / 2]],
+    ['leg_b', [width / 2, -leg_b / 2, leg_a / 2], [width / 2, leg_b / 2, leg_a / 2]],
+    ['thickness', [width / 2, -leg_b / 2, -leg_a / 2], [width / 2, -leg_b / 2 + thickness, -leg_a / 2]],
+    ['width', [-width / 2, leg_b / 2, leg_a / 2], [width / 2, leg_b / 2, leg_a / 2]]
+  ],
+
+  // Base at y = -height / 2, open towards +Y, extruded along Z
+  u_clamp: ({ width, height, depth, thickness }) => [
+    ['width', [-width / 2, -height / 2, depth / 2], [width / 2, -height / 2, depth / 2]],
+    ['height', [width / 2, -height / 2, depth / 2], [width / 2, height / 2, depth / 2]],
+    ['depth', [width / 2, -height / 2, -depth / 2], [width / 2, -height / 2, depth / 2]],
+    ['thickness', [0, -height / 2, depth / 2], [0, -height / 2 + thickness, depth / 2]]
+  ],
+
+  // Plate in the XZ plane like the washer
+  face_plate: ({ length, width, thickness }) => [
+    ['length', [-length / 2, 0, -thickness / 2 - width / 2], [length / 2, 0, -thickness / 2 - width / 2]],
+    ['width', [length / 2, 0, -thickness / 2 - width / 2], [length / 2, 0, -thickness / 2 + width / 2]],
+    ['thickness', [length / 2, -thickness, -thickness / 2 - width / 2], [length / 2, 0, -thickness / 2 - width / 2]]
+  ],
+
+  // Like the washer, with the gap facing +X
+  clip: ({ outer_d, inner_d, thickness }) => [
+    ['outer_d', [0, 0, -thickness / 2 - outer_d / 2], [0, 0, -thickness / 2 + outer_d / 2]],
+    ['inner_d', [-inner_d / 2, 0, -thickness / 2], [inner_d / 2, 0, -thickness / 2]],
+    ['thickness', [-outer_d / 2, -thickness, -thickness / 2], [-outer_d / 2, 0, -thickness / 2]]
+  ]
+};
+
+/**
+ * Dimension callouts for a part generated from parameters
+ * @param {string} partType - Key of PART_TYPES
+ * @param {Object} parameters - Parameters the part was generated with
+ * @returns {Array<{param: string, value: number, label: string, start: number[], end: number[]}>} - Lines
+ *   in the mesh's local coordinates (mm), labelled with the parameter and its value
+ */
+export function partDimensions(partType, parameters) {
+  const callouts = CALLOUTS[partType];
+  if (!callouts) {
+    throw new Error(`Unknown part type: ${partType}`);
+  }
+
+  return callouts(parameters).map(([param, start, end]) => {
+    const value = Math.hypot(...end.map((v, i) => v - start[i]));
+    return { param, value, label: `${param} ${formatLength(value)}`, start, end };
+  });
+}
+
+/**
+ * Callouts for a part with no parameters (a shape recipe): its overall size
+ * along each axis, on the edges of its bounding box
+ * @param {{min: {x, y, z}, max: {x, y, z}}} box - Bounding box in mm
+ * @returns {Array<{param: string, value: number, label: string, start: number[], end: number[]}>}
+ */
+export function boundingDimensions({ min, max }) {
+  return [
+    ['x', [min.x, min.y, max.z], [max.x, min.y, max.z]],
+    ['y', [max.x, min.y, max.z], [max.x, max.y, max.z]],
+    ['z', [max.x, min.y, min.z], [max.x, min.y, max.z]]
+  ].map(([axis, start, end]) => {
+    const value = Math.hypot(...end.map((v, i) => v - start[i]));
+    return { param: axis, value, label: `${axis.toUpperCase()} ${formatLength(value)}`, start, end };
+  });
+}
+
+function formatLength(mm) {
+  return `${Number(mm.toFixed(1))} mm`;
+}
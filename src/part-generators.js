@@ -1,19 +1,137 @@
 // Parametric shape generators for repair parts
 import * as THREE from 'three';
+import { Brush, Evaluator, SUBTRACTION } from 'three-bvh-csg';
+
+// Extra length on cutters so they fully clear the faces they pierce
+const CUT_MARGIN = 0.5;
+
+let evaluator = null;
+
+/**
+ * Build the cutter for one screw hole as a single solid of revolution, so
+ * countersinks and counterbores don't leave coincident faces for the CSG.
+ * The cutter runs along the Y axis with the screw-head face at y = 0
+ * and the material below it (y = 0 down to y = -thickness).
+ * @param {Object} hole - {diameter, countersink_d?, countersink_angle?, counterbore_d?, counterbore_depth?}
+ * @param {number} thickness - Thickness of the wall being drilled
+ * @returns {THREE.BufferGeometry}
+ */
+function createHoleCutter(hole, thickness) {
+  const {
+    diameter,
+    countersink_d = 0,
+    countersink_angle = 90,
+    counterbore_d = 0,
+    counterbore_depth = 0
+  } = hole;
+  const radius = diameter / 2;
+
+  // Profile from the far side up to just above the head face (bottom → top keeps normals outward)
+  const profile = [
+    new THREE.Vector2(0, -thickness - CUT_MARGIN),
+    new THREE.Vector2(radius, -thickness - CUT_MARGIN)
+  ];
+
+  if (counterbore_d > diameter && counterbore_depth > 0) {
+    // Counterbore (flat-bottomed recess for the screw head)
+    const depth = Math.min(counterbore_depth, thickness);
+    profile.push(
+      new THREE.Vector2(radius, -depth),
+      new THREE.Vector2(counterbore_d / 2, -depth),
+      new THREE.Vector2(counterbore_d / 2, CUT_MARGIN)
+    );
+  } else if (countersink_d > diameter) {
+    // Countersink (cone from head diameter down to hole diameter)
+    const slope = Math.tan((countersink_angle * Math.PI) / 360);
+    const depth = Math.min((countersink_d / 2 - radius) / slope, thickness);
+    profile.push(
+      new THREE.Vector2(radius, -depth),
+      new THREE.Vector2(countersink_d / 2 + CUT_MARGIN * slope, CUT_MARGIN)
+    );
+  } else {
+    profile.push(new THREE.Vector2(radius, CUT_MARGIN));
+  }
+
+  profile.push(new THREE.Vector2(0, CUT_MARGIN));
+
+  return new THREE.LatheGeometry(profile, 32);
+}
+
+/**
+ * Subtract cutter geometries from a base geometry using CSG
+ * @param {THREE.BufferGeometry} geometry - Base solid
+ * @param {THREE.BufferGeometry[]} cutters - Solids to remove
+ * @returns {THREE.BufferGeometry}
+ */
+function subtractGeometries(geometry, cutters) {
+  if (cutters.length === 0) return geometry;
+
+  if (!evaluator) {
+    evaluator = new Evaluator();
+  }
+
+  let result = new Brush(geometry);
+  result.updateMatrixWorld();
+
+  cutters.forEach(cutter => {
+    const brush = new Brush(cutter);
+    brush.updateMatrixWorld();
+    result = evaluator.evaluate(result, brush, SUBTRACTION);
+  });
+
+  return result.geometry;
+}
 
 /**
  * Generate a rectangular shim/spacer
+ * A chamfer bevels all twelve edges at 45° while keeping the outer
+ * length/width/thickness unchanged.
  * @param {Object} params - {length, width, thickness, chamfer?}
  */
 export function generateShim(params) {
-  const { length, width, thickness, chamfer = 0 } = params;
+  const { length, width, thickness } = params;
+  
+  // Chamfer can't exceed half of the smallest dimension
+  const chamfer = Math.min(
+    params.chamfer || 0,
+    thickness / 2 - 0.01,
+    length / 2 - 0.01,
+    width / 2 - 0.01
+  );
   
-  const geometry = new THREE.BoxGeometry(length, width, thickness);
+  let geometry;
   
-  // Apply chamfer if specified (simplified - corners beveled)
   if (chamfer > 0) {
-    // Note: For production, use THREE.BufferGeometry with custom vertices
-    // This is a simplified version
+    // Inset outline with cut corners; the bevel grows it back out to full size.
+    // Corner cut of c(√2 - 1) becomes a 45° vertical-edge chamfer of c after the bevel offset
+    const halfL = length / 2 - chamfer;
+    const halfW = width / 2 - chamfer;
+    const corner = chamfer * (Math.SQRT2 - 1);
+    
+    const shape = new THREE.Shape();
+    shape.moveTo(-halfL + corner, -halfW);
+    shape.lineTo(halfL - corner, -halfW);
+    shape.lineTo(halfL, -halfW + corner);
+    shape.lineTo(halfL, halfW - corner);
+    shape.lineTo(halfL - corner, halfW);
+    shape.lineTo(-halfL + corner, halfW);
+    shape.lineTo(-halfL, halfW - corner);
+    shape.lineTo(-halfL, -halfW + corner);
+    shape.lineTo(-halfL + corner, -halfW);
+    
+    const extrudeSettings = {
+      depth: thickness - chamfer * 2,
+      bevelEnabled: true,
+      bevelThickness: chamfer,
+      bevelSize: chamfer,
+      bevelOffset: 0,
+      bevelSegments: 1
+    };
+    
+    geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+    geometry.translate(0, 0, chamfer - thickness / 2);
+  } else {
+    geometry = new THREE.BoxGeometry(length, width, thickness);
   }
   
   const material = new THREE.MeshStandardMaterial({
@@ -80,39 +198,67 @@ export function generateWasher(params) {
 
 /**
  * Generate an L-bracket
- * @param {Object} params - {leg_a, leg_b, thickness, fillet?, holes?}
+ * Holes go through one leg (`leg: 'a' | 'b'`, default 'b'). `offset_<leg>` is
+ * the distance along that leg from the outer corner; the other offset is the
+ * position across the bracket width, measured from its edge (default centred).
+ * Countersinks and counterbores are cut from the inside face, where the screw head sits.
+ * @param {Object} params - {leg_a, leg_b, thickness, width?, fillet?, holes?}
  */
 export function generateLBracket(params) {
-  const { leg_a, leg_b, thickness, fillet = 0, holes = [] } = params;
+  const { leg_a, leg_b, thickness, width = 20, fillet = 0, holes = [] } = params;
   
   // Create L-shape using Shape and extrude
   const shape = new THREE.Shape();
   
-  // Draw L profile (centered at origin)
+  // Inside-corner fillet radius, limited so it stays within both legs
+  const radius = Math.max(0, Math.min(fillet, leg_a - thickness, leg_b - thickness));
+  
+  // Draw L profile (corner at origin, leg A along +X, leg B along +Y)
   shape.moveTo(0, 0);
   shape.lineTo(leg_a, 0);
   shape.lineTo(leg_a, thickness);
-  shape.lineTo(thickness, thickness);
+  if (radius > 0) {
+    // Concave arc from leg A's inside face round to leg B's
+    shape.lineTo(thickness + radius, thickness);
+    shape.absarc(thickness + radius, thickness + radius, radius, -Math.PI / 2, -Math.PI, true);
+  } else {
+    shape.lineTo(thickness, thickness);
+  }
   shape.lineTo(thickness, leg_b);
   shape.lineTo(0, leg_b);
   shape.lineTo(0, 0);
   
   const extrudeSettings = {
-    depth: thickness,
-    bevelEnabled: fillet > 0,
-    bevelThickness: fillet,
-    bevelSize: fillet,
-    bevelSegments: 3
+    depth: width,
+    bevelEnabled: false,
+    curveSegments: 12
   };
   
-  const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+  let geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
   
-  // Rotate to standard orientation
-  geometry.rotateY(Math.PI / 2);
-  geometry.translate(-thickness / 2, -leg_b / 2, -leg_a / 2);
+  // Cut screw holes in profile space, before reorienting
+  const cutters = holes.map(hole => {
+    const leg = hole.leg === 'a' ? 'a' : 'b';
+    const along = leg === 'a' ? hole.offset_a : hole.offset_b;
+    const across = leg === 'a' ? hole.offset_b : hole.offset_a;
+    const z = across !== undefined ? across : width / 2;
+
+    const cutter = createHoleCutter(hole, thickness);
+    if (leg === 'a') {
+      // Inside face of leg A is y = thickness, drilling towards -Y
+      cutter.translate(along, thickness, z);
+    } else {
+      // Inside face of leg B is x = thickness, drilling towards -X
+      cutter.rotateZ(-Math.PI / 2);
+      cutter.translate(thickness, along, z);
+    }
+    return cutter;
+  });
+  geometry = subtractGeometries(geometry, cutters);
   
-  // Add holes (simplified - would need CSG for proper subtraction)
-  // In production, use three-bvh-csg or similar library
+  // Rotate to standard orientation and centre on origin
+  geometry.rotateY(Math.PI / 2);
+  geometry.translate(-width / 2, -leg_b / 2, leg_a / 2);
   
   const material = new THREE.MeshStandardMaterial({
     color: 0xFF9800,
@@ -125,38 +271,60 @@ export function generateLBracket(params) {
 
 /**
  * Generate a U-clamp
+ * Holes go through one wall (`wall: 'base' | 'left' | 'right'`, default 'base').
+ * `position_x` runs along the wall in the U profile (across the width for the base,
+ * up the height for the sides) and `position_y` along the depth, both from the
+ * wall centre. Countersinks and counterbores are cut from the inside of the U.
  * @param {Object} params - {width, height, depth, thickness, holes?}
  */
 export function generateUClamp(params) {
   const { width, height, depth, thickness, holes = [] } = params;
   
-  // Create U-shape
-  const shape = new THREE.Shape();
-  
-  // Outer rectangle
-  shape.moveTo(-width / 2, 0);
-  shape.lineTo(-width / 2, height);
-  shape.lineTo(width / 2, height);
-  shape.lineTo(width / 2, 0);
-  
-  // Inner cutout (U shape)
+  // Create U-shape as a single outline (an inner cutout touching the
+  // open edge does not triangulate into a closed solid)
   const innerWidth = width - thickness * 2;
   const innerHeight = height - thickness;
   
-  const hole = new THREE.Path();
-  hole.moveTo(-innerWidth / 2, thickness);
-  hole.lineTo(-innerWidth / 2, height);
-  hole.lineTo(innerWidth / 2, height);
-  hole.lineTo(innerWidth / 2, thickness);
-  hole.lineTo(-innerWidth / 2, thickness);
-  shape.holes.push(hole);
+  const shape = new THREE.Shape();
+  shape.moveTo(-width / 2, 0);
+  shape.lineTo(width / 2, 0);
+  shape.lineTo(width / 2, height);
+  shape.lineTo(innerWidth / 2, height);
+  shape.lineTo(innerWidth / 2, thickness);
+  shape.lineTo(-innerWidth / 2, thickness);
+  shape.lineTo(-innerWidth / 2, height);
+  shape.lineTo(-width / 2, height);
+  shape.lineTo(-width / 2, 0);
   
   const extrudeSettings = {
     depth: depth,
     bevelEnabled: false
   };
   
-  const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+  let geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+  
+  // Cut screw holes in profile space, before centring
+  const cutters = holes.map(screwHole => {
+    const { wall = 'base', position_x = 0, position_y = 0 } = screwHole;
+    const z = depth / 2 + position_y;
+
+    const cutter = createHoleCutter(screwHole, thickness);
+    if (wall === 'left') {
+      // Inside face is x = -innerWidth / 2, drilling towards -X
+      cutter.rotateZ(-Math.PI / 2);
+      cutter.translate(-innerWidth / 2, thickness + innerHeight / 2 + position_x, z);
+    } else if (wall === 'right') {
+      // Inside face is x = innerWidth / 2, drilling towards +X
+      cutter.rotateZ(Math.PI / 2);
+      cutter.translate(innerWidth / 2, thickness + innerHeight / 2 + position_x, z);
+    } else {
+      // Inside face of the base is y = thickness, drilling towards -Y
+      cutter.translate(position_x, thickness, z);
+    }
+    return cutter;
+  });
+  geometry = subtractGeometries(geometry, cutters);
+  
   geometry.translate(0, -height / 2, -depth / 2);
   
   const material = new THREE.MeshStandardMaterial({
@@ -272,20 +440,55 @@ export function generatePart(partType, parameters) {
 
 /**
  * Validate parameters against constraints
+ * @returns {{valid: boolean, errors: string[], issues: Array<{param: string, message: string}>}} - `issues`
+ *   are the same errors with the parameter each is about (`holes.0.diameter` for a hole's field),
+ *   for flagging inputs
  */
 export function validateParameters(partType, parameters, constraints) {
-  const errors = [];
+  const issues = [];
+  const flag = (param, message) => issues.push({ param, message });
   
   // Check minimum thickness
   if (parameters.thickness < constraints.min_thickness) {
-    errors.push(`Thickness must be >= ${constraints.min_thickness}mm`);
+    flag('thickness', `Thickness must be >= ${constraints.min_thickness}mm`);
+  }
+  
+  // Check parameters that bound each other leave a solid part
+  if ((partType === 'washer' || partType === 'clip') && parameters.inner_d >= parameters.outer_d) {
+    flag('inner_d', 'Inner diameter must be smaller than the outer diameter');
+  }
+
+  if (partType === 'u_clamp') {
+    if (parameters.thickness * 2 >= parameters.width) {
+      flag('thickness', 'Thickness must be less than half the width');
+    }
+    if (parameters.thickness >= parameters.height) {
+      flag('thickness', 'Thickness must be less than the height');
+    }
+  }
+
+  if (partType === 'l_bracket' && parameters.thickness >= Math.min(parameters.leg_a, parameters.leg_b)) {
+    flag('thickness', 'Thickness must be less than the length of each leg');
+  }
+
+  // Check edge treatments fit inside the part
+  if (parameters.chamfer && parameters.chamfer * 2 >= parameters.thickness) {
+    flag('chamfer', 'Chamfer must be less than half the thickness');
+  }
+  
+  if (parameters.fillet && parameters.leg_a && parameters.leg_b &&
+      parameters.fillet > Math.min(parameters.leg_a, parameters.leg_b) - parameters.thickness) {
+    flag('fillet', 'Fillet must be smaller than the inside length of each leg');
   }
   
   // Check hole diameters
   if (parameters.holes) {
     parameters.holes.forEach((hole, idx) => {
       if (hole.diameter < constraints.min_hole_diameter) {
-        errors.push(`Hole ${idx + 1} diameter must be >= ${constraints.min_hole_diameter}mm`);
+        flag(`holes.${idx}.diameter`, `Hole ${idx + 1} diameter must be >= ${constraints.min_hole_diameter}mm`);
+      }
+      if (hole.counterbore_depth && hole.counterbore_depth >= parameters.thickness) {
+        flag(`holes.${idx}.counterbore_depth`, `Hole ${idx + 1} counterbore must be shallower than thickness`);
       }
     });
   }
@@ -293,10 +496,10 @@ export function validateParameters(partType, parameters, constraints) {
   // Check maximum dimensions
   Object.entries(parameters).forEach(([key, value]) => {
     if (typeof value === 'number' && value > constraints.max_dimension) {
-      errors.push(`${key} exceeds max dimension ${constraints.max_dimension}mm`);
+      flag(key, `${key} exceeds max dimension ${constraints.max_dimension}mm`);
     }
   });
   
-  return { valid: errors.length === 0, errors };
+  return { valid: issues.length === 0, errors: issues.map(issue => issue.message), issues };
 }
 
@@ -0,0 +1,67 @@
+// Part placement - lay a generated part on the measured surface at true size, then move and turn it there
+import * as THREE from 'three';
+import { findPrintOrientation } from './orientation.js';
+
+const UP = new THREE.Vector3(0, 0, 1);
+
+/**
+ * How a part rests on a flat surface: the rotation that lays it on its
+ * largest flat face (as it would be printed), and how far above the surface
+ * its origin then sits
+ * @param {THREE.BufferGeometry} geometry - Part geometry in mm
+ * @returns {{quaternion: THREE.Quaternion, height: number}} - Rotation into a +Z-up frame; height in mm
+ */
+export function restingPose(geometry) {
+  const { quaternion } = findPrintOrientation(geometry);
+  const position = geometry.attributes.position;
+  const point = new THREE.Vector3();
+
+  let lowest = Infinity;
+  for (let i = 0; i < position.count; i++) {
+    lowest = Math.min(lowest, point.fromBufferAttribute(position, i).applyQuaternion(quaternion).z);
+  }
+  return { quaternion, height: -lowest };
+}
+
+/**
+ * Where a resting part goes in the scene: laid on the surface through
+ * `anchor`, moved by `offset` along it and turned `angle` about its normal
+ * @param {Object} placement
+ * @param {{quaternion: THREE.Quaternion, height: number}} placement.pose - From restingPose
+ * @param {THREE.Vector3} placement.anchor - Point on the surface (scene units)
+ * @param {THREE.Vector3} placement.normal - Surface normal, unit length, pointing to the side the part sits on
+ * @param {THREE.Vector3} placement.offset - Move along the surface (scene units)
+ * @param {number} placement.angle - Turn about the normal (radians)
+ * @param {number} placement.unitsPerMm - Scene units per mm, the part's scale
+ * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+ */
+export function placePart({ pose, anchor, normal, offset, angle, unitsPerMm }) {
+  const lay = new THREE.Quaternion().setFromUnitVectors(UP, normal);
+  const turn = new THREE.Quaternion().setFromAxisAngle(normal, angle);
+
+  return {
+    position: anchor.clone().add(offset).addScaledVector(normal, pose.height * unitsPerMm),
+    quaternion: turn.multiply(lay).multiply(pose.quaternion)
+  };
+}
+
+/**
+ * Offset moved by a nudge, in screen directions on the surface: right is
+ * the camera's right, up is away from the viewer (or up the screen when the
+ * surface faces the camera)
+ * @param {THREE.Vector3} offset - Current offset (not modified)
+ * @param {THREE.Vector3} normal - Surface normal, unit length
+ * @param {THREE.Vector3} cameraRight - Camera's right direction in the scene
+ * @param {number} right - mm to the right (negative for left)
+ * @param {number} up - mm up (negative for down)
+ * @param {number} unitsPerMm - Scene units per mm
+ * @returns {THREE.Vector3}
+ */
+export function nudgeOffset(offset, normal, cameraRight, right, up, unitsPerMm) {
+  const along = cameraRight.clone().projectOnPlane(normal).normalize();
+  const away = new THREE.Vector3().crossVectors(normal, along);
+
+  return offset.clone()
+    .addScaledVector(along, right * unitsPerMm)
+    .addScaledVector(away, up * unitsPerMm);
+}
@@ -0,0 +1,253 @@
+// Part preview - orbit view of the generated part at true size, with a section cut and dimension callouts
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { boundingDimensions } from './part-dimensions.js';
+
+const SECTION_COLOR = 0xff5252; // Cut faces
+const DIMENSION_COLOR = 0xffeb3b;
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+/**
+ * A scene of its own, in mm, that the AR view's renderer draws instead of
+ * the live view while the preview is open. Drag to orbit, right-drag or
+ * two fingers to pan, scroll or pinch to zoom.
+ */
+export class PartPreview {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - The AR view's renderer (its canvas takes the orbit input)
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x1a1a2e);
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.9);
+    directionalLight.position.set(1, 2, 1.5);
+    this.scene.add(directionalLight);
+
+    this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 10000);
+    this.camera.add(new THREE.PointLight(0xffffff, 0.4, 0, 0)); // Light whichever side faces the camera
+    this.scene.add(this.camera);
+
+    this.controls = new OrbitControls(this.camera, renderer.domElement);
+    this.controls.enableDamping = true;
+    this.controls.autoRotateSpeed = 4;
+
+    this.part = null; // Clone of the generated part, with clipped materials
+    this.box = null; // Part's bounding box
+    this.grid = null;
+    this.dimensions = null; // Group of callout lines and labels
+    this.showDimensions = true;
+    this.section = null; // {axis, fraction} while cutting
+    this.sectionPlane = new THREE.Plane();
+
+    renderer.localClippingEnabled = true;
+  }
+
+  /**
+   * Show a part (again, after an edit). The view is fitted to the first part
+   * only, so live parameter edits don't move the camera.
+   * @param {THREE.Mesh} mesh - Generated part, in mm; not modified
+   * @param {Array|null} dimensions - From partDimensions, or null for the part's overall size
+   */
+  setPart(mesh, dimensions = null) {
+    const first = this.part === null;
+    this.removePart();
+
+    this.part = mesh.clone();
+    this.part.position.set(0, 0, 0);
+    this.part.rotation.set(0, 0, 0);
+    this.part.scale.set(1, 1, 1);
+    this.part.traverse(object => {
+      if (object.material) {
+        object.material = object.material.clone();
+      }
+    });
+
+    // Inside faces show through the cut - paint them so the cut reads as solid
+    const cap = new THREE.Mesh(mesh.geometry, new THREE.MeshBasicMaterial({
+      color: SECTION_COLOR,
+      side: THREE.BackSide
+    }));
+    cap.name = 'section_cap';
+    this.part.add(cap);
+    this.scene.add(this.part);
+
+    this.box = new THREE.Box3().setFromObject(this.part);
+    this.updateGrid();
+    this.updateSection();
+    this.setDimensions(dimensions || boundingDimensions(this.box));
+    if (first) {
+      this.fitToView();
+    }
+  }
+
+  removePart() {
+    if (!this.part) return;
+    this.scene.remove(this.part);
+    this.part.traverse(object => {
+      if (object.material) {
+        object.material.dispose();
+      }
+    });
+    this.part = null;
+  }
+
+  /**
+   * Look at the whole part from above and to the front right
+   */
+  fitToView() {
+    const sphere = this.box.getBoundingSphere(new THREE.Sphere());
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+    const distance = sphere.radius / Math.sin(halfFov) * 1.2; // Margin for the labels
+
+    this.controls.target.copy(sphere.center);
+    this.camera.position.copy(sphere.center).add(new THREE.Vector3(1, 0.8, 1.2).setLength(distance));
+    this.camera.near = distance / 100;
+    this.camera.far = distance * 100;
+    this.camera.updateProjectionMatrix();
+    this.controls.update();
+  }
+
+  /**
+   * 10 mm grid under the part, like a print bed
+   */
+  updateGrid() {
+    if (this.grid) {
+      this.scene.remove(this.grid);
+      this.grid.geometry.dispose();
+      this.grid.material.dispose();
+    }
+    const size = this.box.getSize(new THREE.Vector3());
+    const divisions = Math.max(2, Math.ceil(Math.max(size.x, size.z) * 1.5 / 10));
+    this.grid = new THREE.GridHelper(divisions * 10, divisions, 0x00ff88, 0x335544);
+    this.grid.position.set(0, this.box.min.y, 0);
+    this.scene.add(this.grid);
+  }
+
+  setAutoRotate(on) {
+    this.controls.autoRotate = on;
+  }
+
+  /**
+   * Cut the part with a plane across an axis, keeping the side below it
+   * @param {string|null} axis - 'x', 'y' or 'z'; null to show the whole part
+   * @param {number} fraction - Where the cut is, 0-1 from the part's low side to its high side
+   */
+  setSection(axis, fraction = 0.5) {
+    this.section = axis ? { axis, fraction } : null;
+    this.updateSection();
+  }
+
+  updateSection() {
+    if (!this.part) return;
+    if (this.section) {
+      const { axis, fraction } = this.section;
+      const at = THREE.MathUtils.lerp(this.box.min[axis], this.box.max[axis], fraction);
+      this.sectionPlane.set(AXES[axis].clone().negate(), at);
+    }
+
+    const planes = this.section ? [this.sectionPlane] : [];
+    this.part.traverse(object => {
+      if (object.material) {
+        object.material.clippingPlanes = planes;
+      }
+    });
+    this.part.getObjectByName('section_cap').visible = this.section !== null;
+  }
+
+  /**
+   * Draw callout lines with their labels over the part
+   * @param {Array<{label: string, start: number[], end: number[]}>} dimensions - Part-local mm
+   */
+  setDimensions(dimensions) {
+    this.removeDimensions();
+    const size = this.box.getSize(new THREE.Vector3()).length();
+    this.dimensions = new THREE.Group();
+    this.dimensions.visible = this.showDimensions;
+
+    const material = new THREE.LineBasicMaterial({ color: DIMENSION_COLOR, depthTest: false });
+    dimensions.forEach(({ label, start, end }) => {
+      const from = new THREE.Vector3(...start);
+      const to = new THREE.Vector3(...end);
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([from, to]), material);
+      line.renderOrder = 1;
+      this.dimensions.add(line);
+
+      const sprite = labelSprite(label);
+      sprite.position.lerpVectors(from, to, 0.5);
+      sprite.scale.set(size * 0.2, size * 0.05, 1);
+      this.dimensions.add(sprite);
+    });
+    this.scene.add(this.dimensions);
+  }
+
+  removeDimensions() {
+    if (!this.dimensions) return;
+    this.scene.remove(this.dimensions);
+    this.dimensions.traverse(object => {
+      if (object.isLine) object.geometry.dispose(); // Sprites share three.js's quad
+      if (object.material) {
+        if (object.material.map) object.material.map.dispose();
+        object.material.dispose();
+      }
+    });
+    this.dimensions = null;
+  }
+
+  setDimensionsVisible(on) {
+    this.showDimensions = on;
+    if (this.dimensions) {
+      this.dimensions.visible = on;
+    }
+  }
+
+  onWindowResize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+  }
+
+  render() {
+    this.controls.update();
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  dispose() {
+    this.controls.dispose();
+    this.removePart();
+    this.removeDimensions();
+    if (this.grid) {
+      this.grid.geometry.dispose();
+      this.grid.material.dispose();
+    }
+    this.renderer.localClippingEnabled = false;
+  }
+}
+
+/**
+ * Dimension label that stays facing the camera and on top of the part
+ */
+function labelSprite(text) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = 256;
+  canvas.height = 64;
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#FFEB3B';
+  context.font = 'Bold 28px Arial';
+  context.textAlign = 'center';
+  context.fillText(text, 128, 42);
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    depthTest: false
+  }));
+  sprite.renderOrder = 2;
+  return sprite;
+}
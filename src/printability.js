@@ -0,0 +1,226 @@
+// Printability - geometry-based checks for overhangs, thin walls and bed fit
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+import { CONSTRAINTS } from './config.js';
+import { orientForPrinting } from './orientation.js';
+
+const HIGHLIGHT_COLORS = {
+  overhangs: 0xff9800,
+  thinWalls: 0xf44336,
+  tinyFeatures: 0x9c27b0
+};
+
+/**
+ * Analyse a part as it will be printed: laid flat and centred on the bed by
+ * orientForPrinting, the way export does. Orienting moves the vertices but
+ * keeps the triangles in order, so the report's face lists index the
+ * unoriented geometry's triangles too - highlights land on the displayed part.
+ * @param {THREE.BufferGeometry} geometry - Part geometry in mm, as generated; not modified
+ * @param {Object} constraints - CONSTRAINTS
+ * @returns {Object} - Printability report
+ */
+export function analyzeAsPrinted(geometry, constraints = CONSTRAINTS) {
+  const oriented = orientForPrinting(new THREE.Mesh(geometry), constraints).geometry;
+  const report = analyzePrintability(oriented, constraints);
+  oriented.dispose();
+  return report;
+}
+
+/**
+ * Analyse a generated part for problems a slicer won't catch on raw numbers.
+ * Z is the build direction, as in the exported STL.
+ * @param {THREE.BufferGeometry} geometry - Part geometry in mm (indexed or not)
+ * @param {Object} constraints - CONSTRAINTS (min_thickness, nozzle_diameter, max_overhang_angle, bed_size)
+ * @returns {Object} - Printability report; face lists index the geometry's triangles
+ */
+export function analyzePrintability(geometry, constraints = CONSTRAINTS) {
+  const {
+    min_thickness: minThickness = CONSTRAINTS.min_thickness,
+    nozzle_diameter: nozzle = CONSTRAINTS.nozzle_diameter,
+    max_overhang_angle: overhangAngle = CONSTRAINTS.max_overhang_angle,
+    bed_size: bed = CONSTRAINTS.bed_size
+  } = constraints;
+
+  const triangles = readTriangles(geometry);
+  geometry.computeBoundingBox();
+  const box = geometry.boundingBox;
+  const size = box.getSize(new THREE.Vector3());
+
+  const overhangs = { faces: [], area: 0, angle: overhangAngle };
+  const thinWalls = { faces: [], area: 0, minThickness, thinnest: Infinity };
+  const tinyFeatures = { faces: [], area: 0, nozzle };
+
+  // A face needs support when it faces further down than the overhang limit
+  const overhangLimit = Math.sin((overhangAngle * Math.PI) / 180);
+  const bedTolerance = 0.01;
+  const wall = measureWalls(geometry, triangles);
+
+  triangles.forEach(({ normal, area, maxZ }, face) => {
+    if (area === 0) return;
+
+    // Faces lying on the bed are held up by it
+    if (-normal.z > overhangLimit && maxZ > box.min.z + bedTolerance) {
+      overhangs.faces.push(face);
+      overhangs.area += area;
+    }
+
+    const thickness = wall[face];
+    if (thickness < nozzle) {
+      tinyFeatures.faces.push(face);
+      tinyFeatures.area += area;
+    } else if (thickness < minThickness) {
+      thinWalls.faces.push(face);
+      thinWalls.area += area;
+    }
+    if (thickness < thinWalls.thinnest) {
+      thinWalls.thinnest = thickness;
+    }
+  });
+
+  // Allow turning the part 90° on the bed
+  const fitsAsIs = size.x <= bed.x && size.y <= bed.y;
+  const fitsTurned = size.y <= bed.x && size.x <= bed.y;
+  const bedFit = {
+    fits: (fitsAsIs || fitsTurned) && size.z <= bed.z,
+    rotate: !fitsAsIs && fitsTurned,
+    size: size.toArray(),
+    bed: [bed.x, bed.y, bed.z]
+  };
+
+  const report = { overhangs, thinWalls, tinyFeatures, bedFit };
+  report.warnings = describePrintability(report);
+  report.printable = tinyFeatures.faces.length === 0 && bedFit.fits;
+
+  return report;
+}
+
+/**
+ * Short human-readable summary of a printability report
+ * @param {Object} report - From analyzePrintability
+ * @returns {string[]}
+ */
+export function describePrintability(report) {
+  const { overhangs, thinWalls, tinyFeatures, bedFit } = report;
+  const warnings = [];
+
+  if (!bedFit.fits) {
+    const [x, y, z] = bedFit.size.map(v => v.toFixed(1));
+    warnings.push(`${x}×${y}×${z}mm doesn't fit the ${bedFit.bed.join('×')}mm bed`);
+  } else if (bedFit.rotate) {
+    warnings.push('Turn the part 90° on the bed to fit');
+  }
+  if (tinyFeatures.faces.length > 0) {
+    warnings.push(`${tinyFeatures.area.toFixed(1)}mm² of features thinner than the ${tinyFeatures.nozzle}mm nozzle`);
+  }
+  if (thinWalls.faces.length > 0) {
+    warnings.push(`${thinWalls.area.toFixed(1)}mm² of walls thinner than ${thinWalls.minThickness}mm`);
+  }
+  if (overhangs.faces.length > 0) {
+    warnings.push(`${overhangs.area.toFixed(1)}mm² of overhangs beyond ${overhangs.angle}° - needs supports`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Overlay mesh colouring the problem faces of a report. Add it as a child of
+ * the part so it follows the preview's transform.
+ * @param {THREE.BufferGeometry} geometry - Geometry the report was built from
+ * @param {Object} report - From analyzePrintability
+ * @returns {THREE.Mesh|null} - null when there is nothing to highlight
+ */
+export function createPrintabilityHighlight(geometry, report) {
+  const triangles = readTriangles(geometry);
+  const positions = [];
+  const colors = [];
+  const color = new THREE.Color();
+  const claimed = new Set();
+
+  // Worst problem wins when a face is in several lists
+  ['tinyFeatures', 'thinWalls', 'overhangs'].forEach(kind => {
+    color.setHex(HIGHLIGHT_COLORS[kind]);
+    report[kind].faces.forEach(face => {
+      if (claimed.has(face)) return;
+      claimed.add(face);
+      triangles[face].vertices.forEach(v => {
+        positions.push(v.x, v.y, v.z);
+        colors.push(color.r, color.g, color.b);
+      });
+    });
+  });
+
+  if (positions.length === 0) return null;
+
+  const highlight = new THREE.BufferGeometry();
+  highlight.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  highlight.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+  const material = new THREE.MeshBasicMaterial({
+    vertexColors: true,
+    side: THREE.DoubleSide,
+    // Draw over the part's own faces without z-fighting
+    polygonOffset: true,
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1
+  });
+
+  const mesh = new THREE.Mesh(highlight, material);
+  mesh.name = 'printability_highlight';
+  return mesh;
+}
+
+/**
+ * Corners, normal, area and highest Z of every triangle
+ */
+function readTriangles(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count / 3 : position.count / 3;
+  const triangles = [];
+  const triangle = new THREE.Triangle();
+
+  for (let face = 0; face < count; face++) {
+    const vertices = [0, 1, 2].map(k => {
+      const i = index ? index.getX(face * 3 + k) : face * 3 + k;
+      return new THREE.Vector3().fromBufferAttribute(position, i);
+    });
+    triangle.set(...vertices);
+
+    const area = triangle.getArea();
+    triangles.push({
+      vertices,
+      area,
+      normal: area > 0 ? triangle.getNormal(new THREE.Vector3()) : new THREE.Vector3(),
+      maxZ: Math.max(vertices[0].z, vertices[1].z, vertices[2].z)
+    });
+  }
+
+  return triangles;
+}
+
+/**
+ * Local wall thickness behind each face: distance from its centroid to the
+ * next surface along the inward normal
+ */
+function measureWalls(geometry, triangles) {
+  const source = new THREE.BufferGeometry();
+  source.setAttribute('position', geometry.attributes.position.clone());
+  if (geometry.index) {
+    source.setIndex(geometry.index.clone());
+  }
+  const bvh = new MeshBVH(source);
+
+  const ray = new THREE.Ray();
+  const offset = 1e-4;
+
+  return triangles.map(({ vertices, normal, area }) => {
+    if (area === 0) return Infinity;
+
+    ray.origin.copy(vertices[0]).add(vertices[1]).add(vertices[2]).divideScalar(3);
+    ray.direction.copy(normal).negate();
+    ray.origin.addScaledVector(ray.direction, offset);
+
+    const hit = bvh.raycastFirst(ray, THREE.DoubleSide);
+    return hit ? hit.distance + offset : Infinity;
+  });
+}
@@ -0,0 +1,239 @@
+// Project bundles - versioned JSON files for moving a design between devices
+import { PART_TYPES } from './config.js';
+import { MeasurementSession, MEASUREMENT_TYPES } from './measurement-session.js';
+import { ShapeRecipeEngine } from './shape-recipe.js';
+
+export const BUNDLE_FORMAT = 'ar-repair-project';
+export const BUNDLE_VERSION = 1;
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/; // Parameter names, and ids like dist_1
+const THUMBNAIL_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/;
+
+/**
+ * Upgrades from each older version to the next. Version 0 is a file without
+ * a version: a bare part spec or shape recipe (the examples/ and CLI input
+ * format), which becomes a project with no measurements.
+ */
+const MIGRATIONS = {
+  0: data => {
+    const recipe = Array.isArray(data.steps) ? data : null;
+    const spec = !recipe && data.part_type && data.parameters ? data : null;
+    if (!spec && !recipe) {
+      throw new Error('Not a project file, part spec (part_type, parameters) or shape recipe (steps)');
+    }
+
+    const partName = spec && PART_TYPES[spec.part_type] ? PART_TYPES[spec.part_type].name : null;
+    return {
+      format: BUNDLE_FORMAT,
+      version: 1,
+      name: (recipe && recipe.description) || partName || 'Imported part',
+      part_type: spec ? spec.part_type : null,
+      measurements: new MeasurementSession().toJSON(),
+      scale: { mode: null, calibrated: null },
+      spec,
+      recipe,
+      material: data.material || null,
+      notes: data.notes || null
+    };
+  }
+};
+
+/**
+ * Bundle a project for export. Calibration travels with it, since the
+ * measurements' scene values mean nothing without their scale.
+ * @param {Object} project - Project fields: {name, partType, session, scale, spec, recipe, notes, thumbnail}
+ * @param {Date} now - Export time
+ * @returns {Object} - Bundle, ready for JSON.stringify
+ */
+export function createBundle(project, now = new Date()) {
+  const { spec = null, recipe = null } = project;
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    name: project.name,
+    exported: now.toISOString(),
+    part_type: project.partType || null,
+    measurements: project.session,
+    scale: project.scale,
+    spec,
+    recipe,
+    material: (spec && spec.material) || (recipe && recipe.material) || null,
+    notes: project.notes || null,
+    ...(project.thumbnail ? { thumbnail: project.thumbnail } : {})
+  };
+}
+
+/**
+ * Read a bundle (any version) back into project fields, migrating and
+ * validating it first
+ * @param {string|Object} input - File contents or parsed JSON
+ * @returns {{name, partType, session, scale, spec, recipe, notes, thumbnail}}
+ */
+export function parseBundle(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('Project file is not valid JSON');
+    }
+  }
+
+  const bundle = migrateBundle(data);
+  const validation = validateBundle(bundle);
+  if (!validation.valid) {
+    throw new Error('Invalid project file: ' + validation.errors.join('; '));
+  }
+
+  // The bundle's material settings are the ones to print with
+  const spec = bundle.spec && bundle.material ? { ...bundle.spec, material: bundle.material } : bundle.spec;
+  return {
+    name: bundle.name,
+    partType: bundle.part_type,
+    session: bundle.measurements,
+    scale: bundle.scale,
+    spec,
+    recipe: bundle.recipe,
+    notes: bundle.notes,
+    thumbnail: bundle.thumbnail || null
+  };
+}
+
+/**
+ * Bring a bundle of any older version up to BUNDLE_VERSION
+ * @param {Object} data - Parsed file
+ * @returns {Object} - Current-version bundle (not yet validated)
+ */
+export function migrateBundle(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Project file must contain a JSON object');
+  }
+  if (data.format !== undefined && data.format !== BUNDLE_FORMAT) {
+    throw new Error(`Not an AR Repair project file: ${data.format}`);
+  }
+
+  let bundle = data;
+  let version = data.format === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unknown project file version: ${version}`);
+  }
+  if (version > BUNDLE_VERSION) {
+    throw new Error(`Project file version ${version} is from a newer app - this one reads up to ${BUNDLE_VERSION}`);
+  }
+
+  while (version < BUNDLE_VERSION) {
+    bundle = MIGRATIONS[version](bundle);
+    version = bundle.version;
+  }
+  return bundle;
+}
+
+/**
+ * Check a current-version bundle against the schema
+ * @param {Object} bundle - From migrateBundle
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateBundle(bundle) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+  const optional = (value, check) => value === null || value === undefined || check(value);
+  const isName = value => typeof value === 'string' && NAME_PATTERN.test(value);
+
+  if (typeof bundle.name !== 'string' || bundle.name.trim() === '') {
+    errors.push('name must be a non-empty string');
+  }
+  if (!optional(bundle.part_type, type => Boolean(PART_TYPES[type]))) {
+    errors.push(`unknown part_type: ${bundle.part_type}`);
+  }
+  if (!optional(bundle.notes, notes => typeof notes === 'string')) {
+    errors.push('notes must be a string');
+  }
+  if (!optional(bundle.thumbnail, url => typeof url === 'string' && THUMBNAIL_PATTERN.test(url))) {
+    errors.push('thumbnail must be a base64 PNG, JPEG or WebP data URL');
+  }
+
+  // Measurements (MeasurementSession.toJSON)
+  const session = bundle.measurements;
+  if (!isObject(session) || !Array.isArray(session.measurements)) {
+    errors.push('measurements must be an object with a measurements list');
+  } else {
+    session.measurements.forEach((m, i) => {
+      const where = `measurement ${i + 1}`;
+      if (!isName(m.id) || !isName(m.label)) {
+        errors.push(`${where} needs an id and label of letters, digits and _`);
+      }
+      if (!MEASUREMENT_TYPES[m.type]) {
+        errors.push(`${where} has unknown type: ${m.type}`);
+      }
+      if (!Array.isArray(m.samples) || m.samples.length === 0) {
+        errors.push(`${where} needs at least one sample`);
+        return;
+      }
+      m.samples.forEach((s, j) => {
+        if (s.type !== m.type || !isVector(s.start) || !isVector(s.end) || !Number.isFinite(s.value) ||
+            !(s.trueValue === null || Number.isFinite(s.trueValue))) {
+          errors.push(`${where} sample ${j + 1} is malformed`);
+        }
+      });
+    });
+    if (!Number.isInteger(session.nextId) || !Array.isArray(session.slots) || !Array.isArray(session.history)) {
+      errors.push('measurements needs nextId, slots and history');
+    } else if (!session.slots.every(isName)) {
+      errors.push('measurement slots must be names of letters, digits and _');
+    }
+  }
+
+  // Scale the measurements were taken at
+  const { scale } = bundle;
+  if (!isObject(scale) || !optional(scale.mode, mode => typeof mode === 'string')) {
+    errors.push('scale must be an object with a mode');
+  } else if (!optional(scale.calibrated, c => isObject(c) && c.factor > 0)) {
+    errors.push('scale.calibrated needs a positive factor');
+  }
+
+  // What the part was generated from
+  if (!optional(bundle.spec, spec => isObject(spec) && PART_TYPES[spec.part_type] && isObject(spec.parameters))) {
+    errors.push('spec must have a known part_type and parameters');
+  }
+  if (!optional(bundle.recipe, recipe => isObject(recipe) && optional(recipe.description, d => typeof d === 'string'))) {
+    errors.push('recipe must be an object with a string description');
+  } else if (bundle.recipe) {
+    // The checks a recipe gets before it's run
+    new ShapeRecipeEngine().validateRecipe(bundle.recipe).errors.forEach(error => {
+      errors.push(`recipe: ${error}`);
+    });
+  }
+  if (!optional(bundle.material, material => (
+    isObject(material) &&
+    optional(material.suggested, name => typeof name === 'string') &&
+    optional(material.infill, Number.isFinite) &&
+    optional(material.perimeters, Number.isFinite)
+  ))) {
+    errors.push('material must have a string suggested and numeric infill/perimeters');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Save a bundle as a .json download
+ * @param {Object} bundle - From createBundle
+ * @param {string} filename - Download name
+ */
+export function downloadBundle(bundle, filename = 'project.json') {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+
+  // Create download link
+  const link = document.createElement('a');
+  link.style.display = 'none';
+  document.body.appendChild(link);
+
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+
+  // Cleanup
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
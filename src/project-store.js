@@ -0,0 +1,157 @@
+// Project store - save and reopen measurement sessions and parts in IndexedDB
+
+const DB_NAME = 'ar-repair-projects';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+const CURRENT_KEY = 'current_project';
+
+/**
+ * Saved designs on this device. A project is one record:
+ * {id, name, created, updated, partType, session, scale, spec, recipe, notes, thumbnail}
+ * - `session` is MeasurementSession.toJSON(), `scale` is {mode, calibrated}
+ * (the calibrated scale mode, if any), `spec`/`recipe` are what the part was
+ * generated from, and `thumbnail` is a JPEG data URL of the view.
+ */
+export class ProjectStore {
+  /**
+   * @param {IDBFactory} indexedDB - Defaults to the browser's
+   */
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  /**
+   * Open (creating or upgrading) the database - other methods call this
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) return this.db;
+    if (!this.indexedDB) {
+      throw new Error('Projects need IndexedDB, which this browser doesn\'t provide');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  /**
+   * Every project, most recently saved first, without the saved session
+   * @returns {Promise<Array<{id, name, created, updated, partType, notes, thumbnail, measurementCount}>>}
+   */
+  async list() {
+    const projects = await this.transaction('readonly', store => store.getAll());
+    return projects
+      .sort((a, b) => b.updated - a.updated)
+      .map(({ session, scale, spec, recipe, ...summary }) => ({
+        ...summary,
+        measurementCount: session ? session.measurements.length : 0
+      }));
+  }
+
+  /**
+   * One project
+   * @param {string} id - Project id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const project = await this.transaction('readonly', store => store.get(id));
+    return project || null;
+  }
+
+  /**
+   * Save a project - new ones (without an id) get one
+   * @param {Object} project - Record fields; `name` defaults to 'Untitled'
+   * @param {number} now - Timestamp to save with (ms)
+   * @returns {Promise<Object>} - The saved record
+   */
+  async save(project, now = Date.now()) {
+    const record = {
+      name: 'Untitled',
+      created: now,
+      ...project,
+      id: project.id || createId(now),
+      updated: now
+    };
+    await this.transaction('readwrite', store => store.put(record));
+    return record;
+  }
+
+  /**
+   * Save a copy of a project under a new id
+   * @param {string} id - Project to copy
+   * @param {number} now - Timestamp for the copy (ms)
+   * @returns {Promise<Object>} - The copy
+   */
+  async duplicate(id, now = Date.now()) {
+    const project = await this.get(id);
+    if (!project) {
+      throw new Error(`Unknown project: ${id}`);
+    }
+    return this.save({ ...project, id: null, name: `${project.name} (copy)`, created: now }, now);
+  }
+
+  /**
+   * Delete a project
+   * @param {string} id - Project id
+   */
+  async delete(id) {
+    await this.transaction('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Run one request against the projects store, resolving with its result
+   * once the transaction has committed
+   */
+  async transaction(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Project transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Id of the project open on this device, kept across reloads (like switching
+ * between camera and demo mode)
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {string|null}
+ */
+export function loadCurrentProjectId(storage = globalThis.localStorage) {
+  return storage.getItem(CURRENT_KEY);
+}
+
+/**
+ * Remember the open project (null forgets it)
+ * @param {string|null} id - Project id
+ * @param {Storage} storage - Defaults to localStorage
+ */
+export function saveCurrentProjectId(id, storage = globalThis.localStorage) {
+  if (id) {
+    storage.setItem(CURRENT_KEY, id);
+  } else {
+    storage.removeItem(CURRENT_KEY);
+  }
+}
+
+/**
+ * Unique enough for one device, and works outside secure contexts (unlike
+ * crypto.randomUUID) - phones testing over plain http on the LAN
+ */
+function createId(now) {
+  return `project_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,378 @@
+// OpenSCAD export - editable parametric source for parts and shape recipes
+import { PART_TYPES } from './config.js';
+
+// Recipe operations → OpenSCAD boolean modules
+const RECIPE_OPERATIONS = {
+  add: 'union',
+  subtract: 'difference',
+  intersect: 'intersection'
+};
+
+// Screw hole module shared by bracket and clamp exports.
+// Drills down -Z from the head face at z = 0.
+const SCREW_HOLE_MODULE = `module screw_hole(d, depth, countersink_d = 0, counterbore_d = 0, counterbore_depth = 0, countersink_angle = 90) {
+    translate([0, 0, -depth - 0.5]) cylinder(h = depth + 1, d = d);
+    if (counterbore_d > d && counterbore_depth > 0) {
+        bore = min(counterbore_depth, depth);
+        translate([0, 0, -bore]) cylinder(h = bore + 0.5, d = counterbore_d);
+    } else if (countersink_d > d) {
+        // Cone at the countersink angle, no deeper than the wall
+        sink = min((countersink_d - d) / 2 / tan(countersink_angle / 2), depth);
+        translate([0, 0, -sink]) cylinder(h = sink + 0.01, d1 = d, d2 = countersink_d);
+    }
+}`;
+
+/**
+ * Export parts and recipes as OpenSCAD (.scad) source
+ * Part parameters become named variables at the top of the file so they can be edited.
+ */
+export class OpenSCADExporter {
+  /**
+   * Export a parametric archetype
+   * @param {string} partType - Key of PART_TYPES
+   * @param {Object} params - Part parameters (mm)
+   * @param {Object} options - {description?, material?}
+   * @returns {string} - OpenSCAD source
+   */
+  exportPart(partType, params, options = {}) {
+    const info = PART_TYPES[partType];
+    if (!info) {
+      throw new Error(`Unknown part type: ${partType}`);
+    }
+
+    let body;
+    switch (partType) {
+      case 'shim':
+        body = this.shim(params);
+        break;
+      case 'washer':
+        body = this.washer(params);
+        break;
+      case 'l_bracket':
+        body = this.lBracket(params);
+        break;
+      case 'u_clamp':
+        body = this.uClamp(params);
+        break;
+      case 'face_plate':
+        body = this.facePlate(params);
+        break;
+      case 'clip':
+        body = this.clip(params);
+        break;
+    }
+
+    return this.header(options.description || info.name, options.material) + body;
+  }
+
+  /**
+   * Export a shape recipe, mapping add/subtract/intersect to union/difference/intersection
+   * @param {Object} recipe - Shape recipe ({description, steps})
+   * @param {Object} options - {material?}
+   * @returns {string} - OpenSCAD source
+   */
+  exportRecipe(recipe, options = {}) {
+    if (!recipe.steps || recipe.steps.length === 0) {
+      throw new Error('Recipe has no steps');
+    }
+
+    // Steps apply in order to the running result, so fold consecutive
+    // steps with the same operation into one boolean block
+    let result = this.recipeStep(recipe.steps[0]);
+    let index = 1;
+
+    while (index < recipe.steps.length) {
+      const operation = recipe.steps[index].operation;
+      const module = RECIPE_OPERATIONS[operation];
+      if (!module) {
+        throw new Error(`Unknown operation: ${operation}`);
+      }
+
+      const operands = [];
+      while (index < recipe.steps.length && recipe.steps[index].operation === operation) {
+        operands.push(this.recipeStep(recipe.steps[index]));
+        index++;
+      }
+
+      result = `${module}() {\n${indent(result)}\n${operands.map(indent).join('\n')}\n}`;
+    }
+
+    return this.header(recipe.description || 'Custom shape', options.material) +
+      `$fn = 64;
+
+// Recipe primitives use Y-up coordinates; rotate so +Y becomes OpenSCAD's +Z
+rotate([90, 0, 0]) {
+${indent(result)}
+}
+`;
+  }
+
+  /**
+   * OpenSCAD for a single recipe primitive, positioned
+   */
+  recipeStep(step) {
+    const p = step.params || {};
+    let shape;
+
+    switch (step.shape) {
+      case 'cylinder':
+        shape = `rotate([-90, 0, 0]) cylinder(h = ${num(p.height)}, d = ${num(p.diameter)}, center = true);`;
+        break;
+
+      case 'box':
+        shape = `cube([${num(p.length || p.width)}, ${num(p.height)}, ${num(p.width || p.depth)}], center = true);`;
+        break;
+
+      case 'sphere':
+        shape = `sphere(d = ${num(p.diameter)});`;
+        break;
+
+      case 'cone': {
+        const top = p.top_d || p.top_diameter;
+        const bottom = p.bottom_d || p.bottom_diameter;
+        shape = `rotate([-90, 0, 0]) cylinder(h = ${num(p.height)}, d1 = ${num(bottom)}, d2 = ${num(top)}, center = true);`;
+        break;
+      }
+
+      case 'torus': {
+        const major = p.major_radius || p.diameter / 2;
+        const minor = p.minor_radius || p.tube_diameter / 2;
+        shape = `rotate_extrude() translate([${num(major)}, 0, 0]) circle(r = ${num(minor)});`;
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown shape type: ${step.shape}`);
+    }
+
+    const [x = 0, y = 0, z = 0] = step.position || [];
+    const note = step.note ? `// ${step.id}. ${step.note}\n` : '';
+
+    return `${note}translate([${num(x)}, ${num(y)}, ${num(z)}]) ${shape}`;
+  }
+
+  header(description, material) {
+    return `// AR Repair Generator - ${description}
+${material ? `// Material: ${material}\n` : ''}// Generated: ${new Date().toISOString().split('T')[0]}
+// All dimensions in mm - edit the parameters below and re-render (F6)
+
+`;
+  }
+
+  shim(params) {
+    const { length, width, thickness, chamfer = 0 } = params;
+
+    return `// PARAMETERS
+length = ${num(length)};
+width = ${num(width)};
+thickness = ${num(thickness)};
+chamfer = ${num(chamfer)}; // 45° edge chamfer
+
+// MODEL
+if (chamfer > 0) {
+    // Hull of three inset boxes gives a 45° chamfer on every edge
+    hull() {
+        cube([length, width - 2 * chamfer, thickness - 2 * chamfer], center = true);
+        cube([length - 2 * chamfer, width, thickness - 2 * chamfer], center = true);
+        cube([length - 2 * chamfer, width - 2 * chamfer, thickness], center = true);
+    }
+} else {
+    cube([length, width, thickness], center = true);
+}
+`;
+  }
+
+  washer(params) {
+    const { outer_d, inner_d, thickness } = params;
+
+    return `// PARAMETERS
+outer_d = ${num(outer_d)};
+inner_d = ${num(inner_d)};
+thickness = ${num(thickness)};
+
+$fn = 64;
+
+// MODEL
+difference() {
+    cylinder(h = thickness, d = outer_d, center = true);
+    cylinder(h = thickness + 1, d = inner_d, center = true);
+}
+`;
+  }
+
+  lBracket(params) {
+    const { leg_a, leg_b, thickness, width = 20, fillet = 0, holes = [] } = params;
+
+    const holeCalls = holes.map(hole => {
+      const leg = hole.leg === 'a' ? 'a' : 'b';
+      const along = leg === 'a' ? hole.offset_a : hole.offset_b;
+      const across = leg === 'a' ? hole.offset_b : hole.offset_a;
+      const z = across !== undefined ? num(across) : 'width / 2';
+      const placement = leg === 'a'
+        ? `translate([${num(along)}, thickness, ${z}]) rotate([-90, 0, 0])`
+        : `translate([thickness, ${num(along)}, ${z}]) rotate([0, 90, 0])`;
+      return `        ${placement} ${screwHoleCall(hole)}`;
+    });
+
+    return `// PARAMETERS
+leg_a = ${num(leg_a)}; // leg along X
+leg_b = ${num(leg_b)}; // leg along Y
+thickness = ${num(thickness)};
+width = ${num(width)};
+fillet = ${num(fillet)}; // inside corner radius
+
+$fn = 48;
+
+${SCREW_HOLE_MODULE}
+
+// MODEL (L profile in XY, extruded along Z)
+difference() {
+    linear_extrude(height = width) union() {
+        polygon([[0, 0], [leg_a, 0], [leg_a, thickness], [thickness, thickness], [thickness, leg_b], [0, leg_b]]);
+        if (fillet > 0)
+            difference() {
+                translate([thickness, thickness]) square(fillet);
+                translate([thickness + fillet, thickness + fillet]) circle(r = fillet);
+            }
+    }
+
+    // Screw holes, countersunk from the inside face
+    union() {
+${holeCalls.join('\n')}
+    }
+}
+`;
+  }
+
+  uClamp(params) {
+    const { width, height, depth, thickness, holes = [] } = params;
+
+    const holeCalls = holes.map(hole => {
+      const { wall = 'base', position_x = 0, position_y = 0 } = hole;
+      const z = `depth / 2 + ${num(position_y)}`;
+      const side = `thickness + (height - thickness) / 2 + ${num(position_x)}`;
+      let placement;
+      if (wall === 'left') {
+        placement = `translate([-width / 2 + thickness, ${side}, ${z}]) rotate([0, 90, 0])`;
+      } else if (wall === 'right') {
+        placement = `translate([width / 2 - thickness, ${side}, ${z}]) rotate([0, -90, 0])`;
+      } else {
+        placement = `translate([${num(position_x)}, thickness, ${z}]) rotate([-90, 0, 0])`;
+      }
+      return `        ${placement} ${screwHoleCall(hole)}`;
+    });
+
+    return `// PARAMETERS
+width = ${num(width)};
+height = ${num(height)};
+depth = ${num(depth)};
+thickness = ${num(thickness)};
+
+$fn = 48;
+
+${SCREW_HOLE_MODULE}
+
+// MODEL (U profile in XY, opening towards +Y, extruded along Z)
+difference() {
+    linear_extrude(height = depth) difference() {
+        translate([-width / 2, 0]) square([width, height]);
+        translate([-width / 2 + thickness, thickness]) square([width - 2 * thickness, height]);
+    }
+
+    // Screw holes, countersunk from inside the U
+    union() {
+${holeCalls.join('\n')}
+    }
+}
+`;
+  }
+
+  facePlate(params) {
+    const { length, width, thickness, holes = [] } = params;
+
+    const holeCalls = holes.map(hole => {
+      const { diameter, position_x = 0, position_y = 0 } = hole;
+      return `        translate([${num(position_x)}, ${num(position_y)}, 0]) cylinder(h = thickness + 1, d = ${num(diameter)}, center = true);`;
+    });
+
+    return `// PARAMETERS
+length = ${num(length)};
+width = ${num(width)};
+thickness = ${num(thickness)};
+
+$fn = 48;
+
+// MODEL
+difference() {
+    cube([length, width, thickness], center = true);
+
+    // Hole pattern (positions from plate centre)
+    union() {
+${holeCalls.join('\n')}
+    }
+}
+`;
+  }
+
+  clip(params) {
+    const { outer_d, inner_d, thickness, gap_angle = 60 } = params;
+
+    return `// PARAMETERS
+outer_d = ${num(outer_d)};
+inner_d = ${num(inner_d)};
+thickness = ${num(thickness)};
+gap_angle = ${num(gap_angle)}; // opening, centred on +X
+
+$fn = 64;
+
+// MODEL
+linear_extrude(height = thickness, center = true) difference() {
+    circle(d = outer_d);
+    circle(d = inner_d);
+    // Gap wedge
+    polygon(concat([[0, 0]], [for (a = [-gap_angle / 2 : gap_angle / 8 : gap_angle / 2]) outer_d * [cos(a), sin(a)]]));
+}
+`;
+  }
+
+  /**
+   * Download .scad file
+   * @param {string} source - OpenSCAD source
+   * @param {string} filename - Output filename
+   */
+  download(source, filename = 'part.scad') {
+    const blob = new Blob([source], { type: 'text/plain' });
+
+    // Create download link
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    document.body.appendChild(link);
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+
+    // Cleanup
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  }
+}
+
+function screwHoleCall(hole) {
+  const {
+    diameter,
+    countersink_d = 0,
+    countersink_angle = 90,
+    counterbore_d = 0,
+    counterbore_depth = 0
+  } = hole;
+  return `screw_hole(${num(diameter)}, thickness, ${num(countersink_d)}, ${num(counterbore_d)}, ${num(counterbore_depth)}, ${num(countersink_angle)});`;
+}
+
+function num(value) {
+  return String(Math.round((value || 0) * 1000) / 1000);
+}
+
+function indent(text) {
+  return text.split('\n').map(line => (line ? '    ' + line : line)).join('\n');
+}
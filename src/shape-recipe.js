@@ -19,6 +19,9 @@ import { Brush, Evaluator, ADDITION, SUBTRACTION, INTERSECTION } from 'three-bvh
  * }
  */
 
+const SHAPES = ['cylinder', 'box', 'sphere', 'cone', 'torus'];
+const OPERATIONS = ['add', 'subtract', 'intersect'];
+
 export class ShapeRecipeEngine {
   constructor() {
     this.evaluator = new Evaluator();
@@ -159,9 +162,15 @@ export class ShapeRecipeEngine {
     }
 
     recipe.steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') {
+        errors.push(`Step ${index} is not an object`);
+        return;
+      }
       if (!step.id) errors.push(`Step ${index} missing id`);
       if (!step.shape) errors.push(`Step ${index} missing shape`);
+      else if (!SHAPES.includes(step.shape)) errors.push(`Step ${index} has unknown shape: ${step.shape}`);
       if (!step.operation) errors.push(`Step ${index} missing operation`);
+      else if (!OPERATIONS.includes(step.operation)) errors.push(`Step ${index} has unknown operation: ${step.operation}`);
       if (!step.params) errors.push(`Step ${index} missing params`);
     });
 
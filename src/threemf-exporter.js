@@ -0,0 +1,319 @@
+// 3MF Export functionality
+import * as THREE from 'three';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+  <Default Extension="config" ContentType="text/plain"/>
+</Types>
+`;
+
+const RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+/**
+ * Export Three.js mesh to 3MF (zipped XML) with print settings.
+ * Settings are written as 3MF metadata, Cura per-object settings and a
+ * PrusaSlicer config so slicers open the part pre-configured.
+ */
+export class ThreeMFExporter {
+  /**
+   * Export mesh to a 3MF package
+   * @param {THREE.Mesh} mesh - The mesh to export (units are mm)
+   * @param {Object} settings - {name?, material?, infill?, perimeters?}
+   * @returns {Uint8Array} - 3MF file data
+   */
+  export(mesh, settings = {}) {
+    const geometry = mesh.geometry;
+
+    if (!geometry.attributes.position) {
+      throw new Error('Geometry must have position attribute');
+    }
+
+    const files = [
+      { name: '[Content_Types].xml', data: CONTENT_TYPES },
+      { name: '_rels/.rels', data: RELATIONSHIPS },
+      { name: '3D/3dmodel.model', data: this.buildModel(mesh, settings) },
+      { name: 'Metadata/Slic3r_PE.config', data: this.buildPrusaConfig(settings) }
+    ];
+
+    return createZip(files);
+  }
+
+  /**
+   * Build the 3D model XML part
+   */
+  buildModel(mesh, settings) {
+    const { vertices, triangles } = this.extractMesh(mesh);
+    const name = escapeXML(settings.name || 'part');
+
+    const metadata = [
+      ['Title', settings.name || 'part'],
+      ['Application', 'AR Repair Generator'],
+      ['CreationDate', new Date().toISOString().split('T')[0]],
+      ['arrepair:material', settings.material],
+      ['arrepair:infill', settings.infill],
+      ['arrepair:perimeters', settings.perimeters]
+    ]
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `  <metadata name="${key}">${escapeXML(String(value))}</metadata>`)
+      .join('\n');
+
+    // Cura reads per-object settings from the object's metadata group
+    const curaSettings = [
+      ['cura:infill_sparse_density', settings.infill],
+      ['cura:wall_line_count', settings.perimeters],
+      ['cura:material_type', settings.material]
+    ]
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `        <metadata name="${key}" preserve="1">${escapeXML(String(value))}</metadata>`)
+      .join('\n');
+
+    const vertexXML = vertices
+      .map(v => `          <vertex x="${formatNumber(v[0])}" y="${formatNumber(v[1])}" z="${formatNumber(v[2])}"/>`)
+      .join('\n');
+
+    const triangleXML = triangles
+      .map(t => `          <triangle v1="${t[0]}" v2="${t[1]}" v3="${t[2]}"/>`)
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:arrepair="https://github.com/kaitlynsamuelian/ar-repair-generator" xmlns:cura="http://software.ultimaker.com/xml/cura/3mf/2015/10">
+${metadata}
+  <resources>
+    <object id="1" name="${name}" type="model">
+${curaSettings ? `      <metadatagroup>\n${curaSettings}\n      </metadatagroup>\n` : ''}      <mesh>
+        <vertices>
+${vertexXML}
+        </vertices>
+        <triangles>
+${triangleXML}
+        </triangles>
+      </mesh>
+    </object>
+  </resources>
+  <build>
+    <item objectid="1"/>
+  </build>
+</model>
+`;
+  }
+
+  /**
+   * Build PrusaSlicer/Slic3r config with the suggested print settings
+   */
+  buildPrusaConfig(settings) {
+    const lines = ['; generated by AR Repair Generator'];
+
+    if (settings.infill !== undefined) {
+      lines.push(`; fill_density = ${settings.infill}%`);
+    }
+    if (settings.perimeters !== undefined) {
+      lines.push(`; perimeters = ${settings.perimeters}`);
+    }
+    if (settings.material) {
+      lines.push(`; filament_type = ${settings.material}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Extract welded vertices and triangle indices in world space
+   * @returns {{vertices: number[][], triangles: number[][]}}
+   */
+  extractMesh(mesh) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const indices = geometry.index ? geometry.index.array : null;
+    const count = indices ? indices.length : position.count;
+
+    mesh.updateMatrixWorld(true);
+    const matrix = mesh.matrixWorld;
+    const vertex = new THREE.Vector3();
+
+    // 3MF needs a shared vertex list, so merge identical positions
+    const lookup = new Map();
+    const vertices = [];
+    const triangles = [];
+
+    for (let i = 0; i < count; i += 3) {
+      const triangle = [];
+
+      for (let j = 0; j < 3; j++) {
+        const index = indices ? indices[i + j] : i + j;
+        vertex.fromBufferAttribute(position, index).applyMatrix4(matrix);
+
+        const key = `${formatNumber(vertex.x)},${formatNumber(vertex.y)},${formatNumber(vertex.z)}`;
+        let id = lookup.get(key);
+        if (id === undefined) {
+          id = vertices.length;
+          lookup.set(key, id);
+          vertices.push([vertex.x, vertex.y, vertex.z]);
+        }
+        triangle.push(id);
+      }
+
+      // Skip triangles that collapse after merging
+      if (triangle[0] !== triangle[1] && triangle[1] !== triangle[2] && triangle[0] !== triangle[2]) {
+        triangles.push(triangle);
+      }
+    }
+
+    return { vertices, triangles };
+  }
+
+  /**
+   * Download 3MF file
+   * @param {THREE.Mesh} mesh - The mesh to export
+   * @param {string} filename - Output filename
+   * @param {Object} settings - Print settings (see export)
+   */
+  download(mesh, filename = 'part.3mf', settings = {}) {
+    const data = this.export(mesh, settings);
+    const blob = new Blob([data], { type: 'model/3mf' });
+
+    // Create download link
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    document.body.appendChild(link);
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+
+    // Cleanup
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  }
+}
+
+/**
+ * Map an AI part spec to 3MF print settings
+ * @param {Object} spec - Part spec from AIAssistant ({part_type, material})
+ * @param {string} name - Part name
+ */
+export function printSettingsFromSpec(spec, name) {
+  const material = (spec && spec.material) || {};
+
+  return {
+    name: name || (spec && spec.part_type) || 'part',
+    material: material.suggested,
+    infill: material.infill,
+    perimeters: material.perimeters
+  };
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 1e5) / 1e5);
+}
+
+function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ---------------------------------------------------------------------------
+// Minimal ZIP writer (stored, no compression) - enough for a 3MF package
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive
+ * @param {Array<{name: string, data: string}>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.data);
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+
+  let offset = 0;
+  const offsets = [];
+
+  // Local file headers + data
+  entries.forEach(entry => {
+    offsets.push(offset);
+    view.setUint32(offset, 0x04034B50, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, 0, true); // flags
+    view.setUint16(offset + 8, 0, true); // stored
+    view.setUint16(offset + 10, 0, true); // time
+    view.setUint16(offset + 12, 0x21, true); // date (1980-01-01)
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    output.set(entry.name, offset + 30);
+    output.set(entry.data, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.data.length;
+  });
+
+  // Central directory
+  const centralStart = offset;
+  entries.forEach((entry, i) => {
+    view.setUint32(offset, 0x02014B50, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true); // version needed
+    view.setUint16(offset + 8, 0, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, 0, true);
+    view.setUint16(offset + 14, 0x21, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    view.setUint16(offset + 30, 0, true); // extra length
+    view.setUint16(offset + 32, 0, true); // comment length
+    view.setUint16(offset + 34, 0, true); // disk number
+    view.setUint16(offset + 36, 0, true); // internal attributes
+    view.setUint32(offset + 38, 0, true); // external attributes
+    view.setUint32(offset + 42, offsets[i], true);
+    output.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  // End of central directory
+  view.setUint32(offset, 0x06054B50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+
+  return output;
+}
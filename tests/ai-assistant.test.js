@@ -0,0 +1,134 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AIAssistant } from '../src/ai-assistant.js';
+import { MockProvider, OpenAICompatibleProvider } from '../src/llm-providers.js';
+import { CONSTRAINTS, AI_SYSTEM_PROMPT } from '../src/config.js';
+
+describe('AIAssistant fallback', () => {
+  const assistant = new AIAssistant(null);
+
+  it('maps measurements to parameters by name, not order', () => {
+    const params = assistant.generateBasicParameters('washer', { thickness: 1.5, inner_d: 6.2, outer_d: 18 }, CONSTRAINTS);
+    expect(params).toEqual({ outer_d: 18, inner_d: 6.2, thickness: 1.5 });
+  });
+
+  it('keeps defaults for parameters that were not measured', () => {
+    const params = assistant.generateBasicParameters('l_bracket', { leg_b: 55, dist_1: 99 }, CONSTRAINTS);
+    expect(params).toEqual({ leg_a: 40, leg_b: 55, thickness: 3, fillet: 4, holes: [] });
+  });
+
+  it('ignores unnamed measurements entirely', () => {
+    const params = assistant.generateBasicParameters('shim', { dist_1: 12, dist_2: 8 }, CONSTRAINTS);
+    expect(params).toEqual({ length: 30, width: 30, thickness: CONSTRAINTS.min_thickness * 2, chamfer: 0.5 });
+  });
+
+  it('builds a full suggestion from a part name', () => {
+    const spec = assistant.fallbackSuggestion('U-Clamp', { width: 22, height: 31, depth: 12, thickness: 2.5 }, CONSTRAINTS);
+    expect(spec.part_type).toBe('u_clamp');
+    expect(spec.parameters).toMatchObject({ width: 22, height: 31, depth: 12, thickness: 2.5 });
+  });
+});
+
+describe('AIAssistant measurement uncertainty', () => {
+  const assistant = new AIAssistant(null);
+
+  it('keeps the fit when measurements are certain enough', () => {
+    const spec = assistant.fallbackSuggestion('washer', { inner_d: 6 }, CONSTRAINTS, { inner_d: 0.3 });
+    expect(spec.tolerance).toEqual({ fit: 'slip', delta_mm: 0.2 });
+  });
+
+  it('widens the clearance by the worst measurement error', () => {
+    const spec = assistant.fallbackSuggestion('washer', { inner_d: 6, outer_d: 15 }, CONSTRAINTS, { inner_d: 0.8, outer_d: 1.5 });
+    expect(spec.tolerance).toEqual({ fit: 'slip', delta_mm: 1.7, widened_for_mm: 1.5 });
+    expect(spec.derived_from).toContain('slip widened by 1.5mm for measurement uncertainty');
+  });
+
+  it('opens up bores, holes and slots by the extra clearance', () => {
+    const washer = assistant.fallbackSuggestion('washer', { inner_d: 5.3, outer_d: 7 }, CONSTRAINTS, { inner_d: 1.5 });
+    expect(washer.tolerance.delta_mm).toBe(1.7);
+    expect(washer.parameters.inner_d).toBe(6.8);
+    expect(washer.parameters.outer_d).toBe(6.8 + 2 * CONSTRAINTS.min_thickness);
+
+    const clamp = assistant.validateSuggestion({
+      part_type: 'u_clamp',
+      parameters: { width: 20, height: 30, depth: 10, thickness: 3, holes: [{ diameter: 4.5, wall: 'base', position_x: 0, position_y: 0 }] },
+      tolerance: { fit: 'clearance', delta_mm: 0.3 }
+    }, CONSTRAINTS, { width: 1 });
+    expect(clamp.parameters.width).toBe(21);
+    expect(clamp.parameters.holes[0].diameter).toBe(5.5);
+    expect(clamp.parameters.thickness).toBe(3);
+  });
+
+  it('leaves the parameters alone when measurements are certain enough', () => {
+    const spec = assistant.fallbackSuggestion('washer', { inner_d: 6, outer_d: 15 }, CONSTRAINTS, { inner_d: 0.3 });
+    expect(spec.parameters).toMatchObject({ inner_d: 6, outer_d: 15 });
+  });
+
+  it('turns an untrustworthy press fit into a slip fit', () => {
+    const suggestion = {
+      part_type: 'washer',
+      parameters: { outer_d: 12, inner_d: 5, thickness: 2 },
+      tolerance: { fit: 'press', delta_mm: 0.1 }
+    };
+    const spec = assistant.validateSuggestion(suggestion, CONSTRAINTS, { inner_d: 1 });
+    expect(spec.tolerance).toEqual({ fit: 'slip', delta_mm: CONSTRAINTS.tolerances.slip + 1, widened_for_mm: 1 });
+    expect(spec.parameters.inner_d).toBeCloseTo(5 + CONSTRAINTS.tolerances.slip + 1 - 0.1, 6);
+  });
+
+  it('passes the uncertainty to the model', () => {
+    const prompt = assistant.buildUserPrompt('spacer', { gap: 2 }, CONSTRAINTS, { gap: 0.7 });
+    expect(prompt).toContain('Measurement uncertainty (± mm)');
+    expect(assistant.buildUserPrompt('spacer', { gap: 2 }, CONSTRAINTS)).not.toContain('uncertainty');
+  });
+});
+
+describe('AIAssistant providers', () => {
+  it('suggests a part offline with the mock provider', async () => {
+    const provider = new MockProvider();
+    const assistant = new AIAssistant(provider);
+    const spec = await assistant.suggestPart('washer for a loose bolt', { hole_diameter: 5.2 }, CONSTRAINTS, { hole_diameter: 1 });
+
+    expect(assistant.isConfigured()).toBe(true);
+    expect(spec.part_type).toBe('washer');
+    expect(spec.tolerance.widened_for_mm).toBe(1);
+
+    const { messages, options } = provider.calls[0];
+    expect(messages[0]).toEqual({ role: 'system', content: AI_SYSTEM_PROMPT });
+    expect(options).toMatchObject({ json: true, task: 'part' });
+  });
+
+  it('builds a shape recipe offline with the mock provider', async () => {
+    const assistant = new AIAssistant(new MockProvider());
+    const recipe = await assistant.generateShapeRecipe('knob');
+
+    expect(recipe.steps).toHaveLength(1);
+    expect(recipe.steps[0]).toMatchObject({ id: 1, operation: 'add', shape: 'cylinder' });
+  });
+
+  it('reads JSON wrapped in text from servers without JSON mode', async () => {
+    const assistant = new AIAssistant(new MockProvider({
+      reply: 'Sure!\n```json\n{"part_type": "clip", "parameters": {"outer_d": 15, "inner_d": 12, "thickness": 2, "gap_angle": 60}}\n```'
+    }));
+    const spec = await assistant.suggestPart('clip');
+
+    expect(spec.part_type).toBe('clip');
+  });
+
+  it('falls back to rules when the provider fails or talks nonsense', async () => {
+    const failing = new AIAssistant(new MockProvider({ reply: () => { throw new Error('offline'); } }));
+    const rambling = new AIAssistant(new MockProvider({ reply: 'no idea' }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await failing.suggestPart('bracket')).notes).toMatch(/AI unavailable/);
+    expect((await rambling.generateShapeRecipe('lid')).description).toBe('Simple lid');
+    vi.restoreAllMocks();
+  });
+
+  it('still takes an OpenAI API key', () => {
+    const assistant = new AIAssistant('sk-test');
+
+    expect(assistant.provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(assistant.provider.apiKey).toBe('sk-test');
+    expect(assistant.isConfigured()).toBe(true);
+    expect(new AIAssistant(null).isConfigured()).toBe(false);
+  });
+});
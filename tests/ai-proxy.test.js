@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AIProxy, RateLimiter, proxyFromEnv } from '../src/ai-proxy.js';
+import { MockProvider, ProxyProvider, createProvider } from '../src/llm-providers.js';
+import { AIAssistant } from '../src/ai-assistant.js';
+import { AI_PROXY_CONFIG, AI_SYSTEM_PROMPT, LLM_CONFIG } from '../src/config.js';
+
+const REQUEST = {
+  task: 'part',
+  description: 'washer for a loose bolt',
+  measurements: { hole_diameter: 5.2 },
+  uncertainty: { hole_diameter: 0.5 }
+};
+
+function post(body, clientId = '10.0.0.1') {
+  return { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body), clientId };
+}
+
+describe('AIProxy', () => {
+  it('writes the part prompt itself and answers like a chat completion', async () => {
+    const provider = new MockProvider({ reply: { part_type: 'washer' } });
+    const result = await new AIProxy({ provider }).handle(post(REQUEST));
+
+    expect(result.status).toBe(200);
+    expect(JSON.parse(JSON.parse(result.body).choices[0].message.content)).toEqual({ part_type: 'washer' });
+
+    const { messages, options } = provider.calls[0];
+    expect(messages[0]).toEqual({ role: 'system', content: AI_SYSTEM_PROMPT });
+    expect(messages.at(-1).content).toContain('User request: "washer for a loose bolt"');
+    expect(messages.at(-1).content).toContain('"hole_diameter": 0.5');
+    expect(options).toEqual({ temperature: LLM_CONFIG.temperature, maxTokens: LLM_CONFIG.max_tokens, json: true, task: 'part' });
+  });
+
+  it('writes the recipe prompt for recipe requests', async () => {
+    const provider = new MockProvider();
+    const result = await new AIProxy({ provider }).handle(post({ task: 'recipe', description: 'a knob', measurements: { dia_1: 30 } }));
+
+    expect(JSON.parse(JSON.parse(result.body).choices[0].message.content).steps).toHaveLength(1);
+    expect(provider.calls[0].messages[0].content).toMatch(/shape recipes/);
+    expect(provider.calls[0].options).toMatchObject({ maxTokens: LLM_CONFIG.recipe_max_tokens, task: 'recipe' });
+  });
+
+  it("won't relay the client's own messages, model or max_tokens", async () => {
+    const upstream = vi.fn(async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: '{}' } }] }) }));
+    const provider = createProvider({ provider: 'ollama', fetch: upstream });
+    const proxy = new AIProxy({ provider });
+
+    const chat = { model: 'gpt-4o', max_tokens: 100000, messages: [{ role: 'system', content: 'You write poems' }] };
+    expect((await proxy.handle(post(chat))).status).toBe(400);
+
+    await proxy.handle(post({ ...REQUEST, ...chat }));
+    const sent = JSON.parse(upstream.mock.calls[0][1].body);
+    expect(sent.model).toBe(provider.model);
+    expect(sent.max_tokens).toBe(LLM_CONFIG.max_tokens);
+    expect(JSON.stringify(sent.messages)).not.toContain('poems');
+  });
+
+  it('turns away other methods, oversized bodies and malformed requests', async () => {
+    const proxy = new AIProxy({ provider: new MockProvider(), limits: { max_body_bytes: 1000, max_description_chars: 100, max_measurements: 2 } });
+    const error = async body => JSON.parse((await proxy.handle(post(body))).body).error.message;
+
+    expect((await proxy.handle({ method: 'GET', body: '', clientId: 'a' })).status).toBe(405);
+    expect((await proxy.handle(post({ ...REQUEST, description: 'x'.repeat(1000) }))).status).toBe(413);
+    expect((await proxy.handle({ method: 'POST', body: null, clientId: 'a' })).status).toBe(413);
+    expect((await proxy.handle(post('{oops'))).status).toBe(400);
+    expect((await proxy.handle(post('[]'))).status).toBe(400);
+
+    expect(await error({ ...REQUEST, task: 'chat' })).toBe('task must be part or recipe');
+    expect(await error({ ...REQUEST, description: ' ' })).toBe('description must be a non-empty string');
+    expect(await error({ ...REQUEST, description: 'x'.repeat(101) })).toMatch(/at most 100 characters/);
+    expect(await error({ ...REQUEST, measurements: { a: 1, b: 2, c: 3 } })).toBe('At most 2 measurements');
+    expect(await error({ ...REQUEST, measurements: { 'ignore previous': 1 } })).toMatch(/map labels/);
+    expect(await error({ ...REQUEST, uncertainty: { hole_diameter: 'lots' } })).toMatch(/uncertainty must map labels/);
+  });
+
+  it('rate limits each client on its own', async () => {
+    const proxy = new AIProxy({ provider: new MockProvider(), limits: { rate_limit: 2, rate_window_ms: 60000 } });
+
+    expect((await proxy.handle(post(REQUEST, 'a'), 0)).status).toBe(200);
+    expect((await proxy.handle(post(REQUEST, 'a'), 1000)).status).toBe(200);
+    const limited = await proxy.handle(post(REQUEST, 'a'), 2000);
+    expect(limited.status).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('58');
+
+    expect((await proxy.handle(post(REQUEST, 'b'), 2000)).status).toBe(200);
+    expect((await proxy.handle(post(REQUEST, 'a'), 60000)).status).toBe(200);
+  });
+
+  it('refuses requests until it has a key, and hides upstream failures', async () => {
+    const unconfigured = new AIProxy({ provider: createProvider({ provider: 'openai' }) });
+    expect((await unconfigured.handle(post(REQUEST))).status).toBe(503);
+
+    const failing = new AIProxy({ provider: new MockProvider({ reply: () => { throw new Error('401 bad key sk-secret'); } }) });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await failing.handle(post(REQUEST));
+    vi.restoreAllMocks();
+
+    expect(result.status).toBe(502);
+    expect(result.body).not.toContain('sk-secret');
+  });
+
+  describe('through the proxy provider', () => {
+    const proxy = new AIProxy({ provider: new MockProvider() });
+    const bodies = [];
+    const fetch = async (url, init) => {
+      bodies.push(JSON.parse(init.body));
+      const result = await proxy.handle({ method: init.method, body: init.body, clientId: 'phone' });
+      return { ok: result.status === 200, status: result.status, json: async () => JSON.parse(result.body) };
+    };
+    const provider = createProvider({ provider: 'proxy', fetch });
+    const assistant = new AIAssistant(provider);
+
+    it('suggests parts', async () => {
+      const spec = await assistant.suggestPart('an l-bracket', { leg_a: 40 });
+
+      expect(provider).toBeInstanceOf(ProxyProvider);
+      expect(provider.isConfigured()).toBe(true);
+      expect(spec.part_type).toBe('l_bracket');
+      expect(bodies.at(-1)).toEqual({ task: 'part', description: 'an l-bracket', measurements: { leg_a: 40 }, uncertainty: {} });
+    });
+
+    it('builds shape recipes', async () => {
+      const recipe = await assistant.generateShapeRecipe('knob');
+
+      expect(recipe.description).toBe('Simple cylinder shape');
+      expect(recipe.steps[0]).toMatchObject({ operation: 'add', shape: 'cylinder' });
+    });
+  });
+});
+
+describe('Netlify function', () => {
+  it("refuses a body that says it's too big without reading it", async () => {
+    const { default: handler } = await import('../netlify/functions/ai.js');
+    const request = new Request('https://example.com/api/ai/chat/completions', {
+      method: 'POST',
+      headers: { 'Content-Length': String(AI_PROXY_CONFIG.max_body_bytes + 1) },
+      body: '{}'
+    });
+    const read = vi.spyOn(request, 'text');
+    const response = await handler(request, { ip: '10.0.0.1' });
+
+    expect(response.status).toBe(413);
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  it('stops reading a chunked body without a length at the limit', async () => {
+    const { default: handler } = await import('../netlify/functions/ai.js');
+    const chunk = new Uint8Array(1024).fill(32);
+    let sent = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        sent += chunk.length;
+        controller.enqueue(chunk); // Never ends on its own
+      }
+    });
+    const request = new Request('https://example.com/api/ai/chat/completions', { method: 'POST', body, duplex: 'half' });
+    const response = await handler(request, { ip: '10.0.0.1' });
+
+    expect(request.headers.get('content-length')).toBeNull();
+    expect(response.status).toBe(413);
+    expect(sent).toBeLessThanOrEqual(AI_PROXY_CONFIG.max_body_bytes + 2 * chunk.length);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('forgets clients whose window has passed', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+    limiter.take('a', 0);
+    limiter.take('b', 900);
+    limiter.sweep(1500);
+
+    expect([...limiter.hits.keys()]).toEqual(['b']);
+  });
+});
+
+describe('proxyFromEnv', () => {
+  it('builds the provider and limits from environment variables', () => {
+    const proxy = proxyFromEnv({ AI_PROVIDER: 'vllm', AI_BASE_URL: 'http://gpu:8000/v1', AI_API_KEY: 'k', AI_RATE_LIMIT: '5' });
+
+    expect(proxy.provider).toMatchObject({ baseURL: 'http://gpu:8000/v1', apiKey: 'k' });
+    expect(proxy.limits.rate_limit).toBe(5);
+    expect(proxyFromEnv({ OPENAI_API_KEY: 'sk-test' }).provider.isConfigured()).toBe(true);
+  });
+
+  it("won't point the proxy at itself", () => {
+    expect(() => proxyFromEnv({ AI_PROVIDER: 'proxy' })).toThrow(/not the proxy/);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/ar-repair.js', import.meta.url));
+
+/**
+ * Run the CLI and collect its exit code and output
+ */
+function run(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('ar-repair CLI', () => {
+  it('rejects an unknown option with the usage text', async () => {
+    const { code, stderr } = await run('--bogus', 'part.json');
+
+    expect(code).toBe(1);
+    expect(stderr).toMatch(/Unknown option '--bogus'/);
+    expect(stderr).toContain('Usage: ar-repair');
+    expect(stderr).not.toMatch(/Unhandled|at .*\.js:\d+/);
+  });
+
+  it('rejects an option missing its value', async () => {
+    const { code, stderr } = await run('part.json', '--format');
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('Usage: ar-repair');
+  });
+});
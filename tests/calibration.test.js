@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { calibrate, resolveReference, loadCalibration, saveCalibration } from '../src/calibration.js';
+import { CALIBRATION_REFERENCES } from '../src/config.js';
+
+/**
+ * In-memory stand-in for sessionStorage
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describe('calibration', () => {
+  it('computes mm per scene unit from a known object', () => {
+    const result = calibrate(2, 'credit_card');
+    expect(result.factor).toBeCloseTo(CALIBRATION_REFERENCES.credit_card.length / 2);
+    expect(result).toMatchObject({ reference: 'Credit card', length: 85.6 });
+  });
+
+  it('accepts a custom length in mm', () => {
+    expect(resolveReference(120)).toEqual({ name: '120mm', length: 120 });
+    expect(calibrate(4, 120).factor).toBe(30);
+  });
+
+  it('rejects unknown references, bad lengths and coincident points', () => {
+    expect(() => resolveReference('banana')).toThrow(/Unknown calibration reference/);
+    expect(() => resolveReference(0)).toThrow(/must be positive/);
+    expect(() => calibrate(0, 'coin')).toThrow(/too close/);
+  });
+
+  it('saves, loads and forgets the session calibration', () => {
+    const storage = memoryStorage();
+    expect(loadCalibration(storage)).toBeNull();
+
+    const result = calibrate(3, 'a4');
+    saveCalibration(result, storage);
+    expect(loadCalibration(storage)).toEqual(result);
+
+    saveCalibration(null, storage);
+    expect(loadCalibration(storage)).toBeNull();
+  });
+
+  it('keeps the calibration for this session only', () => {
+    const session = memoryStorage();
+    const local = memoryStorage();
+    vi.stubGlobal('sessionStorage', session);
+    vi.stubGlobal('localStorage', local);
+    try {
+      saveCalibration(calibrate(3, 'a4'));
+      expect(loadCalibration()).toMatchObject({ reference: 'A4 sheet', length: 297 });
+      expect(local.getItem('scale_calibration')).toBeNull();
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('ignores a corrupt saved calibration', () => {
+    const storage = memoryStorage();
+    storage.setItem('scale_calibration', '{not json');
+    expect(loadCalibration(storage)).toBeNull();
+    storage.setItem('scale_calibration', JSON.stringify({ factor: -1 }));
+    expect(loadCalibration(storage)).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { History } from '../src/history.js';
+
+/**
+ * A counter whose changes are recorded as commands
+ */
+function counter(history) {
+  const state = { value: 0 };
+  state.set = (value, mergeKey, now) => {
+    const before = state.value;
+    state.value = value;
+    history.record({
+      label: `Set ${value}`,
+      mergeKey,
+      undo: () => { state.value = before; },
+      redo: () => { state.value = value; }
+    }, now);
+  };
+  return state;
+}
+
+describe('History', () => {
+  it('undoes and redoes commands in order', async () => {
+    const history = new History();
+    const state = counter(history);
+    state.set(1);
+    state.set(2);
+
+    expect(await history.undo()).toBe('Set 2');
+    expect(state.value).toBe(1);
+    expect(await history.undo()).toBe('Set 1');
+    expect(state.value).toBe(0);
+    expect(await history.undo()).toBeNull();
+
+    expect(await history.redo()).toBe('Set 1');
+    expect(await history.redo()).toBe('Set 2');
+    expect(state.value).toBe(2);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('drops the redo stack when something new is recorded', async () => {
+    const history = new History();
+    const state = counter(history);
+    state.set(1);
+    await history.undo();
+    state.set(5);
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.nextLabels()).toEqual({ undo: 'Set 5', redo: null });
+  });
+
+  it('merges quick commands with the same key into one step', async () => {
+    const history = new History({ mergeWindow: 1000 });
+    const state = counter(history);
+    state.set(1, 'slider', 0);
+    state.set(2, 'slider', 500);
+    state.set(3, 'slider', 1200);
+    state.set(4, 'slider', 3000);
+
+    await history.undo();
+    expect(state.value).toBe(3);
+    await history.undo();
+    expect(state.value).toBe(0);
+    await history.redo();
+    expect(state.value).toBe(3);
+  });
+
+  it("doesn't merge into a step that was undone and redone", async () => {
+    const history = new History();
+    const state = counter(history);
+    state.set(1, 'slider', 0);
+    await history.undo();
+    await history.redo();
+    state.set(2, 'slider', 10);
+
+    await history.undo();
+    expect(state.value).toBe(1);
+  });
+
+  it('waits for async commands and ignores undo while one runs', async () => {
+    const history = new History();
+    let value = 'b';
+    history.record({
+      label: 'Build',
+      undo: () => new Promise(resolve => setTimeout(() => { value = 'a'; resolve(); })),
+      redo: () => { value = 'b'; }
+    });
+
+    const running = history.undo();
+    expect(history.canUndo()).toBe(false);
+    expect(await history.redo()).toBeNull();
+    expect(await running).toBe('Build');
+    expect(value).toBe('a');
+  });
+
+  it('leaves a step where it was when undoing or redoing it fails', async () => {
+    const history = new History();
+    let fail = true;
+    history.record({
+      label: 'Build',
+      undo: async () => { if (fail) throw new Error('no scene'); },
+      redo: async () => { throw new Error('still no scene'); }
+    });
+
+    await expect(history.undo()).rejects.toThrow('no scene');
+    expect(history.nextLabels()).toEqual({ undo: 'Build', redo: null });
+    expect(history.canUndo()).toBe(true);
+
+    fail = false;
+    expect(await history.undo()).toBe('Build');
+    await expect(history.redo()).rejects.toThrow('still no scene');
+    expect(history.nextLabels()).toEqual({ undo: null, redo: 'Build' });
+  });
+
+  it('keeps at most `limit` steps and reports changes', () => {
+    let changes = 0;
+    const history = new History({ limit: 2, onChange: () => changes++ });
+    const state = counter(history);
+    state.set(1);
+    state.set(2);
+    state.set(3);
+
+    expect(history.undoStack.map(c => c.label)).toEqual(['Set 2', 'Set 3']);
+    expect(changes).toBe(3);
+
+    history.clear();
+    expect(history.canUndo()).toBe(false);
+    expect(changes).toBe(4);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { findSnapPoint, fitCircle } from '../src/image-snapping.js';
+
+/**
+ * Grey image from a brightness function, with optional seeded noise
+ */
+function render(width, height, brightness, noise = 0) {
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = brightness(x, y) + (random() - 0.5) * noise;
+      data.set([value, value, value, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// Dark square covering pixels 20-39; its outline runs between pixels, at 19.5 and 39.5
+const square = (x, y) => (x >= 20 && x < 40 && y >= 20 && y < 40 ? 40 : 220);
+
+describe('findSnapPoint', () => {
+  it('snaps to a corner with sub-pixel accuracy', () => {
+    const snap = findSnapPoint(render(60, 60, square), 23, 17, { radius: 12 });
+    expect(snap.kind).toBe('corner');
+    expect(snap.x).toBeCloseTo(19.5, 0);
+    expect(snap.y).toBeCloseTo(19.5, 0);
+  });
+
+  it('snaps across to an edge when no corner is as close', () => {
+    const snap = findSnapPoint(render(60, 60, square), 30, 16, { radius: 12 });
+    expect(snap).toEqual({ x: 30, y: 19.5, kind: 'edge' });
+  });
+
+  it('prefers the nearest edge over a stronger one further away', () => {
+    // Faint step at x = 9.5, strong step at x = 19.5
+    const steps = (x) => (x < 10 ? 100 : x < 20 ? 160 : 255);
+    const snap = findSnapPoint(render(30, 30, steps), 12, 15, { radius: 12 });
+    expect(snap.kind).toBe('edge');
+    expect(snap.x).toBeCloseTo(9.5, 1);
+  });
+
+  it('leaves taps on plain or noisy surfaces alone', () => {
+    expect(findSnapPoint(render(60, 60, square), 52, 52, { radius: 6 })).toBeNull();
+    expect(findSnapPoint(render(60, 60, square, 30), 52, 52, { radius: 6 })).toBeNull();
+  });
+
+  it('still finds the edge through camera noise', () => {
+    const snap = findSnapPoint(render(60, 60, square, 30), 30, 16, { radius: 12 });
+    expect(snap.kind).toBe('edge');
+    expect(snap.y).toBeCloseTo(19.5, 0);
+  });
+});
+
+describe('fitCircle', () => {
+  it('recovers a circle from three points', () => {
+    const fit = fitCircle([{ x: 15, y: 5 }, { x: 10, y: 10 }, { x: 5, y: 5 }]);
+    expect(fit.x).toBeCloseTo(10);
+    expect(fit.y).toBeCloseTo(5);
+    expect(fit.diameter).toBeCloseTo(10);
+    expect(fit.rms).toBeCloseTo(0);
+  });
+
+  it('averages out scatter when given more points', () => {
+    const points = [];
+    for (let i = 0; i < 12; i++) {
+      const angle = (i / 12) * Math.PI * 2;
+      const r = 6 + (i % 2 ? 0.1 : -0.1);
+      points.push({ x: 100 + Math.cos(angle) * r, y: -40 + Math.sin(angle) * r });
+    }
+    const fit = fitCircle(points);
+    expect(fit.diameter).toBeCloseTo(12, 2);
+    expect(fit.rms).toBeCloseTo(0.1, 2);
+  });
+
+  it('rejects too few or collinear points', () => {
+    expect(() => fitCircle([{ x: 0, y: 0 }, { x: 1, y: 1 }])).toThrow(/at least 3/);
+    expect(() => fitCircle([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }])).toThrow(/in a line/);
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, expect } from 'vitest';
+import {
+  OpenAICompatibleProvider,
+  MockProvider,
+  ProxyProvider,
+  createProvider,
+  parseJSONReply,
+  loadProviderSettings,
+  saveProviderSettings
+} from '../src/llm-providers.js';
+import { LLM_PROVIDERS, AI_EXAMPLES } from '../src/config.js';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Stand-in for fetch that answers every request with `content`
+ */
+function fakeFetch(content, { status = 200 } = {}) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init, body: JSON.parse(init.body) });
+    return {
+      ok: status < 400,
+      status,
+      statusText: status < 400 ? 'OK' : 'Error',
+      json: async () => ({ choices: [{ message: { content } }] })
+    };
+  };
+  return { fetch, requests };
+}
+
+const MESSAGES = [{ role: 'user', content: 'hello' }];
+
+describe('OpenAICompatibleProvider', () => {
+  it('posts to the chat completions endpoint with the key in the auth header', async () => {
+    const { fetch, requests } = fakeFetch('{"ok": true}');
+    const provider = new OpenAICompatibleProvider({
+      baseURL: 'https://api.example.com/v1/',
+      model: 'test-model',
+      apiKey: 'sk-test',
+      fetch
+    });
+
+    const reply = await provider.complete(MESSAGES, { temperature: 0.1, maxTokens: 50, json: true });
+
+    expect(reply).toBe('{"ok": true}');
+    expect(requests[0].url).toBe('https://api.example.com/v1/chat/completions');
+    expect(requests[0].init.headers.Authorization).toBe('Bearer sk-test');
+    expect(requests[0].body).toEqual({
+      model: 'test-model',
+      temperature: 0.1,
+      max_tokens: 50,
+      messages: MESSAGES,
+      response_format: { type: 'json_object' }
+    });
+  });
+
+  it('uses a custom auth header and leaves it out without a key', async () => {
+    const { fetch, requests } = fakeFetch('hi');
+    await new OpenAICompatibleProvider({ baseURL: 'http://x/v1', model: 'm', apiKey: 'k', authHeader: 'api-key', authScheme: '', fetch })
+      .complete(MESSAGES);
+    await new OpenAICompatibleProvider({ baseURL: 'http://x/v1', model: 'm', fetch }).complete(MESSAGES);
+
+    expect(requests[0].init.headers['api-key']).toBe('k');
+    expect(requests[1].init.headers).toEqual({ 'Content-Type': 'application/json' });
+  });
+
+  it('sends the proxy only the task and its inputs, not the messages', async () => {
+    const { fetch, requests } = fakeFetch('{}');
+    const input = { description: 'a lid', measurements: { dia_1: 30 } };
+    await new OpenAICompatibleProvider({ baseURL: 'http://x/v1', model: 'm', fetch }).complete(MESSAGES, { task: 'recipe', input });
+    await createProvider({ provider: 'proxy', fetch }).complete(MESSAGES, { task: 'recipe', input });
+
+    expect(requests[0].body.messages).toEqual(MESSAGES);
+    expect(requests[0].body.task).toBeUndefined();
+    expect(requests[1].url).toBe(`${LLM_PROVIDERS.proxy.base_url}/chat/completions`);
+    expect(requests[1].body).toEqual({ task: 'recipe', description: 'a lid', measurements: { dia_1: 30 }, uncertainty: {} });
+  });
+
+  it("doesn't ask for JSON mode from servers without it", async () => {
+    const { fetch, requests } = fakeFetch('{}');
+    await new OpenAICompatibleProvider({ baseURL: 'http://x/v1', model: 'm', jsonMode: false, fetch })
+      .complete(MESSAGES, { json: true });
+
+    expect(requests[0].body.response_format).toBeUndefined();
+  });
+
+  it('rejects error responses and replies without a message', async () => {
+    const failing = new OpenAICompatibleProvider({ name: 'Ollama', baseURL: 'http://x/v1', model: 'm', fetch: fakeFetch('', { status: 404 }).fetch });
+    await expect(failing.complete(MESSAGES)).rejects.toThrow(/Ollama API error: 404/);
+
+    const empty = new OpenAICompatibleProvider({ baseURL: 'http://x/v1', model: 'm', fetch: fakeFetch(null).fetch });
+    await expect(empty.complete(MESSAGES)).rejects.toThrow(/sent no reply/);
+  });
+
+  it('needs a real key only when the provider does', () => {
+    const remote = { baseURL: 'https://api.example.com/v1', model: 'm', needsKey: true };
+    expect(new OpenAICompatibleProvider(remote).isConfigured()).toBe(false);
+    expect(new OpenAICompatibleProvider({ ...remote, apiKey: 'your_openai_api_key_here' }).isConfigured()).toBe(false);
+    expect(new OpenAICompatibleProvider({ ...remote, apiKey: 'sk-test' }).isConfigured()).toBe(true);
+    expect(new OpenAICompatibleProvider({ baseURL: 'http://localhost:8080/v1', model: 'local' }).isConfigured()).toBe(true);
+    expect(new OpenAICompatibleProvider({ baseURL: '', model: 'local' }).isConfigured()).toBe(false);
+  });
+});
+
+describe('MockProvider', () => {
+  it('answers a part request with the example for the part it names', async () => {
+    const provider = new MockProvider();
+    const reply = await provider.complete([{ role: 'user', content: 'User request: "An L-bracket for a shelf"' }], { task: 'part' });
+    const example = AI_EXAMPLES.find(e => e.response.part_type === 'l_bracket');
+
+    expect(JSON.parse(reply)).toEqual(example.response);
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('falls back to the first example and answers recipes with a cylinder', async () => {
+    const provider = new MockProvider();
+    const part = JSON.parse(await provider.complete([{ role: 'user', content: 'something odd' }]));
+    const recipe = JSON.parse(await provider.complete([{ role: 'user', content: 'a lid' }], { task: 'recipe' }));
+
+    expect(part).toEqual(AI_EXAMPLES[0].response);
+    expect(recipe.steps[0]).toMatchObject({ operation: 'add', shape: 'cylinder' });
+  });
+
+  it('gives a set reply instead when told to', async () => {
+    const fixed = new MockProvider({ reply: { part_type: 'clip' } });
+    const computed = new MockProvider({ reply: (messages, { task }) => `${task}: ${messages.length}` });
+
+    expect(await fixed.complete(MESSAGES)).toBe('{"part_type":"clip"}');
+    expect(await computed.complete(MESSAGES, { task: 'recipe' })).toBe('recipe: 1');
+  });
+});
+
+describe('createProvider', () => {
+  it('builds presets with their address, model and JSON mode', () => {
+    const provider = createProvider({ provider: 'ollama' });
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider).toMatchObject({
+      name: LLM_PROVIDERS.ollama.name,
+      baseURL: LLM_PROVIDERS.ollama.base_url,
+      model: LLM_PROVIDERS.ollama.model,
+      jsonMode: true
+    });
+    expect(provider.isConfigured()).toBe(true);
+  });
+
+  it('lets settings override the preset but not with empty values', () => {
+    const provider = createProvider({ provider: 'vllm', baseURL: 'http://gpu-box:8000/v1', model: undefined, apiKey: null });
+    expect(provider.baseURL).toBe('http://gpu-box:8000/v1');
+    expect(provider.model).toBe(LLM_PROVIDERS.vllm.model);
+    expect(provider.apiKey).toBeNull();
+  });
+
+  it("defaults to the app's proxy, which needs no key in the browser", () => {
+    const provider = createProvider();
+    expect(provider).toBeInstanceOf(ProxyProvider);
+    expect(provider.baseURL).toBe(LLM_PROVIDERS.proxy.base_url);
+    expect(provider.isConfigured()).toBe(true);
+  });
+
+  it('needs a key for OpenAI', () => {
+    expect(createProvider({ provider: 'openai' }).isConfigured()).toBe(false);
+    expect(createProvider({ provider: 'openai', apiKey: 'sk-test' }).isConfigured()).toBe(true);
+  });
+
+  it('builds the mock and rejects unknown providers', () => {
+    expect(createProvider({ provider: 'mock' })).toBeInstanceOf(MockProvider);
+    expect(() => createProvider({ provider: 'skynet' })).toThrow(/Unknown LLM provider/);
+  });
+});
+
+describe('parseJSONReply', () => {
+  it('reads bare JSON, fenced JSON and JSON among other text', () => {
+    expect(parseJSONReply('{"a": 1}')).toEqual({ a: 1 });
+    expect(parseJSONReply('```json\n{"a": {"b": 2}}\n```')).toEqual({ a: { b: 2 } });
+    expect(parseJSONReply('Here you go: {"a": 3} Hope that helps!')).toEqual({ a: 3 });
+  });
+
+  it('rejects replies without a JSON object', () => {
+    expect(() => parseJSONReply('I cannot help with that')).toThrow(/no JSON object/);
+  });
+});
+
+describe('provider settings', () => {
+  it('saves, loads and forgets settings', () => {
+    const storage = memoryStorage();
+    expect(loadProviderSettings(storage)).toBeNull();
+
+    saveProviderSettings({ provider: 'ollama', model: 'qwen2.5:7b' }, storage);
+    expect(loadProviderSettings(storage)).toEqual({ provider: 'ollama', model: 'qwen2.5:7b' });
+
+    saveProviderSettings(null, storage);
+    expect(loadProviderSettings(storage)).toBeNull();
+  });
+
+  it('never keeps an API key in the browser', () => {
+    const storage = memoryStorage();
+    storage.setItem('openai_api_key', 'sk-old');
+    expect(loadProviderSettings(storage)).toBeNull();
+
+    saveProviderSettings({ provider: 'vllm', apiKey: 'sk-new' }, storage);
+    expect(storage.getItem('openai_api_key')).toBeNull();
+    expect(storage.getItem('llm_provider')).not.toContain('sk-new');
+
+    storage.setItem('llm_provider', JSON.stringify({ provider: 'ollama', apiKey: 'sk-saved' }));
+    expect(loadProviderSettings(storage)).toEqual({ provider: 'ollama' });
+    storage.setItem('llm_provider', JSON.stringify({ provider: 'openai', apiKey: 'sk-saved' }));
+    expect(loadProviderSettings(storage)).toBeNull();
+  });
+
+  it('ignores unreadable settings and unknown providers', () => {
+    const storage = memoryStorage();
+    storage.setItem('llm_provider', '{not json');
+    expect(loadProviderSettings(storage)).toBeNull();
+    storage.setItem('llm_provider', JSON.stringify({ provider: 'skynet' }));
+    expect(loadProviderSettings(storage)).toBeNull();
+  });
+});
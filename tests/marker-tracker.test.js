@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { inflateSync } from 'node:zlib';
+import * as THREE from 'three';
+import { MarkerTracker } from '../src/marker-tracker.js';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+const HFOV = 65;
+const FOCAL = (WIDTH / 2) / Math.tan((HFOV * Math.PI) / 360);
+
+/**
+ * Decode the bundled 8-bit RGB marker PNG into ImageData form
+ */
+function readMarkerPNG() {
+  const file = readFileSync(new URL('../public/markers/marker-0.png', import.meta.url));
+  const width = file.readUInt32BE(16);
+  const height = file.readUInt32BE(20);
+  const chunks = [];
+  for (let offset = 8; offset < file.length;) {
+    const length = file.readUInt32BE(offset);
+    if (file.toString('ascii', offset + 4, offset + 8) === 'IDAT') {
+      chunks.push(file.subarray(offset + 8, offset + 8 + length));
+    }
+    offset += length + 12;
+  }
+
+  const raw = inflateSync(Buffer.concat(chunks));
+  const stride = width * 3;
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const left = x >= 3 ? pixels[y * stride + x - 3] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = x >= 3 && y > 0 ? pixels[(y - 1) * stride + x - 3] : 0;
+      const paeth = () => {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        return pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      };
+      const predictor = [0, left, up, (left + up) >> 1, paeth()][filter];
+      pixels[y * stride + x] = (value + predictor) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2], 255], i * 4);
+  }
+  return { width, height, data };
+}
+
+const MARKER = readMarkerPNG();
+
+/**
+ * Marker colour at unit coordinates (u right, v down)
+ */
+function markerAt(u, v) {
+  const x = Math.min(MARKER.width - 1, Math.floor(u * MARKER.width));
+  const y = Math.min(MARKER.height - 1, Math.floor(v * MARKER.height));
+  return MARKER.data[(y * MARKER.width + x) * 4];
+}
+
+/**
+ * Render a 50mm marker on a white table through a pinhole camera
+ * @param {THREE.Vector3} position - Marker centre in camera space (mm; x right, y down, z forwards)
+ * @param {THREE.Euler} rotation - Marker orientation; identity faces the camera upright
+ */
+function renderMarker(position, rotation) {
+  const basis = new THREE.Matrix4().makeRotationFromEuler(rotation);
+  const r1 = new THREE.Vector3().setFromMatrixColumn(basis, 0);
+  const r2 = new THREE.Vector3().setFromMatrixColumn(basis, 1);
+  const normal = new THREE.Vector3().setFromMatrixColumn(basis, 2);
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const ray = new THREE.Vector3();
+  const local = new THREE.Vector3();
+
+  for (let py = 0; py < HEIGHT; py++) {
+    for (let px = 0; px < WIDTH; px++) {
+      ray.set((px + 0.5 - WIDTH / 2) / FOCAL, (py + 0.5 - HEIGHT / 2) / FOCAL, 1);
+      const s = normal.dot(position) / normal.dot(ray);
+      local.copy(ray).multiplyScalar(s).sub(position);
+      const u = local.dot(r1) / 50 + 0.5;
+      const v = local.dot(r2) / 50 + 0.5;
+
+      const value = u >= 0 && u < 1 && v >= 0 && v < 1 ? markerAt(u, v) * 0.8 + 20 : 230;
+      data.set([value, value, value, 255], (py * WIDTH + px) * 4);
+    }
+  }
+
+  return { width: WIDTH, height: HEIGHT, data };
+}
+
+/**
+ * Where a marker-plane point (mm) lands in the rendered image
+ */
+function project(position, rotation, x, y) {
+  const point = new THREE.Vector3(x, y, 0).applyEuler(rotation).add(position);
+  return { x: (point.x / point.z) * FOCAL + WIDTH / 2, y: (point.y / point.z) * FOCAL + HEIGHT / 2 };
+}
+
+function createTracker() {
+  const tracker = new MarkerTracker({ camera_hfov: HFOV });
+  tracker.setPattern(MARKER);
+  return tracker;
+}
+
+describe('MarkerTracker', () => {
+  it('finds a marker facing the camera and orders its corners', () => {
+    const position = new THREE.Vector3(10, -5, 200);
+    const rotation = new THREE.Euler();
+    const detection = createTracker().detect(renderMarker(position, rotation));
+
+    expect(detection).not.toBeNull();
+    expect(detection.confidence).toBeGreaterThan(0.9);
+
+    const expected = [[-25, -25], [25, -25], [25, 25], [-25, 25]].map(([x, y]) => project(position, rotation, x, y));
+    detection.corners.forEach((corner, i) => {
+      expect(Math.hypot(corner.x - expected[i].x, corner.y - expected[i].y)).toBeLessThan(1.5);
+    });
+  });
+
+  it('identifies the marker orientation from its pattern', () => {
+    const tracker = createTracker();
+    const position = new THREE.Vector3(0, 0, 220);
+
+    [0, 1, 2, 3].forEach(quarterTurns => {
+      const rotation = new THREE.Euler(0, 0, quarterTurns * Math.PI / 2 + 0.2);
+      const detection = tracker.detect(renderMarker(position, rotation));
+      const topLeft = project(position, rotation, -25, -25);
+
+      expect(detection).not.toBeNull();
+      expect(Math.hypot(detection.corners[0].x - topLeft.x, detection.corners[0].y - topLeft.y)).toBeLessThan(2);
+    });
+  });
+
+  it('measures distances on a tilted marker plane in millimetres', () => {
+    const tracker = createTracker();
+    const position = new THREE.Vector3(-15, 10, 250);
+    const rotation = new THREE.Euler(0.6, -0.3, 0.4);
+    const detection = tracker.detect(renderMarker(position, rotation));
+    expect(detection).not.toBeNull();
+
+    // Two points 40mm apart on the plane, outside the marker itself
+    const a = project(position, rotation, -20, 30);
+    const b = project(position, rotation, 20, 30);
+    const pa = tracker.imageToMarker(detection, a.x, a.y);
+    const pb = tracker.imageToMarker(detection, b.x, b.y);
+
+    expect(Math.hypot(pa.x - pb.x, pa.y - pb.y)).toBeCloseTo(40, 0);
+    expect(pa.x).toBeCloseTo(-20, 0);
+    expect(pa.y).toBeCloseTo(30, 0);
+  });
+
+  it('estimates the camera pose', () => {
+    const position = new THREE.Vector3(-15, 10, 150);
+    const rotation = new THREE.Euler(0.5, 0.2, 0);
+    const detection = createTracker().detect(renderMarker(position, rotation));
+
+    expect(detection.pose.distance).toBeGreaterThan(position.length() * 0.97);
+    expect(detection.pose.distance).toBeLessThan(position.length() * 1.03);
+
+    const normal = new THREE.Vector3().setFromMatrixColumn(detection.pose.rotation, 2);
+    const expected = new THREE.Vector3(0, 0, 1).applyEuler(rotation);
+    expect(normal.angleTo(expected)).toBeLessThan(0.05);
+  });
+
+  it('ignores frames without the marker', () => {
+    const tracker = createTracker();
+    const blank = { width: WIDTH, height: HEIGHT, data: new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(200) };
+    expect(tracker.detect(blank)).toBeNull();
+
+    // A plain black square has the border but not the pattern
+    const square = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(230);
+    for (let y = 80; y < 160; y++) {
+      for (let x = 120; x < 200; x++) {
+        square.set([20, 20, 20], (y * WIDTH + x) * 4);
+      }
+    }
+    expect(tracker.detect({ width: WIDTH, height: HEIGHT, data: square })).toBeNull();
+  });
+
+  it('needs a pattern before detecting', () => {
+    expect(() => new MarkerTracker().detect(renderMarker(new THREE.Vector3(0, 0, 200), new THREE.Euler()))).toThrow(/pattern not set/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { angleAt, arcThrough, polygonArea, polygonCentroid } from '../src/measure-geometry.js';
+
+describe('angleAt', () => {
+  it('measures the angle between two arms', () => {
+    const vertex = { x: 1, y: 1 };
+
+    expect(angleAt({ x: 5, y: 1 }, vertex, { x: 1, y: 4 })).toBeCloseTo(90);
+    expect(angleAt({ x: 3, y: 1 }, vertex, { x: 3, y: 3 })).toBeCloseTo(45);
+    expect(angleAt({ x: 3, y: 1 }, vertex, { x: -2, y: 1 })).toBeCloseTo(180);
+  });
+
+  it("doesn't depend on which arm comes first", () => {
+    const a = { x: 2, y: 0 };
+    const b = { x: -1, y: 1.7 };
+
+    expect(angleAt(a, { x: 0, y: 0 }, b)).toBeCloseTo(angleAt(b, { x: 0, y: 0 }, a));
+  });
+
+  it('rejects an arm with no length', () => {
+    expect(() => angleAt({ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 })).toThrow(/arms/);
+  });
+});
+
+describe('polygonArea', () => {
+  const square = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 4 }];
+
+  it('measures the area inside the corners either way round', () => {
+    expect(polygonArea(square)).toBeCloseTo(16);
+    expect(polygonArea([...square].reverse())).toBeCloseTo(16);
+    expect(polygonArea([{ x: 0, y: 0 }, { x: 6, y: 0 }, { x: 0, y: 3 }])).toBeCloseTo(9);
+  });
+
+  it('handles concave shapes', () => {
+    // 4×4 square with a 2×2 notch out of one corner
+    const notched = [
+      { x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 2 },
+      { x: 2, y: 2 }, { x: 2, y: 4 }, { x: 0, y: 4 }
+    ];
+    expect(polygonArea(notched)).toBeCloseTo(12);
+  });
+
+  it('needs at least 3 corners', () => {
+    expect(() => polygonArea(square.slice(0, 2))).toThrow(/3 corners/);
+  });
+
+  it('finds the centroid, or the mean for a flat outline', () => {
+    const centroid = polygonCentroid(square);
+    expect(centroid.x).toBeCloseTo(2);
+    expect(centroid.y).toBeCloseTo(2);
+
+    expect(polygonCentroid([{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 6, y: 0 }])).toEqual({ x: 3, y: 0 });
+  });
+});
+
+describe('arcThrough', () => {
+  const center = { x: 0, y: 0 };
+  const at = degrees => ({ x: Math.cos(degrees * Math.PI / 180), y: Math.sin(degrees * Math.PI / 180) });
+
+  it('runs from the first point to the last through the middle ones', () => {
+    const counterClockwise = arcThrough(center, [at(0), at(45), at(90)]);
+    expect(counterClockwise.start).toBeCloseTo(0);
+    expect(counterClockwise.sweep).toBeCloseTo(Math.PI / 2);
+
+    // Same ends, but the middle point is on the long way round
+    const clockwise = arcThrough(center, [at(0), at(-90), at(90)]);
+    expect(clockwise.sweep).toBeCloseTo(-Math.PI * 1.5);
+  });
+
+  it('crosses the ±180° seam', () => {
+    const { start, sweep } = arcThrough(center, [at(170), at(180), at(-170)]);
+    expect(start).toBeCloseTo(Math.PI * 170 / 180);
+    expect(sweep).toBeCloseTo(Math.PI * 20 / 180);
+  });
+});
@@ -0,0 +1,317 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { MeasurementSession } from '../src/measurement-session.js';
+import { MEASUREMENT_UNCERTAINTY } from '../src/config.js';
+
+/**
+ * Take a measurement of `length` units along X starting at `x`
+ */
+function measure(session, x, length) {
+  session.addPoint(new THREE.Vector3(x, 0, 0));
+  return session.addPoint(new THREE.Vector3(x + length, 0, 0));
+}
+
+describe('MeasurementSession', () => {
+  it('pairs points into any number of labelled measurements', () => {
+    const session = new MeasurementSession();
+
+    expect(session.addPoint(new THREE.Vector3(0, 0, 0))).toBeNull();
+    const first = session.addPoint(new THREE.Vector3(3, 4, 0));
+    expect(first).toMatchObject({ id: 'dist_1', label: 'dist_1', type: 'distance', value: 5 });
+
+    measure(session, 0, 1);
+    measure(session, 0, 2);
+    measure(session, 0, 0.25);
+
+    expect(session.measurements).toHaveLength(4);
+    expect(session.toMillimetres(10)).toEqual({ dist_1: 50, dist_2: 10, dist_3: 20, dist_4: 2.5 });
+  });
+
+  it('selects the newest measurement and centres on the selection', () => {
+    const session = new MeasurementSession();
+    measure(session, 0, 2);
+    measure(session, 10, 4);
+
+    expect(session.selectedId).toBe('dist_2');
+    expect(session.getCenter().toArray()).toEqual([12, 0, 0]);
+
+    session.select('dist_1');
+    expect(session.getCenter().toArray()).toEqual([1, 0, 0]);
+    expect(() => session.select('dist_9')).toThrow(/Unknown measurement/);
+  });
+
+  it('undoes a pending point before the last measurement', () => {
+    const session = new MeasurementSession();
+    measure(session, 0, 2);
+    measure(session, 0, 3);
+    session.addPoint(new THREE.Vector3(5, 5, 5));
+
+    expect(session.undo().point.toArray()).toEqual([5, 5, 5]);
+    expect(session.pendingPoint).toBeNull();
+    expect(session.measurements).toHaveLength(2);
+
+    expect(session.undo().measurement.id).toBe('dist_2');
+    expect(session.measurements.map(m => m.id)).toEqual(['dist_1']);
+    expect(session.selectedId).toBe('dist_1');
+
+    session.undo();
+    expect(session.undo()).toBeNull();
+  });
+
+  it('deletes individual measurements without reusing their ids', () => {
+    const session = new MeasurementSession();
+    measure(session, 0, 1);
+    measure(session, 0, 2);
+    measure(session, 0, 3);
+
+    expect(session.remove('dist_2').value).toBe(2);
+    expect(session.remove('dist_2')).toBeNull();
+    expect(Object.keys(session.toMillimetres(1))).toEqual(['dist_1', 'dist_3']);
+
+    expect(measure(session, 0, 4).id).toBe('dist_4');
+  });
+
+  it('renames measurements with unique labels', () => {
+    const session = new MeasurementSession();
+    measure(session, 0, 1);
+    measure(session, 0, 2);
+
+    session.setLabel('dist_1', 'length');
+    expect(session.toMillimetres(10)).toEqual({ length: 10, dist_2: 20 });
+    expect(() => session.setLabel('dist_2', 'length')).toThrow(/already in use/);
+  });
+
+  it('labels measurements with the next open slot', () => {
+    const session = new MeasurementSession();
+    session.setSlots(['outer_d', 'inner_d', 'thickness']);
+
+    expect(session.getNextSlot()).toBe('outer_d');
+    expect(measure(session, 0, 2).label).toBe('outer_d');
+    expect(session.getNextSlot()).toBe('inner_d');
+
+    // Jump ahead to a chosen slot
+    session.chooseSlot('thickness');
+    expect(measure(session, 0, 0.2).label).toBe('thickness');
+    expect(session.getOpenSlots()).toEqual(['inner_d']);
+    expect(() => session.chooseSlot('outer_d')).toThrow(/No open measurement slot/);
+
+    expect(measure(session, 0, 1).label).toBe('inner_d');
+    expect(session.getNextSlot()).toBeNull();
+    expect(measure(session, 0, 5).label).toBe('dist_4');
+
+    expect(session.toMillimetres(10)).toEqual({ outer_d: 20, thickness: 2, inner_d: 10, dist_4: 50 });
+  });
+
+  it('reopens a slot when its measurement is deleted', () => {
+    const session = new MeasurementSession();
+    session.setSlots(['length', 'width']);
+    measure(session, 0, 3);
+    measure(session, 0, 2);
+
+    session.remove('dist_1');
+    expect(session.getOpenSlots()).toEqual(['length']);
+    expect(measure(session, 0, 4).label).toBe('length');
+  });
+
+  it('uses marker-plane distances when both taps were on the marker', () => {
+    const session = new MeasurementSession();
+    session.addPoint(new THREE.Vector3(0, 0, 0), { x: 0, y: 0 });
+    const tracked = session.addPoint(new THREE.Vector3(1, 0, 0), { x: 30, y: 40 });
+    session.addPoint(new THREE.Vector3(0, 0, 0), { x: 0, y: 0 });
+    const estimated = session.addPoint(new THREE.Vector3(2, 0, 0));
+
+    expect(tracked.samples[0].trueValue).toBe(50);
+    expect(tracked.trueScale).toBe(true);
+    expect(estimated.samples[0].trueValue).toBeNull();
+    expect(estimated.trueScale).toBe(false);
+    expect(session.millimetresOf(tracked, 10)).toBe(50);
+    expect(session.toMillimetres(10)).toEqual({ dist_1: 50, dist_2: 20 });
+  });
+
+  it('takes the scene scale from marker-plane lengths when there are any', () => {
+    const session = new MeasurementSession();
+    expect(session.millimetresPerUnit(10)).toBe(10);
+
+    session.addPoint(new THREE.Vector3(0, 0, 0));
+    session.addPoint(new THREE.Vector3(2, 0, 0));
+    expect(session.millimetresPerUnit(10)).toBe(10);
+
+    session.addPoint(new THREE.Vector3(0, 0, 0), { x: 0, y: 0 });
+    session.addPoint(new THREE.Vector3(1, 0, 0), { x: 30, y: 40 });
+    session.addPoint(new THREE.Vector3(0, 0, 0), { x: 0, y: 0 });
+    session.addPoint(new THREE.Vector3(0, 3, 0), { x: 0, y: 110 });
+    expect(session.millimetresPerUnit(10)).toBe(40);
+  });
+
+  it('averages repeated samples of one measurement', () => {
+    const session = new MeasurementSession();
+    session.setSlots(['width']);
+    const width = measure(session, 0, 2);
+
+    session.repeat(width.id);
+    expect(session.getRepeating()).toBe(width);
+    expect(measure(session, 0, 2.2)).toBe(width);
+    session.repeat(width.id);
+    measure(session, 0, 2.4);
+
+    expect(session.measurements).toHaveLength(1);
+    expect(session.getRepeating()).toBeNull();
+    const stats = session.statsOf(width, 10);
+    expect(stats).toMatchObject({ count: 3, mean: 22, spread: 2 });
+    // Standard error of the mean: 2 / sqrt(3) = 1.15
+    expect(stats.uncertainty).toBe(1.2);
+    expect(session.toMillimetres(10)).toEqual({ width: 22 });
+  });
+
+  it('adds the per-sample error of the scale to the estimate', () => {
+    const session = new MeasurementSession();
+    const estimated = measure(session, 0, 5);
+    session.addPoint(new THREE.Vector3(0, 0, 0), { x: 0, y: 0 });
+    const tracked = session.addPoint(new THREE.Vector3(1, 0, 0), { x: 40, y: 0 });
+
+    // A single sample has no spread - its error is the scale's alone
+    expect(session.statsOf(estimated, 10, 0.2).uncertainty).toBe(10);
+    expect(session.statsOf(tracked, 10, 0.2).uncertainty).toBe(MEASUREMENT_UNCERTAINTY.marker_mm);
+    expect(session.toUncertainties(10, 0.03)).toEqual({ dist_1: 1.5, dist_2: 1 });
+  });
+
+  it('undoes repeated samples one at a time', () => {
+    const session = new MeasurementSession();
+    const first = measure(session, 0, 2);
+    session.repeat(first.id);
+    measure(session, 0, 4);
+    expect(first.value).toBe(3);
+
+    const undone = session.undo();
+    expect(undone.measurement).toBe(first);
+    expect(undone.sample.value).toBe(4);
+    expect(first.samples).toHaveLength(1);
+    expect(first.value).toBe(2);
+
+    expect(session.undo()).toEqual({ measurement: first });
+    expect(session.measurements).toEqual([]);
+    expect(session.undo()).toBeNull();
+  });
+
+  it('takes finished samples like a fitted diameter into the next slot', () => {
+    const session = new MeasurementSession();
+    session.setSlots(['inner_d']);
+    const overlay = { points: [], segments: [], path: [], closed: true };
+    const measurement = session.addSample({
+      type: 'diameter',
+      start: new THREE.Vector3(-0.3, 0, 0),
+      end: new THREE.Vector3(0.3, 0, 0),
+      value: 0.6,
+      trueValue: null,
+      overlay
+    });
+
+    expect(measurement).toMatchObject({ id: 'dia_1', label: 'inner_d', type: 'diameter' });
+    expect(measurement.samples[0].overlay).toBe(overlay);
+    expect(session.toMillimetres(10)).toEqual({ inner_d: 6 });
+  });
+
+  it('converts angles without the scale and areas with its square', () => {
+    const session = new MeasurementSession();
+    const at = new THREE.Vector3();
+    session.addSample({ type: 'angle', start: at, end: at, value: 90, trueValue: null });
+    session.addSample({ type: 'area', start: at, end: at, value: 2, trueValue: null });
+    session.addSample({ type: 'area', start: at, end: at, value: 2, trueValue: 150 });
+
+    expect(session.toMillimetres(10)).toEqual({ angle_1: 90, area_2: 200, area_3: 150 });
+  });
+
+  it('gives angles a fixed error and areas one that grows with their size', () => {
+    const session = new MeasurementSession();
+    const at = new THREE.Vector3();
+    const angle = session.addSample({ type: 'angle', start: at, end: at, value: 45, trueValue: null });
+    const area = session.addSample({ type: 'area', start: at, end: at, value: 4, trueValue: null });
+    const tracked = session.addSample({ type: 'area', start: at, end: at, value: 4, trueValue: 400 });
+
+    expect(session.statsOf(angle, 10, 0.2).uncertainty).toBe(MEASUREMENT_UNCERTAINTY.angle_deg);
+    // 400mm² at 3% scale error is 6% of the area
+    expect(session.statsOf(area, 10, 0.03).uncertainty).toBe(24);
+    // 20mm sides, each ±marker_mm
+    expect(session.statsOf(tracked, 10, 0.03).uncertainty).toBe(40 * MEASUREMENT_UNCERTAINTY.marker_mm);
+    // Only lengths have a ± in mm
+    expect(session.toUncertainties(10, 0.03)).toEqual({});
+  });
+
+  it('fills angle and area slots only with angles and areas', () => {
+    const session = new MeasurementSession();
+    session.setSlots(['gap_angle', 'outer_d', 'face_area']);
+    const at = new THREE.Vector3();
+
+    expect(session.getNextSlot()).toBe('gap_angle');
+    expect(session.getNextSlot('distance')).toBe('outer_d');
+    expect(measure(session, 0, 2).label).toBe('outer_d');
+    expect(session.addSample({ type: 'area', start: at, end: at, value: 1, trueValue: null }).label).toBe('face_area');
+    expect(session.addSample({ type: 'angle', start: at, end: at, value: 60, trueValue: null }).label).toBe('gap_angle');
+  });
+
+  it("won't repeat a measurement with a sample of another type", () => {
+    const session = new MeasurementSession();
+    const at = new THREE.Vector3();
+    const angle = session.addSample({ type: 'angle', start: at, end: at, value: 60, trueValue: null });
+    session.repeat(angle.id);
+
+    expect(() => measure(session, 0, 1)).toThrow(/angle/);
+    session.repeat(null);
+    expect(measure(session, 0, 1).type).toBe('distance');
+    expect(() => session.addSample({ type: 'volume', start: at, end: at, value: 1 })).toThrow(/Unknown/);
+  });
+
+  it('saves to plain data and restores from it', () => {
+    const session = new MeasurementSession();
+    session.setSlots(['width', 'inner_d']);
+    measure(session, 0, 2);
+    const repeated = measure(session, 5, 1);
+    session.repeat(repeated.id);
+    measure(session, 5, 1.2);
+    const at = new THREE.Vector3(1, 2, 3);
+    session.addSample({
+      type: 'diameter',
+      start: at,
+      end: at,
+      value: 0.5,
+      trueValue: 12,
+      overlay: { points: [at], segments: [[at, at]], path: [at], closed: true }
+    });
+
+    const data = JSON.parse(JSON.stringify(session.toJSON()));
+    const restored = MeasurementSession.fromJSON(data);
+
+    expect(restored.toMillimetres(10)).toEqual(session.toMillimetres(10));
+    expect(restored.measurements[1].samples).toHaveLength(2);
+    expect(restored.measurements[2].samples[0].overlay.segments[0][1]).toEqual(at);
+    expect(restored.getSelected().id).toBe(session.getSelected().id);
+    expect(restored.getOpenSlots()).toEqual([]);
+
+    // Undo and new ids carry on where they left off
+    expect(restored.undo().measurement.type).toBe('diameter');
+    expect(measure(restored, 0, 1).id).toBe('dist_4');
+  });
+
+  it('reads a sample without a trueValue as a scaled one', () => {
+    const session = new MeasurementSession();
+    measure(session, 0, 1);
+    const data = JSON.parse(JSON.stringify(session.toJSON()));
+    delete data.measurements[0].samples[0].trueValue;
+
+    const restored = MeasurementSession.fromJSON(data);
+    expect(restored.measurements[0].samples[0].trueValue).toBeNull();
+    expect(restored.toMillimetres(10)).toEqual(session.toMillimetres(10));
+  });
+
+  it('clears everything', () => {
+    const session = new MeasurementSession();
+    measure(session, 0, 1);
+    session.addPoint(new THREE.Vector3());
+    session.clear();
+
+    expect(session.measurements).toEqual([]);
+    expect(session.pendingPoint).toBeNull();
+    expect(session.getCenter()).toBeNull();
+    expect(measure(session, 0, 1).id).toBe('dist_1');
+  });
+});
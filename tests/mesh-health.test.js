@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { analyzeMesh, repairMesh, describeIssues, ensurePrintable } from '../src/mesh-health.js';
+import { generatePart } from '../src/part-generators.js';
+
+/**
+ * Box geometry with the triangles at the given face indices removed
+ */
+function boxWithout(faces) {
+  const geometry = new THREE.BoxGeometry(10, 10, 10).toNonIndexed();
+  const source = geometry.attributes.position.array;
+  const kept = [];
+  for (let face = 0; face < source.length / 9; face++) {
+    if (!faces.includes(face)) {
+      kept.push(...source.slice(face * 9, face * 9 + 9));
+    }
+  }
+  const result = new THREE.BufferGeometry();
+  result.setAttribute('position', new THREE.Float32BufferAttribute(kept, 3));
+  return result;
+}
+
+/**
+ * Swap the winding of the given triangles in a non-indexed geometry
+ */
+function flipFaces(geometry, faces) {
+  const p = geometry.attributes.position.array;
+  faces.forEach(face => {
+    for (let k = 0; k < 3; k++) {
+      const tmp = p[face * 9 + 3 + k];
+      p[face * 9 + 3 + k] = p[face * 9 + 6 + k];
+      p[face * 9 + 6 + k] = tmp;
+    }
+  });
+  return geometry;
+}
+
+describe('analyzeMesh', () => {
+  it('reports a closed box as printable', () => {
+    const report = analyzeMesh(new THREE.BoxGeometry(10, 20, 30));
+    expect(report.watertight).toBe(true);
+    expect(report.printable).toBe(true);
+    expect(report.volume).toBeCloseTo(6000, 3);
+    expect(describeIssues(report)).toEqual([]);
+  });
+
+  it('finds open edges and holes', () => {
+    const report = analyzeMesh(boxWithout([0, 1]));
+    expect(report.openEdges).toBe(4);
+    expect(report.holes).toBe(1);
+    expect(report.printable).toBe(false);
+    expect(describeIssues(report)[0]).toMatch(/4 open edges \(1 holes\)/);
+  });
+
+  it('finds flipped faces and inverted normals', () => {
+    const one = analyzeMesh(flipFaces(boxWithout([]), [3]));
+    expect(one.flippedFaces).toBe(1);
+    expect(one.printable).toBe(false);
+
+    const all = analyzeMesh(flipFaces(boxWithout([]), [...Array(12).keys()]));
+    expect(all.flippedFaces).toBe(0);
+    expect(all.invertedNormals).toBe(true);
+  });
+
+  it('finds self-intersecting triangles', () => {
+    const a = new THREE.BoxGeometry(10, 10, 10).toNonIndexed();
+    const b = new THREE.BoxGeometry(10, 10, 10).toNonIndexed();
+    b.translate(3, 4, 2);
+    const p = [...a.attributes.position.array, ...b.attributes.position.array];
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(p, 3));
+
+    expect(analyzeMesh(geometry).selfIntersections).toBeGreaterThan(0);
+  });
+});
+
+describe('repairMesh', () => {
+  it('fills holes and unifies orientation', () => {
+    const broken = flipFaces(boxWithout([0, 1]), [5]);
+    const { geometry, actions, report } = repairMesh(broken);
+
+    expect(report.printable).toBe(true);
+    expect(report.volume).toBeCloseTo(1000, 3);
+    expect(actions.some(action => action.startsWith('Filled'))).toBe(true);
+    expect(actions.some(action => action.startsWith('Flipped'))).toBe(true);
+    expect(geometry.index).toBeNull();
+    expect(geometry.attributes.normal).toBeDefined();
+  });
+
+  it('turns inverted normals outwards', () => {
+    const { actions, report } = repairMesh(flipFaces(boxWithout([]), [...Array(12).keys()]));
+    expect(actions).toContain('Inverted normals turned outwards');
+    expect(report.invertedNormals).toBe(false);
+  });
+
+  it('makes CSG parts with screw holes watertight', () => {
+    const part = generatePart('l_bracket', {
+      leg_a: 40,
+      leg_b: 60,
+      thickness: 3,
+      width: 20,
+      fillet: 4,
+      holes: [
+        { diameter: 4.5, offset_a: 10, offset_b: 10 },
+        { diameter: 4.5, offset_b: 40, countersink_d: 9 }
+      ]
+    });
+    const { report } = repairMesh(part.geometry);
+
+    expect(report.printable).toBe(true);
+    expect(report.volume).toBeGreaterThan(5000);
+  });
+});
+
+describe('ensurePrintable', () => {
+  it('leaves healthy meshes untouched', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 10, 10));
+    const geometry = mesh.geometry;
+    const health = ensurePrintable(mesh);
+
+    expect(health.printable).toBe(true);
+    expect(health.repaired).toBe(false);
+    expect(mesh.geometry).toBe(geometry);
+  });
+
+  it('swaps in the repaired geometry', () => {
+    const mesh = new THREE.Mesh(boxWithout([4]));
+    const health = ensurePrintable(mesh);
+
+    expect(health.printable).toBe(true);
+    expect(health.repaired).toBe(true);
+    expect(health.issues).toEqual([]);
+    expect(analyzeMesh(mesh.geometry).printable).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { findPrintOrientation, orientForPrinting } from '../src/orientation.js';
+import { analyzePrintability } from '../src/printability.js';
+import { generatePart } from '../src/part-generators.js';
+import { CONSTRAINTS } from '../src/config.js';
+
+function boundsOf(geometry) {
+  geometry.computeBoundingBox();
+  return geometry.boundingBox;
+}
+
+describe('findPrintOrientation', () => {
+  it('lays a box on its largest face', () => {
+    const { normal, contactArea, overhangArea } = findPrintOrientation(new THREE.BoxGeometry(10, 40, 20));
+    expect(Math.abs(normal.x)).toBeCloseTo(1, 5);
+    expect(contactArea).toBeCloseTo(800, 3);
+    expect(overhangArea).toBe(0);
+  });
+
+  it('lays a washer flat', () => {
+    const washer = generatePart('washer', { outer_d: 20, inner_d: 8, thickness: 2 });
+    const { normal, contactArea } = findPrintOrientation(washer.geometry);
+    expect(Math.abs(normal.y)).toBeCloseTo(1, 5);
+    expect(contactArea).toBeGreaterThan(250);
+  });
+
+  it('prefers the face with less overhang', () => {
+    // T shape: the crossbar's top is the largest face, but standing on the
+    // stem leaves the bar's underside overhanging
+    const stem = new THREE.BoxGeometry(4, 4, 20).toNonIndexed();
+    const bar = new THREE.BoxGeometry(30, 4, 4).toNonIndexed();
+    bar.translate(0, 0, 12);
+    const positions = [...stem.attributes.position.array, ...bar.attributes.position.array];
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+    const { normal, overhangArea } = findPrintOrientation(geometry);
+    expect(normal.z).not.toBeCloseTo(-1, 5);
+    expect(overhangArea).toBe(0);
+  });
+});
+
+describe('orientForPrinting', () => {
+  it('drops the part onto Z = 0 centred on the bed', () => {
+    const bracket = generatePart('l_bracket', { leg_a: 40, leg_b: 60, thickness: 3, width: 20 });
+    orientForPrinting(bracket, CONSTRAINTS);
+    const { min, max } = boundsOf(bracket.geometry);
+
+    expect(min.z).toBeCloseTo(0, 5);
+    expect((min.x + max.x) / 2).toBeCloseTo(CONSTRAINTS.bed_size.x / 2, 5);
+    expect((min.y + max.y) / 2).toBeCloseTo(CONSTRAINTS.bed_size.y / 2, 5);
+    expect(analyzePrintability(bracket.geometry).overhangs.area).toBe(0);
+  });
+
+  it('leaves the original geometry untouched', () => {
+    const washer = generatePart('washer', { outer_d: 20, inner_d: 8, thickness: 2 });
+    const original = washer.geometry;
+    const before = original.attributes.position.array.slice();
+
+    orientForPrinting(washer);
+    expect(washer.geometry).not.toBe(original);
+    expect(original.attributes.position.array).toEqual(before);
+    expect(boundsOf(washer.geometry).getSize(new THREE.Vector3()).z).toBeCloseTo(2, 4);
+  });
+
+  it('turns the part 90° when that is the only way it fits the bed', () => {
+    const bed = { x: 100, y: 40, z: 100 };
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 90, 30));
+    orientForPrinting(mesh, { ...CONSTRAINTS, bed_size: bed });
+    const size = boundsOf(mesh.geometry).getSize(new THREE.Vector3());
+
+    expect(size.x).toBeCloseTo(90, 4);
+    expect(size.y).toBeCloseTo(30, 4);
+    expect(size.z).toBeCloseTo(2, 4);
+  });
+});
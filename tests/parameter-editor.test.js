@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { editorFields, withParameter } from '../src/parameter-editor.js';
+import { PART_TYPES, PARAMETER_RANGES, HOLE_FIELDS } from '../src/config.js';
+
+describe('editorFields', () => {
+  it('lists required parameters before optional ones, holes separately', () => {
+    const { params, holes } = editorFields('l_bracket');
+
+    expect(params).toEqual([
+      { name: 'leg_a', required: true },
+      { name: 'leg_b', required: true },
+      { name: 'thickness', required: true },
+      { name: 'width', required: false },
+      { name: 'fillet', required: false }
+    ]);
+    expect(holes).toBe(HOLE_FIELDS.l_bracket);
+    expect(editorFields('washer').holes).toBeNull();
+  });
+
+  it('has a slider range for every parameter and hole field', () => {
+    Object.keys(PART_TYPES).forEach(partType => {
+      const { params, holes } = editorFields(partType);
+      params.forEach(({ name }) => expect(PARAMETER_RANGES[name], name).toBeDefined());
+      (holes ? holes.fields : []).forEach(field => expect(PARAMETER_RANGES[field], field).toBeDefined());
+    });
+  });
+});
+
+describe('withParameter', () => {
+  const params = { length: 50, width: 50, thickness: 3, holes: [{ diameter: 4, position_x: 10 }] };
+
+  it('changes one value in a copy', () => {
+    const changed = withParameter(params, 'thickness', 4);
+
+    expect(changed.thickness).toBe(4);
+    expect(params.thickness).toBe(3);
+    expect(changed.holes).not.toBe(params.holes);
+  });
+
+  it('reaches into holes', () => {
+    const changed = withParameter(params, 'holes.0.diameter', 5.5);
+
+    expect(changed.holes[0]).toEqual({ diameter: 5.5, position_x: 10 });
+    expect(params.holes[0].diameter).toBe(4);
+  });
+
+  it('removes a value left blank so the default applies', () => {
+    expect(withParameter(params, 'holes.0.position_x', undefined).holes[0]).toEqual({ diameter: 4 });
+  });
+});
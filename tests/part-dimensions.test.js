@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { partDimensions, boundingDimensions } from '../src/part-dimensions.js';
+import { generatePart } from '../src/part-generators.js';
+import { PART_TYPES } from '../src/config.js';
+
+const PARAMETERS = {
+  shim: { length: 30, width: 25, thickness: 2, chamfer: 0.5 },
+  washer: { outer_d: 20, inner_d: 8, thickness: 1.5 },
+  l_bracket: { leg_a: 40, leg_b: 60, thickness: 4, width: 20, fillet: 4 },
+  u_clamp: { width: 30, height: 25, depth: 15, thickness: 3 },
+  face_plate: { length: 80, width: 50, thickness: 3, holes: [{ diameter: 4, position_x: 30, position_y: 15 }] },
+  clip: { outer_d: 25, inner_d: 20, thickness: 3, gap_angle: 60 }
+};
+
+describe('partDimensions', () => {
+  it('has example parameters for every part type', () => {
+    expect(Object.keys(PARAMETERS)).toEqual(Object.keys(PART_TYPES));
+  });
+
+  Object.entries(PARAMETERS).forEach(([partType, parameters]) => {
+    it(`labels ${partType} parameters with lines of their length on the mesh`, () => {
+      const mesh = generatePart(partType, parameters);
+      mesh.geometry.computeBoundingBox();
+      // Facets of round parts fall a little inside the true circle
+      const box = mesh.geometry.boundingBox.clone().expandByScalar(0.25);
+
+      partDimensions(partType, parameters).forEach(({ param, value, label, start, end }) => {
+        expect(value, param).toBeCloseTo(parameters[param], 6);
+        expect(label).toBe(`${param} ${parameters[param]} mm`);
+        expect(box.containsPoint(new THREE.Vector3(...start)), `${param} start`).toBe(true);
+        expect(box.containsPoint(new THREE.Vector3(...end)), `${param} end`).toBe(true);
+      });
+    });
+  });
+
+  it('uses the generator default for a left-out width', () => {
+    const { leg_a, leg_b, thickness } = PARAMETERS.l_bracket;
+    const width = partDimensions('l_bracket', { leg_a, leg_b, thickness }).find(d => d.param === 'width');
+
+    expect(width.value).toBe(20);
+  });
+
+  it('rejects unknown part types', () => {
+    expect(() => partDimensions('spaceship', {})).toThrow(/Unknown part type/);
+  });
+});
+
+describe('boundingDimensions', () => {
+  it('gives the size along each axis, rounded to 0.1 mm in the label', () => {
+    const box = new THREE.Box3(new THREE.Vector3(-10, 0, -2.5), new THREE.Vector3(10, 12.34, 2.5));
+    const dimensions = boundingDimensions(box);
+
+    expect(dimensions.map(d => d.value)).toEqual([20, 12.34, 5]);
+    expect(dimensions.map(d => d.label)).toEqual(['X 20 mm', 'Y 12.3 mm', 'Z 5 mm']);
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { generatePart, validateParameters } from '../src/part-generators.js';
+import { PART_TYPES, CONSTRAINTS, AI_EXAMPLES } from '../src/config.js';
+
+/**
+ * Bounding box size of a mesh's geometry as [x, y, z]
+ */
+function sizeOf(mesh) {
+  mesh.geometry.computeBoundingBox();
+  const size = new THREE.Vector3();
+  mesh.geometry.boundingBox.getSize(size);
+  return size.toArray();
+}
+
+/**
+ * Enclosed volume via signed tetrahedra (positive for outward-facing triangles)
+ */
+function volumeOf(mesh) {
+  const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+  const p = geometry.attributes.position.array;
+  let volume = 0;
+  for (let i = 0; i < p.length; i += 9) {
+    volume += (
+      p[i] * (p[i + 4] * p[i + 8] - p[i + 5] * p[i + 7]) -
+      p[i + 1] * (p[i + 3] * p[i + 8] - p[i + 5] * p[i + 6]) +
+      p[i + 2] * (p[i + 3] * p[i + 7] - p[i + 4] * p[i + 6])
+    ) / 6;
+  }
+  return volume;
+}
+
+// Area factor of a 32-segment polygon relative to its circumscribed circle
+const SEGMENT_AREA = 16 * Math.sin(Math.PI / 16) / Math.PI;
+
+function expectSize(mesh, expected) {
+  sizeOf(mesh).forEach((value, axis) => {
+    expect(value).toBeCloseTo(expected[axis], 3);
+  });
+}
+
+describe('generatePart', () => {
+  it('sizes a shim to length × width × thickness', () => {
+    const params = { length: 30, width: 25, thickness: 2 };
+    expectSize(generatePart('shim', params), [30, 25, 2]);
+  });
+
+  it('keeps shim outer dimensions when chamfered', () => {
+    const plain = generatePart('shim', { length: 30, width: 25, thickness: 2 });
+    const chamfered = generatePart('shim', { length: 30, width: 25, thickness: 2, chamfer: 0.5 });
+    expectSize(chamfered, [30, 25, 2]);
+    expect(volumeOf(chamfered)).toBeLessThan(volumeOf(plain));
+  });
+
+  it('sizes a washer to its outer diameter and thickness', () => {
+    const mesh = generatePart('washer', { outer_d: 12, inner_d: 5.5, thickness: 2 });
+    expectSize(mesh, [12, 2, 12]);
+    const ring = Math.PI * (6 * 6 - 2.75 * 2.75) * 2;
+    expect(volumeOf(mesh)).toBeCloseTo(ring, -1);
+  });
+
+  it('sizes an L-bracket to width × leg_b × leg_a', () => {
+    const params = { leg_a: 40, leg_b: 60, thickness: 3, width: 20 };
+    const mesh = generatePart('l_bracket', params);
+    expectSize(mesh, [20, 60, 40]);
+    expect(volumeOf(mesh)).toBeCloseTo((40 * 3 + 57 * 3) * 20, 1);
+  });
+
+  it('keeps L-bracket outer dimensions with an inside fillet', () => {
+    const params = { leg_a: 40, leg_b: 60, thickness: 3, width: 20 };
+    const filleted = generatePart('l_bracket', { ...params, fillet: 4 });
+    expectSize(filleted, [20, 60, 40]);
+    // Fillet adds (r² - πr²/4) of profile area along the width
+    const added = (16 - Math.PI * 4) * 20;
+    expect(volumeOf(filleted) - volumeOf(generatePart('l_bracket', params))).toBeCloseTo(added, 0);
+  });
+
+  it('cuts L-bracket holes with countersinks', () => {
+    const params = { ...AI_EXAMPLES[1].response.parameters, fillet: 0 };
+    const solid = generatePart('l_bracket', { ...params, holes: [] });
+    const plain = generatePart('l_bracket', {
+      ...params,
+      holes: params.holes.map(({ countersink_d, ...hole }) => hole)
+    });
+    const countersunk = generatePart('l_bracket', params);
+
+    expectSize(countersunk, [20, 60, 40]);
+    const through = Math.PI * 2.25 * 2.25 * 3 * 2 * SEGMENT_AREA;
+    expect(volumeOf(solid) - volumeOf(plain)).toBeCloseTo(through, 0);
+    expect(volumeOf(countersunk)).toBeLessThan(volumeOf(plain));
+  });
+
+  it('sizes a U-clamp to width × height × depth', () => {
+    const params = { width: 30, height: 30, depth: 20, thickness: 3 };
+    const mesh = generatePart('u_clamp', params);
+    expectSize(mesh, [30, 30, 20]);
+    expect(volumeOf(mesh)).toBeCloseTo(30 * 30 * 20 - 24 * 27 * 20, 1);
+  });
+
+  it('cuts U-clamp holes through each wall', () => {
+    const params = { width: 30, height: 30, depth: 20, thickness: 3 };
+    const solid = volumeOf(generatePart('u_clamp', params));
+    const holes = ['base', 'left', 'right'].map(wall => ({ diameter: 4, wall }));
+    const drilled = volumeOf(generatePart('u_clamp', { ...params, holes }));
+    expect(solid - drilled).toBeCloseTo(Math.PI * 4 * 3 * 3 * SEGMENT_AREA, 1);
+  });
+
+  it('sizes a face plate to length × thickness × width', () => {
+    const params = {
+      length: 50,
+      width: 40,
+      thickness: 3,
+      holes: [{ diameter: 4, position_x: 15, position_y: 10 }]
+    };
+    const mesh = generatePart('face_plate', params);
+    expectSize(mesh, [50, 3, 40]);
+    expect(volumeOf(mesh)).toBeCloseTo(50 * 40 * 3 - Math.PI * 4 * 3, -1);
+  });
+
+  it('sizes a clip to its outer diameter and thickness', () => {
+    const mesh = generatePart('clip', { outer_d: 15, inner_d: 12, thickness: 2, gap_angle: 60 });
+    const [x, y, z] = sizeOf(mesh);
+    // Gap opens towards +X, so X spans from -r to r·cos(gap/2)
+    expect(x).toBeCloseTo(7.5 + 7.5 * Math.cos(Math.PI / 6), 3);
+    expect(y).toBeCloseTo(2, 3);
+    expect(z).toBeCloseTo(15, 1);
+  });
+
+  it('builds every archetype in PART_TYPES', () => {
+    const defaults = {
+      length: 30, width: 20, thickness: 2, outer_d: 15, inner_d: 8,
+      leg_a: 30, leg_b: 30, height: 20, depth: 10, gap_angle: 60
+    };
+    Object.entries(PART_TYPES).forEach(([type, info]) => {
+      const params = Object.fromEntries(info.requiredParams.map(key => [key, defaults[key]]));
+      const mesh = generatePart(type, params);
+      expect(mesh.geometry.attributes.position.count).toBeGreaterThan(0);
+      expect(volumeOf(mesh)).toBeGreaterThan(0);
+    });
+  });
+
+  it('rejects unknown part types', () => {
+    expect(() => generatePart('gear', {})).toThrow('Unknown part type: gear');
+  });
+});
+
+describe('validateParameters', () => {
+  const shim = { length: 30, width: 25, thickness: 2 };
+
+  it('accepts parameters within constraints', () => {
+    expect(validateParameters('shim', shim, CONSTRAINTS)).toEqual({ valid: true, errors: [], issues: [] });
+  });
+
+  it('enforces min_thickness', () => {
+    const result = validateParameters('shim', { ...shim, thickness: 0.5 }, CONSTRAINTS);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain(`Thickness must be >= ${CONSTRAINTS.min_thickness}mm`);
+  });
+
+  it('enforces min_hole_diameter', () => {
+    const params = { length: 50, width: 50, thickness: 3, holes: [{ diameter: 4 }, { diameter: 1.5 }] };
+    const result = validateParameters('face_plate', params, CONSTRAINTS);
+    expect(result.errors).toEqual([`Hole 2 diameter must be >= ${CONSTRAINTS.min_hole_diameter}mm`]);
+  });
+
+  it('enforces max_dimension on every numeric parameter', () => {
+    const result = validateParameters('shim', { ...shim, length: 250, width: 201 }, CONSTRAINTS);
+    expect(result.errors).toEqual([
+      `length exceeds max dimension ${CONSTRAINTS.max_dimension}mm`,
+      `width exceeds max dimension ${CONSTRAINTS.max_dimension}mm`
+    ]);
+  });
+
+  it('checks chamfer, fillet and counterbore fit the part', () => {
+    expect(validateParameters('shim', { ...shim, chamfer: 1 }, CONSTRAINTS).errors)
+      .toEqual(['Chamfer must be less than half the thickness']);
+
+    const bracket = { leg_a: 10, leg_b: 40, thickness: 3, fillet: 8 };
+    expect(validateParameters('l_bracket', bracket, CONSTRAINTS).errors)
+      .toEqual(['Fillet must be smaller than the inside length of each leg']);
+
+    const clamp = {
+      width: 30, height: 30, depth: 20, thickness: 3,
+      holes: [{ diameter: 4, counterbore_d: 8, counterbore_depth: 3 }]
+    };
+    expect(validateParameters('u_clamp', clamp, CONSTRAINTS).errors)
+      .toEqual(['Hole 1 counterbore must be shallower than thickness']);
+  });
+
+  it('rejects parameters that leave no solid part', () => {
+    const check = (partType, params) => validateParameters(partType, params, CONSTRAINTS).issues;
+
+    expect(check('washer', { outer_d: 10, inner_d: 10, thickness: 2 })).toEqual([
+      { param: 'inner_d', message: 'Inner diameter must be smaller than the outer diameter' }
+    ]);
+    expect(check('clip', { outer_d: 12, inner_d: 15, thickness: 2, gap_angle: 60 }).map(i => i.param)).toEqual(['inner_d']);
+    expect(check('u_clamp', { width: 6, height: 30, depth: 10, thickness: 3 })).toEqual([
+      { param: 'thickness', message: 'Thickness must be less than half the width' }
+    ]);
+    expect(check('u_clamp', { width: 30, height: 3, depth: 10, thickness: 3 })).toEqual([
+      { param: 'thickness', message: 'Thickness must be less than the height' }
+    ]);
+    expect(check('l_bracket', { leg_a: 40, leg_b: 5, thickness: 5 })).toEqual([
+      { param: 'thickness', message: 'Thickness must be less than the length of each leg' }
+    ]);
+
+    expect(check('washer', { outer_d: 10, inner_d: 9, thickness: 2 })).toEqual([]);
+    expect(check('u_clamp', { width: 7, height: 4, depth: 10, thickness: 3 })).toEqual([]);
+  });
+
+  it('says which parameter each problem is about', () => {
+    const params = { length: 250, width: 50, thickness: 0.5, holes: [{ diameter: 4 }, { diameter: 1 }] };
+    expect(validateParameters('face_plate', params, CONSTRAINTS).issues.map(issue => issue.param))
+      .toEqual(['thickness', 'holes.1.diameter', 'length']);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { restingPose, placePart, nudgeOffset } from '../src/part-placement.js';
+import { generatePart } from '../src/part-generators.js';
+
+/**
+ * Bounding box of a part placed in the scene at a given transform and scale
+ */
+function placedBounds(mesh, { position, quaternion }, unitsPerMm) {
+  mesh.position.copy(position);
+  mesh.quaternion.copy(quaternion);
+  mesh.scale.setScalar(unitsPerMm);
+  mesh.updateMatrixWorld();
+  return new THREE.Box3().setFromObject(mesh, true);
+}
+
+describe('restingPose', () => {
+  it('lays a shim on its largest face, half its thickness up', () => {
+    const shim = generatePart('shim', { length: 30, width: 20, thickness: 2 });
+    const { quaternion, height } = restingPose(shim.geometry);
+
+    expect(height).toBeCloseTo(1, 6);
+    // Either big face down - the thickness ends up along Z
+    expect(Math.abs(new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion).z)).toBeCloseTo(1, 6);
+  });
+});
+
+describe('placePart', () => {
+  const washer = () => generatePart('washer', { outer_d: 20, inner_d: 8, thickness: 2 });
+
+  it('sits a part on a floor at true size, centred over the anchor', () => {
+    const mesh = washer();
+    const anchor = new THREE.Vector3(1, 0.5, -2);
+    const placed = placePart({
+      pose: restingPose(mesh.geometry),
+      anchor,
+      normal: new THREE.Vector3(0, 1, 0),
+      offset: new THREE.Vector3(),
+      angle: 0,
+      unitsPerMm: 1 / 50
+    });
+    const box = placedBounds(mesh, placed, 1 / 50);
+    const size = box.getSize(new THREE.Vector3());
+
+    expect(box.min.y).toBeCloseTo(0.5, 6);
+    expect(size.y).toBeCloseTo(2 / 50, 6);
+    expect(size.x).toBeCloseTo(20 / 50, 3);
+    expect(box.getCenter(new THREE.Vector3()).x).toBeCloseTo(1, 3);
+  });
+
+  it('moves and turns the part on a surface facing the camera', () => {
+    const mesh = generatePart('shim', { length: 30, width: 10, thickness: 2 });
+    const placed = placePart({
+      pose: restingPose(mesh.geometry),
+      anchor: new THREE.Vector3(0, 0, 0),
+      normal: new THREE.Vector3(0, 0, 1),
+      offset: new THREE.Vector3(0.2, 0, 0),
+      angle: Math.PI / 2,
+      unitsPerMm: 1 / 10
+    });
+    const box = placedBounds(mesh, placed, 1 / 10);
+    const size = box.getSize(new THREE.Vector3());
+
+    expect(box.min.z).toBeCloseTo(0, 6);
+    expect(size.x).toBeCloseTo(1, 6);
+    expect(size.y).toBeCloseTo(3, 6);
+    expect(box.getCenter(new THREE.Vector3()).x).toBeCloseTo(0.2, 6);
+  });
+});
+
+describe('nudgeOffset', () => {
+  it('moves right and away from the viewer on a floor', () => {
+    const offset = nudgeOffset(
+      new THREE.Vector3(), new THREE.Vector3(0, 1, 0), new THREE.Vector3(1, 0, 0), 1, 2, 1 / 10
+    );
+    expect(offset.x).toBeCloseTo(0.1, 9);
+    expect(offset.y).toBeCloseTo(0, 9);
+    expect(offset.z).toBeCloseTo(-0.2, 9);
+  });
+
+  it('moves up the screen on a surface facing the camera', () => {
+    const start = new THREE.Vector3(1, 1, 0);
+    const offset = nudgeOffset(start, new THREE.Vector3(0, 0, 1), new THREE.Vector3(1, 0, 0), -1, 1, 1);
+
+    expect(offset.toArray()).toEqual([0, 2, 0]);
+    expect(start.toArray()).toEqual([1, 1, 0]);
+  });
+});
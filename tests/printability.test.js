@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { analyzePrintability, analyzeAsPrinted, describePrintability, createPrintabilityHighlight } from '../src/printability.js';
+import { generatePart } from '../src/part-generators.js';
+import { CONSTRAINTS } from '../src/config.js';
+
+describe('analyzePrintability', () => {
+  it('passes a plain shim lying flat', () => {
+    const part = generatePart('shim', { length: 30, width: 25, thickness: 2 });
+    const report = analyzePrintability(part.geometry, CONSTRAINTS);
+
+    expect(report.printable).toBe(true);
+    expect(report.warnings).toEqual([]);
+    expect(report.thinWalls.thinnest).toBeCloseTo(2, 3);
+    expect(report.bedFit.fits).toBe(true);
+  });
+
+  it('flags walls thinner than min_thickness', () => {
+    const part = generatePart('shim', { length: 30, width: 25, thickness: 0.6 });
+    const report = analyzePrintability(part.geometry, CONSTRAINTS);
+
+    expect(report.thinWalls.faces.length).toBeGreaterThan(0);
+    expect(report.thinWalls.area).toBeGreaterThan(1400);
+    expect(report.tinyFeatures.faces).toEqual([]);
+    expect(report.warnings.join()).toMatch(/thinner than 0.8mm/);
+  });
+
+  it('flags features below nozzle width as unprintable', () => {
+    const report = analyzePrintability(new THREE.BoxGeometry(20, 20, 0.2), CONSTRAINTS);
+
+    expect(report.tinyFeatures.faces.length).toBeGreaterThan(0);
+    expect(report.printable).toBe(false);
+  });
+
+  it('finds overhangs above the bed but not the face resting on it', () => {
+    // Box on the bed with a second box cantilevered off its top
+    const base = new THREE.BoxGeometry(10, 10, 10).toNonIndexed();
+    const arm = new THREE.BoxGeometry(20, 10, 2).toNonIndexed();
+    arm.translate(15, 0, 6);
+    const positions = [...base.attributes.position.array, ...arm.attributes.position.array];
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+    const report = analyzePrintability(geometry, CONSTRAINTS);
+    expect(report.overhangs.area).toBeCloseTo(200, 3);
+    expect(report.printable).toBe(true);
+  });
+
+  it('respects the configured overhang angle', () => {
+    // Cone widening upwards - its sides lean out 26.6° from vertical
+    const wedge = new THREE.CylinderGeometry(5, 10, 10, 32);
+    wedge.rotateX(-Math.PI / 2);
+    const strict = analyzePrintability(wedge, { ...CONSTRAINTS, max_overhang_angle: 10 });
+    const relaxed = analyzePrintability(wedge, { ...CONSTRAINTS, max_overhang_angle: 80 });
+
+    expect(strict.overhangs.area).toBeGreaterThan(0);
+    expect(relaxed.overhangs.area).toBe(0);
+  });
+
+  it('checks bed fit, allowing a 90° turn', () => {
+    const bed = { x: 100, y: 50, z: 50 };
+    const long = analyzePrintability(new THREE.BoxGeometry(90, 10, 10), { ...CONSTRAINTS, bed_size: bed });
+    const turned = analyzePrintability(new THREE.BoxGeometry(10, 90, 10), { ...CONSTRAINTS, bed_size: bed });
+    const tall = analyzePrintability(new THREE.BoxGeometry(10, 10, 60), { ...CONSTRAINTS, bed_size: bed });
+
+    expect(long.bedFit).toMatchObject({ fits: true, rotate: false });
+    expect(turned.bedFit).toMatchObject({ fits: true, rotate: true });
+    expect(tall.bedFit.fits).toBe(false);
+    expect(describePrintability(tall)[0]).toMatch(/doesn't fit the 100×50×50mm bed/);
+  });
+});
+
+describe('analyzeAsPrinted', () => {
+  it('checks parts laid flat, as they are exported', () => {
+    const washer = generatePart('washer', { outer_d: 20, inner_d: 8, thickness: 1.5 }).geometry;
+    const bracket = generatePart('l_bracket', { leg_a: 40, leg_b: 60, thickness: 4, width: 20 }).geometry;
+
+    // As generated they stand on edge and overhang
+    expect(analyzePrintability(washer).overhangs.area).toBeGreaterThan(0);
+    expect(analyzePrintability(bracket).overhangs.area).toBeGreaterThan(0);
+    expect(analyzeAsPrinted(washer).overhangs.area).toBe(0);
+    expect(analyzeAsPrinted(bracket).overhangs.area).toBe(0);
+  });
+
+  it('indexes the faces of the unoriented geometry, which it leaves alone', () => {
+    const geometry = new THREE.BoxGeometry(0.5, 20, 20);
+    const before = geometry.attributes.position.array.slice();
+    const report = analyzeAsPrinted(geometry);
+
+    expect(report.thinWalls.faces).toEqual(analyzePrintability(geometry).thinWalls.faces);
+    expect(geometry.attributes.position.array).toEqual(before);
+  });
+});
+
+describe('createPrintabilityHighlight', () => {
+  it('returns null when there is nothing to show', () => {
+    const geometry = new THREE.BoxGeometry(10, 10, 10);
+    expect(createPrintabilityHighlight(geometry, analyzePrintability(geometry))).toBeNull();
+  });
+
+  it('copies each problem face once', () => {
+    const geometry = new THREE.BoxGeometry(20, 20, 0.5);
+    const report = analyzePrintability(geometry);
+    const highlight = createPrintabilityHighlight(geometry, report);
+
+    expect(highlight.name).toBe('printability_highlight');
+    expect(highlight.geometry.attributes.position.count).toBe(report.thinWalls.faces.length * 3);
+    expect(highlight.geometry.attributes.color.count).toBe(highlight.geometry.attributes.position.count);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import {
+  createBundle,
+  parseBundle,
+  migrateBundle,
+  validateBundle,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION
+} from '../src/project-bundle.js';
+import { MeasurementSession } from '../src/measurement-session.js';
+
+const example = name => JSON.parse(readFileSync(new URL(`../examples/${name}`, import.meta.url), 'utf8'));
+
+/**
+ * Project fields as RepairPartGenerator saves them, with two measurements
+ */
+function project() {
+  const session = new MeasurementSession();
+  session.setSlots(['leg_a', 'leg_b']);
+  session.addPoint(new THREE.Vector3(0, 0, 0));
+  session.addPoint(new THREE.Vector3(0.8, 0, 0));
+  session.addPoint(new THREE.Vector3(0, 0, 0), { x: 0, y: 0 });
+  session.addPoint(new THREE.Vector3(1.2, 0, 0), { x: 60, y: 0 });
+
+  return {
+    name: 'Shelf bracket',
+    partType: 'l_bracket',
+    session: session.toJSON(),
+    scale: { mode: 'calibrated', calibrated: { factor: 50, name: 'Calibrated', description: 'Credit card = 85.6mm' } },
+    spec: example('shelf-bracket.json'),
+    recipe: null,
+    notes: 'Clearance for M4 screws',
+    thumbnail: 'data:image/jpeg;base64,AAAA'
+  };
+}
+
+describe('project bundles', () => {
+  it('exports a versioned bundle with calibration and material settings', () => {
+    const bundle = createBundle(project(), new Date('2026-01-02T03:04:05Z'));
+
+    expect(bundle).toMatchObject({
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      name: 'Shelf bracket',
+      exported: '2026-01-02T03:04:05.000Z',
+      part_type: 'l_bracket',
+      scale: { mode: 'calibrated', calibrated: { factor: 50 } },
+      material: { suggested: 'PETG', infill: 40, perimeters: 4 }
+    });
+    expect(validateBundle(bundle)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('round-trips through JSON to the same project and measurements', () => {
+    const original = project();
+    const file = JSON.stringify(createBundle(original));
+    const imported = parseBundle(file);
+
+    expect(imported).toEqual(original);
+    const session = MeasurementSession.fromJSON(imported.session);
+    expect(session.toMillimetres(50)).toEqual({ leg_a: 40, leg_b: 60 });
+  });
+
+  it('prints imported specs with the bundle\'s material settings', () => {
+    const bundle = createBundle(project());
+    bundle.material = { suggested: 'ASA', infill: 60, perimeters: 5 };
+
+    expect(parseBundle(bundle).spec.material).toEqual({ suggested: 'ASA', infill: 60, perimeters: 5 });
+  });
+
+  it('migrates unversioned part specs and recipes to the current version', () => {
+    const fromSpec = migrateBundle(example('shelf-bracket.json'));
+    expect(fromSpec).toMatchObject({
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      name: 'L-Bracket',
+      part_type: 'l_bracket',
+      recipe: null,
+      material: { suggested: 'PETG' },
+      notes: 'Clearance for M4 screws; fillets to reduce stress'
+    });
+    expect(fromSpec.measurements.measurements).toEqual([]);
+
+    const fromRecipe = parseBundle(JSON.stringify(example('bottle-lid.json')));
+    expect(fromRecipe).toMatchObject({ name: 'Screw-on water bottle lid', partType: null, spec: null });
+    expect(fromRecipe.recipe.steps.length).toBeGreaterThan(0);
+  });
+
+  it('rejects other files, newer versions and bad JSON', () => {
+    expect(() => parseBundle('{nope')).toThrow(/not valid JSON/);
+    expect(() => parseBundle('[]')).toThrow(/JSON object/);
+    expect(() => parseBundle({ hello: 'world' })).toThrow(/Not a project file/);
+    expect(() => parseBundle({ format: 'something-else', version: 1 })).toThrow(/Not an AR Repair project/);
+    expect(() => parseBundle({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION + 1 })).toThrow(/newer app/);
+    expect(() => parseBundle({ format: BUNDLE_FORMAT })).toThrow(/Unknown project file version/);
+  });
+
+  it('lists every schema problem', () => {
+    const bundle = createBundle(project());
+    bundle.part_type = 'spaceship';
+    bundle.measurements.measurements[0].type = 'volume';
+    bundle.measurements.measurements[1].samples[0].start = [0, 0];
+    bundle.scale.calibrated.factor = -1;
+    bundle.material.infill = 'lots';
+
+    const { valid, errors } = validateBundle(bundle);
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'unknown part_type: spaceship',
+      'measurement 1 has unknown type: volume',
+      'measurement 1 sample 1 is malformed',
+      'measurement 2 sample 1 is malformed',
+      'scale.calibrated needs a positive factor',
+      'material must have a string suggested and numeric infill/perimeters'
+    ]);
+    expect(() => parseBundle(bundle)).toThrow(/Invalid project file: unknown part_type/);
+  });
+
+  it('needs every sample to say whether it has a true-scale value', () => {
+    const bundle = createBundle(project());
+    delete bundle.measurements.measurements[0].samples[0].trueValue;
+
+    expect(validateBundle(bundle).errors).toEqual(['measurement 1 sample 1 is malformed']);
+  });
+
+  it('only takes base64 image data URLs as thumbnails', () => {
+    const bundle = createBundle(project());
+    expect(validateBundle(bundle).valid).toBe(true);
+
+    for (const thumbnail of ['data:image/png" onerror="alert(3)', 'data:image/svg+xml;base64,PHN2Zz4=', 'javascript:alert(1)']) {
+      expect(validateBundle({ ...bundle, thumbnail }).errors).toEqual(['thumbnail must be a base64 PNG, JPEG or WebP data URL']);
+    }
+  });
+
+  it('turns away a hostile bundle with markup in its names and recipe', () => {
+    const markup = '<img src=x onerror=alert(1)>';
+    const bundle = createBundle({ ...project(), recipe: example('bottle-lid.json') });
+    bundle.measurements.measurements[0].label = markup;
+    bundle.measurements.slots = [markup];
+    bundle.recipe.description = 42;
+    bundle.recipe.steps[0] = { ...bundle.recipe.steps[0], shape: markup, operation: 'explode' };
+
+    expect(validateBundle(bundle).errors).toEqual([
+      'measurement 1 needs an id and label of letters, digits and _',
+      'measurement slots must be names of letters, digits and _',
+      'recipe must be an object with a string description'
+    ]);
+
+    bundle.recipe.description = markup; // Shown escaped
+    expect(validateBundle(bundle).errors.slice(2)).toEqual([
+      `recipe: Step 0 has unknown shape: ${markup}`,
+      'recipe: Step 0 has unknown operation: explode'
+    ]);
+    expect(() => parseBundle(JSON.stringify(bundle))).toThrow(/Invalid project file/);
+  });
+
+  it('checks recipe steps the way they are checked before a run', () => {
+    const bundle = migrateBundle(example('bottle-lid.json'));
+    bundle.recipe.steps[1] = { id: 2, operation: 'subtract', params: { diameter: 26, height: 13 } };
+    bundle.recipe.steps.push(null);
+
+    expect(validateBundle(bundle).errors).toEqual([
+      'recipe: Step 1 missing shape',
+      `recipe: Step ${bundle.recipe.steps.length - 1} is not an object`
+    ]);
+    expect(validateBundle({ ...bundle, recipe: { steps: [] } }).errors).toEqual([
+      'recipe: Recipe must have at least one step'
+    ]);
+    expect(() => parseBundle({ description: 'Lid', steps: [{ shape: 'box' }] })).toThrow(/recipe: Step 0 missing id/);
+  });
+});
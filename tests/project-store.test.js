@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { ProjectStore, loadCurrentProjectId, saveCurrentProjectId } from '../src/project-store.js';
+
+/**
+ * In-memory stand-in for IndexedDB - just the requests ProjectStore makes.
+ * Values are structured-cloned in and out like the real thing.
+ */
+function memoryIndexedDB() {
+  const stores = new Map();
+
+  // Requests succeed, then their transaction completes, asynchronously
+  const respond = (request, transaction, work) => {
+    setTimeout(() => {
+      request.result = work();
+      if (request.onsuccess) request.onsuccess();
+      if (transaction && transaction.oncomplete) transaction.oncomplete();
+    });
+    return request;
+  };
+
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: (name, { keyPath }) => stores.set(name, { keyPath, records: new Map() }),
+    transaction(name) {
+      const { keyPath, records } = stores.get(name);
+      const transaction = {
+        objectStore: () => ({
+          put: value => respond({}, transaction, () => records.set(value[keyPath], structuredClone(value)) && value[keyPath]),
+          get: key => respond({}, transaction, () => structuredClone(records.get(key))),
+          getAll: () => respond({}, transaction, () => [...records.values()].map(value => structuredClone(value))),
+          delete: key => respond({}, transaction, () => { records.delete(key); })
+        })
+      };
+      return transaction;
+    }
+  };
+
+  return {
+    open() {
+      const request = {};
+      setTimeout(() => {
+        request.result = db;
+        if (request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const session = { measurements: [{ id: 'dist_1', label: 'width', type: 'distance', samples: [] }] };
+
+describe('ProjectStore', () => {
+  it('saves new projects with an id and reopens them', async () => {
+    const store = new ProjectStore(memoryIndexedDB());
+    const saved = await store.save({ name: 'Shelf bracket', partType: 'l_bracket', session }, 1000);
+
+    expect(saved.id).toMatch(/^project_/);
+    expect(saved).toMatchObject({ created: 1000, updated: 1000 });
+    expect(await store.get(saved.id)).toEqual(saved);
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  it('updates a project in place, keeping when it was created', async () => {
+    const store = new ProjectStore(memoryIndexedDB());
+    const saved = await store.save({ session }, 1000);
+    const updated = await store.save({ ...saved, notes: 'Use PETG' }, 2000);
+
+    expect(updated).toMatchObject({ id: saved.id, name: 'Untitled', created: 1000, updated: 2000, notes: 'Use PETG' });
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  it('lists projects newest first, without their sessions', async () => {
+    const store = new ProjectStore(memoryIndexedDB());
+    await store.save({ name: 'Old', session }, 1000);
+    await store.save({ name: 'New', session: { measurements: [] } }, 3000);
+
+    const list = await store.list();
+    expect(list.map(p => p.name)).toEqual(['New', 'Old']);
+    expect(list[1]).toMatchObject({ measurementCount: 1 });
+    expect(list[1].session).toBeUndefined();
+  });
+
+  it('duplicates and deletes projects', async () => {
+    const store = new ProjectStore(memoryIndexedDB());
+    const original = await store.save({ name: 'Washer', session }, 1000);
+    const copy = await store.duplicate(original.id, 2000);
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy).toMatchObject({ name: 'Washer (copy)', created: 2000, session });
+
+    await store.delete(original.id);
+    expect((await store.list()).map(p => p.id)).toEqual([copy.id]);
+    await expect(store.duplicate(original.id)).rejects.toThrow(/Unknown project/);
+  });
+
+  it('explains when IndexedDB is missing', async () => {
+    await expect(new ProjectStore(null).list()).rejects.toThrow(/IndexedDB/);
+  });
+
+  it('remembers the open project across reloads', () => {
+    const storage = memoryStorage();
+    expect(loadCurrentProjectId(storage)).toBeNull();
+
+    saveCurrentProjectId('project_1', storage);
+    expect(loadCurrentProjectId(storage)).toBe('project_1');
+
+    saveCurrentProjectId(null, storage);
+    expect(loadCurrentProjectId(storage)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { OpenSCADExporter } from '../src/scad-exporter.js';
+import { EXAMPLE_RECIPES } from '../src/shape-recipe.js';
+import { PART_TYPES, AI_EXAMPLES } from '../src/config.js';
+
+function expectBalanced(source) {
+  for (const [open, close] of [['{', '}'], ['(', ')'], ['[', ']']]) {
+    expect(source.split(open).length).toBe(source.split(close).length);
+  }
+}
+
+describe('OpenSCADExporter', () => {
+  const exporter = new OpenSCADExporter();
+
+  it('exports every archetype with editable parameters', () => {
+    const defaults = {
+      length: 30, width: 20, thickness: 2, outer_d: 15, inner_d: 8,
+      leg_a: 30, leg_b: 30, height: 20, depth: 10, gap_angle: 60
+    };
+
+    Object.entries(PART_TYPES).forEach(([type, info]) => {
+      const params = Object.fromEntries(info.requiredParams.map(key => [key, defaults[key]]));
+      const source = exporter.exportPart(type, params);
+
+      expect(source).toContain(`// AR Repair Generator - ${info.name}`);
+      info.requiredParams.forEach(key => {
+        expect(source).toContain(`${key} = ${defaults[key]};`);
+      });
+      expectBalanced(source);
+    });
+  });
+
+  it('drills bracket holes with countersinks', () => {
+    const spec = AI_EXAMPLES[1].response;
+    const source = exporter.exportPart(spec.part_type, spec.parameters, { material: 'PETG' });
+
+    expect(source).toContain('// Material: PETG');
+    expect(source).toContain('fillet = 4;');
+    expect(source).toContain('translate([thickness, 10, 10]) rotate([0, 90, 0]) screw_hole(4.5, thickness, 9, 0, 0, 90);');
+    expect(source).toContain('translate([thickness, 30, 10]) rotate([0, 90, 0]) screw_hole(4.5, thickness, 9, 0, 0, 90);');
+  });
+
+  it('sinks countersinks at their angle, no deeper than the wall, like the generator', () => {
+    const spec = AI_EXAMPLES[1].response;
+    const holes = spec.parameters.holes.map(hole => ({ ...hole, countersink_angle: 82 }));
+    const source = exporter.exportPart(spec.part_type, { ...spec.parameters, thickness: 1.5, holes });
+
+    expect(source).toContain('screw_hole(4.5, thickness, 9, 0, 0, 82);');
+    expect(source).toContain('sink = min((countersink_d - d) / 2 / tan(countersink_angle / 2), depth);');
+    expect(source).toContain('bore = min(counterbore_depth, depth);');
+  });
+
+  it('places face plate holes from the plate centre', () => {
+    const source = exporter.exportPart('face_plate', {
+      length: 50, width: 40, thickness: 3,
+      holes: [{ diameter: 4, position_x: 15, position_y: -10 }]
+    });
+    expect(source).toContain('translate([15, -10, 0]) cylinder(h = thickness + 1, d = 4, center = true);');
+  });
+
+  it('maps recipe operations to OpenSCAD booleans', () => {
+    const source = exporter.exportRecipe(EXAMPLE_RECIPES.water_bottle_lid);
+
+    // add, subtract, add → union(difference(body, cavity), seal)
+    expect(source).toMatch(/union\(\) \{\n\s+difference\(\) \{/);
+    expect(source).toContain('translate([0, 1.5, 0]) rotate([-90, 0, 0]) cylinder(h = 12, d = 27.7, center = true);');
+    expect(source).toContain('// 3. Top seal');
+    expectBalanced(source);
+  });
+
+  it('groups consecutive operations and handles intersect', () => {
+    const source = exporter.exportRecipe({
+      description: 'Test',
+      steps: [
+        { id: 1, operation: 'add', shape: 'box', params: { length: 10, width: 10, height: 10 } },
+        { id: 2, operation: 'subtract', shape: 'sphere', params: { diameter: 4 }, position: [5, 0, 0] },
+        { id: 3, operation: 'subtract', shape: 'sphere', params: { diameter: 4 }, position: [-5, 0, 0] },
+        { id: 4, operation: 'intersect', shape: 'cone', params: { top_d: 2, bottom_d: 12, height: 10 } }
+      ]
+    });
+
+    expect(source.match(/difference\(\)/g)).toHaveLength(1);
+    expect(source).toContain('intersection() {');
+    expect(source).toContain('cylinder(h = 10, d1 = 12, d2 = 2, center = true);');
+    expectBalanced(source);
+  });
+
+  it('rejects unknown parts and operations', () => {
+    expect(() => exporter.exportPart('gear', {})).toThrow('Unknown part type: gear');
+    expect(() => exporter.exportRecipe({
+      steps: [
+        { id: 1, operation: 'add', shape: 'sphere', params: { diameter: 4 } },
+        { id: 2, operation: 'melt', shape: 'sphere', params: { diameter: 4 } }
+      ]
+    })).toThrow('Unknown operation: melt');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { ShapeRecipeEngine, EXAMPLE_RECIPES } from '../src/shape-recipe.js';
+
+describe('ShapeRecipeEngine', () => {
+  const engine = new ShapeRecipeEngine();
+
+  it.each(Object.entries(EXAMPLE_RECIPES))('executes the %s example', async (name, recipe) => {
+    expect(engine.validateRecipe(recipe)).toEqual({ valid: true, errors: [] });
+
+    const mesh = await engine.executeRecipe(recipe);
+    expect(mesh).toBeInstanceOf(THREE.Mesh);
+    expect(mesh.geometry.attributes.position.count).toBeGreaterThan(0);
+  });
+
+  it('sizes primitives from their params', () => {
+    const box = engine.createPrimitive('box', { length: 10, width: 6, height: 4 });
+    box.computeBoundingBox();
+    expect(box.boundingBox.getSize(new THREE.Vector3()).toArray()).toEqual([10, 4, 6]);
+
+    const cylinder = engine.createPrimitive('cylinder', { diameter: 20, height: 5 });
+    cylinder.computeBoundingBox();
+    const size = cylinder.boundingBox.getSize(new THREE.Vector3());
+    expect(size.x).toBeCloseTo(20, 5);
+    expect(size.y).toBeCloseTo(5, 5);
+  });
+
+  it('subtracts later steps from the first', async () => {
+    const recipe = {
+      steps: [
+        { id: 1, operation: 'add', shape: 'box', params: { length: 20, width: 20, height: 20 } },
+        { id: 2, operation: 'subtract', shape: 'box', params: { length: 20, width: 20, height: 20 }, position: [10, 0, 0] }
+      ]
+    };
+    const mesh = await engine.executeRecipe(recipe);
+    mesh.geometry.computeBoundingBox();
+    expect(mesh.geometry.boundingBox.max.x).toBeCloseTo(0, 5);
+    expect(mesh.geometry.boundingBox.min.x).toBeCloseTo(-10, 5);
+  });
+
+  it('rejects unknown shapes and operations', async () => {
+    expect(() => engine.createPrimitive('prism', {})).toThrow('Unknown shape type: prism');
+
+    const recipe = {
+      steps: [
+        { id: 1, operation: 'add', shape: 'sphere', params: { diameter: 10 } },
+        { id: 2, operation: 'melt', shape: 'sphere', params: { diameter: 5 } }
+      ]
+    };
+    await expect(engine.executeRecipe(recipe)).rejects.toThrow('Unknown operation: melt');
+    await expect(engine.executeRecipe({ steps: [] })).rejects.toThrow('Recipe has no steps');
+  });
+
+  it('reports missing step fields', () => {
+    expect(engine.validateRecipe({}).errors).toEqual(['Recipe must have a steps array']);
+    expect(engine.validateRecipe({ steps: [] }).errors).toEqual(['Recipe must have at least one step']);
+    expect(engine.validateRecipe({ steps: [{ shape: 'box' }] }).errors).toEqual([
+      'Step 0 missing id',
+      'Step 0 missing operation',
+      'Step 0 missing params'
+    ]);
+    expect(engine.validateRecipe({ steps: [{ id: 1, shape: 'blob', operation: 'melt', params: {} }] }).errors).toEqual([
+      'Step 0 has unknown shape: blob',
+      'Step 0 has unknown operation: melt'
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { STLExporter, prepareMeshForExport } from '../src/stl-exporter.js';
+import { generatePart } from '../src/part-generators.js';
+
+/**
+ * Minimal binary STL reader
+ * @returns {{header: string, triangles: Array<{normal: number[], vertices: number[][]}>}}
+ */
+function parseBinarySTL(buffer) {
+  const view = new DataView(buffer);
+  const header = String.fromCharCode(...new Uint8Array(buffer, 0, 80)).replace(/\0+$/, '');
+  const count = view.getUint32(80, true);
+  const triangles = [];
+
+  let offset = 84;
+  for (let i = 0; i < count; i++) {
+    const floats = [];
+    for (let j = 0; j < 12; j++) {
+      floats.push(view.getFloat32(offset + j * 4, true));
+    }
+    triangles.push({
+      normal: floats.slice(0, 3),
+      vertices: [floats.slice(3, 6), floats.slice(6, 9), floats.slice(9, 12)]
+    });
+    offset += 50;
+  }
+
+  return { header, triangles };
+}
+
+describe('STLExporter', () => {
+  const exporter = new STLExporter();
+
+  it('writes indexed geometry with the right triangle count and byte length', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 20, 30));
+    const buffer = exporter.exportBinary(mesh);
+    const { header, triangles } = parseBinarySTL(buffer);
+
+    expect(header).toBe('STL Binary exported from AR Repair Generator');
+    expect(triangles).toHaveLength(12);
+    expect(buffer.byteLength).toBe(84 + 12 * 50);
+  });
+
+  it('round-trips generated part vertices through binary STL', () => {
+    const mesh = prepareMeshForExport(generatePart('shim', { length: 30, width: 25, thickness: 2, chamfer: 0.5 }));
+    const positions = mesh.geometry.attributes.position;
+    const buffer = exporter.exportBinary(mesh);
+    const { triangles } = parseBinarySTL(buffer);
+
+    expect(triangles).toHaveLength(positions.count / 3);
+    expect(buffer.byteLength).toBe(84 + triangles.length * 50);
+
+    triangles.forEach((triangle, i) => {
+      triangle.vertices.forEach((vertex, j) => {
+        expect(vertex[0]).toBeCloseTo(positions.getX(i * 3 + j), 4);
+        expect(vertex[1]).toBeCloseTo(positions.getY(i * 3 + j), 4);
+        expect(vertex[2]).toBeCloseTo(positions.getZ(i * 3 + j), 4);
+      });
+      expect(Math.hypot(...triangle.normal)).toBeCloseTo(1, 4);
+    });
+  });
+
+  it('applies the mesh world transform', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2));
+    mesh.position.set(100, 0, 0);
+    mesh.updateMatrixWorld(true);
+    const { triangles } = parseBinarySTL(exporter.exportBinary(mesh));
+    const xs = triangles.flatMap(t => t.vertices.map(v => v[0]));
+    expect(Math.min(...xs)).toBeCloseTo(99, 5);
+    expect(Math.max(...xs)).toBeCloseTo(101, 5);
+  });
+
+  it('writes matching ASCII output', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 20, 30));
+    const ascii = exporter.exportASCII(mesh);
+    expect(ascii.startsWith('solid exported\n')).toBe(true);
+    expect(ascii.trimEnd().endsWith('endsolid exported')).toBe(true);
+    expect(ascii.match(/facet normal/g)).toHaveLength(12);
+  });
+});
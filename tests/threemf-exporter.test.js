@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { ThreeMFExporter, printSettingsFromSpec } from '../src/threemf-exporter.js';
+import { AI_EXAMPLES } from '../src/config.js';
+
+/**
+ * Read an uncompressed ZIP into { name: text }
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034B50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength + extraLength;
+    files[name] = decoder.decode(bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+
+  expect(view.getUint32(offset, true)).toBe(0x02014B50);
+  return files;
+}
+
+describe('ThreeMFExporter', () => {
+  const exporter = new ThreeMFExporter();
+  const spec = AI_EXAMPLES[1].response;
+
+  it('packages the model, relationships and content types', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 20, 30));
+    const files = readZip(exporter.export(mesh, printSettingsFromSpec(spec, 'shelf_bracket')));
+
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      '3D/3dmodel.model',
+      'Metadata/Slic3r_PE.config'
+    ]);
+    expect(files['_rels/.rels']).toContain('Target="/3D/3dmodel.model"');
+  });
+
+  it('welds the mesh in millimetres', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 20, 30).toNonIndexed());
+    const model = readZip(exporter.export(mesh))['3D/3dmodel.model'];
+
+    expect(model).toContain('unit="millimeter"');
+    expect(model.match(/<vertex /g)).toHaveLength(8);
+    expect(model.match(/<triangle /g)).toHaveLength(12);
+    expect(model).toContain('<vertex x="5" y="10" z="15"/>');
+  });
+
+  it('embeds material, infill and perimeters for slicers', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 20, 30));
+    const files = readZip(exporter.export(mesh, printSettingsFromSpec(spec, 'shelf_bracket')));
+    const model = files['3D/3dmodel.model'];
+
+    expect(model).toContain('<metadata name="Title">shelf_bracket</metadata>');
+    expect(model).toContain('<object id="1" name="shelf_bracket" type="model">');
+    expect(model).toContain('<metadata name="arrepair:material">PETG</metadata>');
+    expect(model).toContain('<metadata name="cura:infill_sparse_density" preserve="1">40</metadata>');
+    expect(model).toContain('<metadata name="cura:wall_line_count" preserve="1">4</metadata>');
+    expect(files['Metadata/Slic3r_PE.config']).toContain('; fill_density = 40%');
+    expect(files['Metadata/Slic3r_PE.config']).toContain('; perimeters = 4');
+  });
+
+  it('falls back to defaults without a spec', () => {
+    expect(printSettingsFromSpec(null)).toEqual({
+      name: 'part',
+      material: undefined,
+      infill: undefined,
+      perimeters: undefined
+    });
+  });
+});
@@ -4,7 +4,11 @@ export default defineConfig({
   server: {
     host: true, // Allow network access for mobile testing
     port: 3000,
-    https: false // Using demo mode (camera requires HTTPS on network, but demo works great!)
+    https: false, // Using demo mode (camera requires HTTPS on network, but demo works great!)
+    proxy: {
+      // AI requests go to the local AI proxy (npm run proxy), which holds the key
+      '/api/ai': { target: 'http://127.0.0.1:8787', xfwd: true }
+    }
   },
   build: {
     target: 'es2015',